@@ -0,0 +1,229 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+/*
+ * Benchmarks for timers scheduled on clocks in a hierarchy, with large numbers
+ * of timers. Run with node:
+ *
+ *     npm run benchmark
+ *
+ * Each benchmark is run with the normal root clock, which uses a TimerScheduler
+ * (a single underlying setTimeout() timer for the whole hierarchy), and with
+ * a root clock that instead uses one setTimeout() timer per clock timer, for comparison.
+ * Firing is also benchmarked with other scheduling backends, and with busy-waiting.
+ */
+
+var inherits = require('inherits');
+var DateNowClock = require('../src/DateNowClock');
+var CorrelatedClock = require('../src/CorrelatedClock');
+var Correlation = require('../src/Correlation');
+var timerBackends = require('../src/timerBackends');
+
+var NUM_CHILD_CLOCKS = 8;
+var SIZES = [ 1000, 10000, 100000 ];
+var FIRING_SIZES = [ 1000, 10000 ];
+
+/*
+ * Root clock using one setTimeout() per timer.
+ */
+var PerTimerRootClock = function(options) {
+    DateNowClock.call(this, options);
+};
+
+inherits(PerTimerRootClock, DateNowClock);
+
+PerTimerRootClock.prototype._setRootTimer = function(func, rootTime) {
+    var numRootTicks = rootTime - this.now();
+    if (numRootTicks !== 0) {
+        numRootTicks = this.getSpeed() !== 0 ? numRootTicks / this.getSpeed() : NaN;
+    }
+    var millis = numRootTicks * (1000 / this.getTickRate());
+    if (!isNaN(millis)) {
+        return setTimeout(func, Math.max(0,millis));
+    }
+};
+
+PerTimerRootClock.prototype._clearRootTimer = function(realHandle) {
+    if (realHandle !== null && realHandle !== undefined) {
+        clearTimeout(realHandle);
+    }
+};
+
+var ROOTS = [
+    { name: "TimerScheduler", RootClock: DateNowClock },
+    { name: "per-timer setTimeout", RootClock: PerTimerRootClock }
+];
+
+/*
+ * Root clock using a TimerScheduler with the immediate backend.
+ */
+var ImmediateRootClock = function(options) {
+    DateNowClock.call(this, options);
+    this.getTimerScheduler().setBackend(timerBackends.immediate());
+};
+
+inherits(ImmediateRootClock, DateNowClock);
+
+/*
+ * Root clock using a TimerScheduler with the setTimeout backend, busy-waiting for the final 4 ms.
+ */
+var BusyWaitRootClock = function(options) {
+    DateNowClock.call(this, options);
+    this.getTimerScheduler().setBusyWaitMillis(4);
+};
+
+inherits(BusyWaitRootClock, DateNowClock);
+
+var FIRING_ROOTS = ROOTS.concat([
+    { name: "TimerScheduler (immediate)", RootClock: ImmediateRootClock },
+    { name: "TimerScheduler (busy-wait 4 ms)", RootClock: BusyWaitRootClock }
+]);
+
+function millisSince(start) {
+    var t = process.hrtime(start);
+    return t[0] * 1000 + t[1] / 1000000;
+}
+
+function pad(str, width) {
+    str = String(str);
+    while (str.length < width) {
+        str = str + " ";
+    }
+    return str;
+}
+
+function report(name, size, results) {
+    console.log(
+        pad(name, 38) + pad(size, 10) +
+        results.map(function(r) { return pad(r.toFixed(2) + " ms", 16); }).join("")
+    );
+}
+
+function makeHierarchy(RootClock) {
+    var root = new RootClock();
+    var children = [];
+
+    for(var i=0; i<NUM_CHILD_CLOCKS; i++) {
+        children.push(new CorrelatedClock(root, { tickRate: 1000, correlation: new Correlation(root.now(), 0) }));
+    }
+    return { root: root, children: children };
+}
+
+function noop() {}
+
+/*
+ * Schedule timers spread across the child clocks, far in the future, then make changes,
+ * then clear them. Returns the durations of each stage.
+ */
+function benchmarkScheduling(RootClock, size) {
+    var h = makeHierarchy(RootClock);
+    var handles = [];
+    var i, start, durations = [];
+
+    start = process.hrtime();
+    for(i=0; i<size; i++) {
+        var clock = h.children[i % NUM_CHILD_CLOCKS];
+        handles.push({ clock: clock, handle: clock.setAtTime(noop, 3600000 + i) });
+    }
+    durations.push(millisSince(start));
+
+    // change affecting only the timers on one child clock
+    start = process.hrtime();
+    h.children[0].setCorrelation(new Correlation(h.root.now(), 1000));
+    durations.push(millisSince(start));
+
+    // change affecting the timers on every clock
+    start = process.hrtime();
+    h.children.forEach(function(child) {
+        child.setSpeed(1.01);
+    });
+    durations.push(millisSince(start));
+
+    start = process.hrtime();
+    for(i=0; i<size; i++) {
+        handles[i].clock.clearTimeout(handles[i].handle);
+    }
+    durations.push(millisSince(start));
+
+    return durations;
+}
+
+/*
+ * Schedule timers due over 100 ms (starting 200 ms later, so that scheduling them
+ * has finished), and measure how late they fire.
+ */
+function benchmarkFiring(RootClock, size, done) {
+    var h = makeHierarchy(RootClock);
+    var remaining = size;
+    var totalLateness = 0;
+    var maxLateness = 0;
+    var start = process.hrtime();
+
+    var callback = function(info) {
+        var lateness = info.lateTicks;
+        totalLateness += lateness;
+        maxLateness = Math.max(maxLateness, lateness);
+        remaining--;
+        if (remaining === 0) {
+            done([ millisSince(start), totalLateness / size, maxLateness ]);
+        }
+    };
+
+    for(var i=0; i<size; i++) {
+        var clock = h.children[i % NUM_CHILD_CLOCKS];
+        clock.setTimeout(callback, { ticks: 200 + (i * 100 / size) });
+    }
+}
+
+function runScheduling() {
+    console.log("Scheduling, changes and clearing ("+NUM_CHILD_CLOCKS+" child clocks):");
+    console.log(pad("", 38) + pad("timers", 10) + pad("schedule", 16) + pad("change 1 clock", 16) + pad("change all", 16) + pad("clear", 16));
+
+    SIZES.forEach(function(size) {
+        ROOTS.forEach(function(r) {
+            report(r.name, size, benchmarkScheduling(r.RootClock, size));
+        });
+    });
+    console.log("");
+}
+
+function runFiring() {
+    var runs = [];
+
+    FIRING_SIZES.forEach(function(size) {
+        FIRING_ROOTS.forEach(function(r) {
+            runs.push({ name: r.name, RootClock: r.RootClock, size: size });
+        });
+    });
+
+    console.log("Firing timers due over 100 ms, starting in 200 ms:");
+    console.log(pad("", 38) + pad("timers", 10) + pad("total", 16) + pad("mean lateness", 16) + pad("max lateness", 16));
+
+    var next = function() {
+        var run = runs.shift();
+        if (!run) {
+            return;
+        }
+        benchmarkFiring(run.RootClock, run.size, function(results) {
+            report(run.name, run.size, results);
+            setTimeout(next, 0);
+        });
+    };
+    next();
+}
+
+runScheduling();
+runFiring();
@@ -23,6 +23,7 @@
 
 var EventEmitter = require("events");
 var inherits = require('inherits');
+var TimerScheduler = require('./TimerScheduler');
 
 var WeakMap = require('weak-map');
 var PRIVATE = new WeakMap();
@@ -30,6 +31,16 @@ var PRIVATE = new WeakMap();
 var nextIdNum = 0;
 var nextTimeoutHandle = 0;
 
+var MISSED_INTERVAL_POLICIES = [ "once", "all", "skip" ];
+
+// the transaction started by ClockBase.batch(), or null if there isn't one
+var transaction = null;
+
+// descriptors of the changes being fired by the commit of a transaction. Each clock has its own
+// already worked out, so the changes that its parent passes on to it are ignored
+var committing = [];
+
+
 
 /**
  * There has been a change in the timing of this clock.
@@ -46,6 +57,68 @@ var nextTimeoutHandle = 0;
  * <p>The following parameters are passed as arguments to the event handler:
  * @event change
  * @param {ClockBase} source The clock that fired the event.
+ * @param {changeDescriptor} change Description of what changed, and by how much.
+ */
+
+/**
+ * A change to the timing of this clock has made its time jump (forwards or backwards) by more
+ * than its [discontinuity threshold]{@link ClockBase#setDiscontinuityThreshold}. This fires
+ * after the [change]{@link event:change} event for the change.
+ *
+ * <p>This might be due to a change made directly to this clock, or a change
+ * made to a parent in the hierarchy that affected this clock.
+ * The size of the jump is the discontinuity in the [descriptor]{@link changeDescriptor} of the change.
+ * A change of speed does not fire this event, unless the time of the clock also jumps.
+ *
+ * <p>The following parameters are passed as arguments to the event handler:
+ * @event discontinuity
+ * @param {ClockBase} source The clock that fired the event.
+ * @param {Number} jumpSecs The size of the jump (in seconds). Positive values mean the jump was forwards.
+ * @param {changeDescriptor} change Description of the change that caused the jump.
+ */
+
+/**
+ * This clock has been [disposed]{@link ClockBase#dispose}. It has been detached from its parent
+ * and its timers have been cancelled. No more events will be fired by it.
+ *
+ * <p>The following parameters are passed as arguments to the event handler:
+ * @event disposed
+ * @param {ClockBase} source The clock that fired the event.
+ */
+
+/**
+ * Describes a change to the timing of a clock. It is passed to handlers of the [change]{@link event:change} event.
+ *
+ * <p>The <tt>cause</tt> is one of:
+ * <ul>
+ *   <li> <tt>"speed"</tt> - the [speed]{@link ClockBase#speed} of the clock was changed.
+ *   <li> <tt>"tickRate"</tt> - the [tick rate]{@link ClockBase#tickRate} of the clock was changed.
+ *   <li> <tt>"correlation"</tt> - the [correlation]{@link CorrelatedClock#correlation} of the clock was changed.
+ *   <li> <tt>"correlationAndSpeed"</tt> - the correlation and speed were changed together. The old and new values are
+ *        objects with <tt>correlation</tt> and <tt>speed</tt> properties.
+ *   <li> <tt>"offset"</tt> - the [offset]{@link OffsetClock#offset} of the clock was changed.
+ *   <li> <tt>"parent"</tt> - the [parent]{@link ClockBase#parent} of the clock was changed.
+ *   <li> <tt>"time"</tt> - the time of a root clock jumped. The old and new values are the time (in ticks) before and after.
+ *   <li> <tt>"ancestor"</tt> - a change was made to a parent (or a parent of a parent, etc.) of the clock.
+ *        The old and new values are not set. Instead, <tt>origin</tt> and <tt>originChange</tt> identify the change that was made.
+ *   <li> <tt>"batch"</tt> - several changes were made to the clock (or its parents) during a [batch]{@link ClockBase.batch}.
+ *        The old and new values are not set. Instead, <tt>changes</tt> lists the descriptors of each change, in the order they were made.
+ * </ul>
+ *
+ * <p>The discontinuity is how far the time of the clock (in seconds) jumped at the moment the change was made:
+ * its time just after the change minus its time just before. A change of speed that keeps
+ * the clock at the same time (e.g. pausing it where it is) is therefore a discontinuity of zero.
+ *
+ * @typedef {object} changeDescriptor
+ * @property {String} cause What changed.
+ * @property {ClockBase} clock The clock that this change describes.
+ * @property {ClockBase} origin The clock to which the change was made. This is the same as <tt>clock</tt>, unless the cause is <tt>"ancestor"</tt>.
+ * @property {changeDescriptor} originChange The descriptor of the change made to the origin clock. This is the descriptor itself, unless the cause is <tt>"ancestor"</tt>.
+ * @property {*} oldValue The value before the change.
+ * @property {*} newValue The value after the change.
+ * @property {Number} discontinuitySecs The resulting signed discontinuity in the time of this clock (in seconds).
+ *  Positive values mean the time of the clock jumped forwards. Is <tt>NaN</tt> if it cannot be determined (e.g. if the clock has no parent).
+ * @property {changeDescriptor[]} [changes] The changes that were made, if the cause is <tt>"batch"</tt>.
  */
 
 /**
@@ -71,6 +144,24 @@ var nextTimeoutHandle = 0;
  * @param {ClockBase} source The clock that fired the event.
  */
 
+/**
+ * A change to the timing of this clock (or its parents) has made it jump back (against the direction
+ * in which it is moving), so that the time at which a timer is due has moved from the past back into the future.
+ *
+ * <p>This fires for timers that were still pending (because they were due, but had not yet been called),
+ * and for timers that had already been called but were scheduled with the <tt>rearmOnRewind</tt>
+ * option of [setAtTime]{@link ClockBase#setAtTime}, and so have been re-armed.
+ *
+ * <p>The following parameters are passed as arguments to the event handler:
+ * @event timerRewound
+ * @param {ClockBase} source The clock that fired the event.
+ * @param {*} handle The handle of the timer.
+ * @param {object} info Information about the timer, with the following properties:
+ *   <tt>scheduledTime</tt> (Number) the time of the clock at which the timer is due;
+ *   <tt>actualTime</tt> (Number) the time of the clock after the jump;
+ *   <tt>rearmed</tt> (Boolean) true if the timer had already been called, and has been re-armed.
+ */
+
 
 /**
  * @module clocks
@@ -81,7 +172,11 @@ var nextTimeoutHandle = 0;
  * Abstract Base class for clock implementations.
  *
  * <p>Implementations that can be used are:
- * {@link DateNowClock} and
+ * {@link DateNowClock},
+ * {@link PerformanceNowClock},
+ * {@link MonotonicDateNowClock},
+ * {@link HrtimeClock},
+ * {@link VirtualClock} and
  * {@link CorrelatedClock}.
  *
  * <p>This is the base class on which other clocks are implemented. It provides
@@ -95,6 +190,8 @@ var nextTimeoutHandle = 0;
  *   <li> [change]{@link event:change} 
  *   <li> [available]{@link event:available} 
  *   <li> [unavailable]{@link event:unavailable} 
+ *   <li> [discontinuity]{@link event:discontinuity}
+ *   <li> [disposed]{@link event:disposed}
  * </ul>
  *
  * <p>Clock implementations should inherit from this class and implement some
@@ -134,9 +231,13 @@ var ClockBase = function() {
     nextIdNum = nextIdNum+1;
     
     priv.timerHandles = {};
+    priv.intervalHandles = {};
     this.on('change', this._rescheduleTimers.bind(this));
     
     priv.availablePrev = this._availability;
+    priv.discontinuityThresholdSecs = 0;
+    priv.disposed = false;
+    priv.children = [];
 };
 
 inherits(ClockBase, EventEmitter);
@@ -320,6 +421,13 @@ ClockBase.prototype.isAvailable = function() {
  * @fires available
  */
 ClockBase.prototype.setAvailabilityFlag = function(availability) {
+    if (transaction) {
+        var record = batchRecord(this, this.getRoot().now());
+        if (!record.flagChanged) {
+            record.flagChanged = true;
+            record.flagBefore = this._availability;
+        }
+    }
     this._availability = availability;
     this.notifyAvailabilityChange();
 };
@@ -337,11 +445,402 @@ ClockBase.prototype.notifyAvailabilityChange = function() {
     
     var availableNow = this.isAvailable();
     if (Boolean(availableNow) != Boolean(priv.availablePrev)) {
-        priv.availablePrev = availableNow;
-        this.emit(availableNow?"available":"unavailable", this);
+        if (transaction) {
+            var record = batchRecord(this, this.getRoot().now());
+            if (!record.availabilityChanged) {
+                record.availabilityChanged = true;
+                record.availableBefore = priv.availablePrev;
+            }
+            priv.availablePrev = availableNow;
+            // children are not told until the transaction is committed, so they record the change now
+            this.getChildren().forEach(function(child) {
+                child.notifyAvailabilityChange();
+            });
+        } else {
+            priv.availablePrev = availableNow;
+            this.emit(availableNow?"available":"unavailable", this);
+        }
+    }
+};
+
+/**
+ * Cause the "change" event to fire, for a change made to this clock. Subclasses should call this
+ * instead of emitting the event themselves, so that a [descriptor]{@link changeDescriptor} of the change is passed with it.
+ *
+ * @param {String} cause What changed. See [changeDescriptor]{@link changeDescriptor} for the possible values.
+ * @param {*} oldValue The value before the change.
+ * @param {*} newValue The value after the change.
+ * @param {Number} discontinuitySecs The resulting signed discontinuity in the time of this clock (in seconds).
+ * @fires change
+ * @fires discontinuity
+ */
+ClockBase.prototype.notifyChange = function(cause, oldValue, newValue, discontinuitySecs) {
+    var change = {
+        cause: cause,
+        clock: this,
+        origin: this,
+        originChange: null,
+        oldValue: oldValue,
+        newValue: newValue,
+        discontinuitySecs: discontinuitySecs
+    };
+    change.originChange = change;
+
+    if (transaction) {
+        var priv = PRIVATE.get(this);
+        if (cause === "time") {
+            // the time of a root clock jumped. Clocks in its hierarchy that have not yet joined
+            // the transaction are recorded as they were just before the jump
+            joinBatch(this, oldValue);
+            priv.batch.timeJump += newValue - oldValue;
+        } else if (!priv.batch) {
+            // the clock did not join the transaction before it was changed, so its time before the change is worked out instead
+            joinBatch(this, this.getRoot().now());
+            priv.batch.secsBefore -= discontinuitySecs;
+        }
+        priv.batch.changes.push(change);
+        transaction.undo.push(change);
+    } else {
+        emitChange(this, change);
     }
 };
 
+/**
+ * Cause the "change" event to fire, for a change made to the parent of this clock (or to one of its parents).
+ * Subclasses should call this when their parent fires a "change" event.
+ *
+ * @param {changeDescriptor} [parentChange] The descriptor passed with the "change" event fired by the parent.
+ * @param {Number} discontinuitySecs The resulting signed discontinuity in the time of this clock (in seconds).
+ * @fires change
+ * @fires discontinuity
+ */
+ClockBase.prototype.notifyAncestorChange = function(parentChange, discontinuitySecs) {
+    if (parentChange && committing.indexOf(parentChange) !== -1) {
+        return;
+    }
+
+    var change = {
+        cause: "ancestor",
+        clock: this,
+        origin: parentChange ? parentChange.origin : this.getParent(),
+        originChange: parentChange ? parentChange.originChange : undefined,
+        oldValue: undefined,
+        newValue: undefined,
+        discontinuitySecs: discontinuitySecs
+    };
+
+    if (transaction) {
+        batchRecord(this, this.getRoot().now()).changes.push(change);
+    } else {
+        emitChange(this, change);
+    }
+};
+
+/**
+ * If a [batch]{@link ClockBase.batch} of changes is in progress, then add this clock and its descendants to it.
+ * Subclasses must call this just before they make a change that will be notified with
+ * [notifyChange()]{@link ClockBase#notifyChange}, so that how far the times of the clocks jump
+ * can be worked out when the batch is committed.
+ */
+ClockBase.prototype._joinBatch = function() {
+    if (transaction) {
+        joinBatch(this, this.getRoot().now());
+    }
+};
+
+/**
+ * Make changes to one or more clocks as a single transaction.
+ *
+ * <p>While the function is running, [change]{@link event:change}, [available]{@link event:available}
+ * and [unavailable]{@link event:unavailable} events are not fired, so listeners (and timers) never see
+ * the clocks in an intermediate state. When the function returns, the transaction is committed:
+ * <ul>
+ *   <li> Every clock that changed (including descendants of clocks that changed) fires a single
+ *        [change]{@link event:change} event. If there was more than one change, then its
+ *        [descriptor]{@link changeDescriptor} has a cause of <tt>"batch"</tt> and lists the changes.
+ *        Its discontinuity is how far the time of the clock jumped overall, comparing its time before the
+ *        batch with its time after it. Clocks fire their events before their descendants do, so timers are only rescheduled once.
+ *   <li> Every clock whose availability is different to before the transaction fires an
+ *        [available]{@link event:available} or [unavailable]{@link event:unavailable} event.
+ * </ul>
+ *
+ * <p>If the function throws an exception, then the transaction is rolled back instead: changes to
+ * speed, tick rate, correlation, offset, parent, availability flag and the time of a {@link VirtualClock}
+ * are undone (in reverse order), no events are fired, and the exception is re-thrown.
+ *
+ * <p>If this is called while a transaction is already in progress, then the changes become part of that transaction.
+ *
+ * <p>If a listener throws an exception while the events are being fired, then the events for the
+ * other clocks are still fired. The first exception is then re-thrown.
+ *
+ * @param {Function} fn Function that makes the changes. It is called with no arguments.
+ * @returns {*} The value returned by the function.
+ * @throws whatever the function throws, after the transaction has been rolled back.
+ * @fires change
+ * @fires discontinuity
+ * @fires available
+ * @fires unavailable
+ *
+ * @example
+ * ClockBase.batch(function() {
+ *     timeline.setCorrelationAndSpeed(new Correlation(wallClock.now(), 0), 1);
+ *     subtitles.setOffset(40);
+ *     timeline.setAvailabilityFlag(true);
+ * });
+ */
+ClockBase.batch = function(fn) {
+    var result;
+
+    if (transaction) {
+        return fn();
+    }
+
+    transaction = { undo: [], clocks: [] };
+    try {
+        result = fn();
+    } catch (e) {
+        rollback();
+        throw e;
+    }
+    commit();
+    return result;
+};
+
+// Add a clock, and its descendants, to the transaction. Each is recorded as it is at the given time of
+// its root, so that how far its time jumps can be worked out when the transaction is committed.
+function joinBatch(clock, rootTime) {
+    batchRecord(clock, rootTime);
+    clock.getDescendants().forEach(function(descendant) {
+        batchRecord(descendant, rootTime);
+    });
+}
+
+function batchRecord(clock, rootTime) {
+    var priv = PRIVATE.get(clock);
+
+    if (!priv.batch) {
+        var root = clock.getRoot();
+        var rootRecord = PRIVATE.get(root).batch;
+        priv.batch = {
+            changes: [],
+            availabilityChanged: false,
+            flagChanged: false,
+            root: root,
+            rootTime: rootTime,
+            timeJump: 0,
+            timeJumpBefore: rootRecord ? rootRecord.timeJump : 0,
+            secsBefore: clock.fromRootTime(rootTime) / clock.getTickRate()
+        };
+        transaction.clocks.push(clock);
+    }
+    return priv.batch;
+}
+
+function commit() {
+    var clocks = transaction.clocks.slice();
+    var records;
+    var firstError;
+    var failed = false;
+
+    // work out the change for each clock before firing any events. Parents go first,
+    // so that the change each passes on to its children is included in theirs
+    clocks.sort(function(a, b) {
+        return a.getAncestry().length - b.getAncestry().length;
+    });
+    try {
+        records = clocks.map(function(clock) {
+            var priv = PRIVATE.get(clock);
+            var record = priv.batch;
+
+            record.change = coalesceChanges(clock, record);
+            if (record.availabilityChanged) {
+                record.availableNow = clock.isAvailable();
+                priv.availablePrev = record.availableNow;
+            }
+            return record;
+        });
+    } finally {
+        clocks.forEach(function(clock) { PRIVATE.get(clock).batch = null; });
+        transaction = null;
+    }
+
+    // an exception thrown by a listener does not stop the other events from being fired
+    var attempt = function(fire) {
+        try {
+            fire();
+        } catch (e) {
+            if (!failed) {
+                failed = true;
+                firstError = e;
+            }
+        }
+    };
+
+    var outerCommitting = committing;
+    committing = records.map(function(record) { return record.change; });
+    clocks.forEach(function(clock, i) {
+        var record = records[i];
+        if (clock.isDisposed()) {
+            return;
+        }
+        if (record.change) {
+            attempt(function() { emitChange(clock, record.change); });
+        }
+        if (record.availabilityChanged && Boolean(record.availableNow) != Boolean(record.availableBefore)) {
+            attempt(function() { clock.emit(record.availableNow?"available":"unavailable", clock); });
+        }
+    });
+    committing = outerCommitting;
+
+    if (failed) {
+        throw firstError;
+    }
+}
+
+function rollback() {
+    var undo = transaction.undo;
+    var i;
+
+    try {
+        for(i=undo.length-1; i>=0; i--) {
+            undoChange(undo[i]);
+        }
+    } finally {
+        transaction.clocks.forEach(function(clock) {
+            var priv = PRIVATE.get(clock);
+            if (priv.batch.flagChanged) {
+                clock._availability = priv.batch.flagBefore;
+            }
+            if (priv.batch.availabilityChanged) {
+                priv.availablePrev = priv.batch.availableBefore;
+            }
+            priv.batch = null;
+        });
+        transaction = null;
+    }
+}
+
+function undoChange(change) {
+    var clock = change.clock;
+
+    if (clock.isDisposed()) {
+        return;
+    }
+
+    switch (change.cause) {
+        case "speed":       clock.setSpeed(change.oldValue); break;
+        case "tickRate":    clock.setTickRate(change.oldValue); break;
+        case "correlation": clock.setCorrelation(change.oldValue); break;
+        case "correlationAndSpeed":
+            clock.setCorrelationAndSpeed(change.oldValue.correlation, change.oldValue.speed);
+            break;
+        case "offset":      clock.setOffset(change.oldValue); break;
+        case "parent":      clock.setParent(change.oldValue); break;
+        case "time":
+            // only clocks whose time can be set (such as VirtualClock) can be rolled back
+            if (typeof clock.setTime === "function") {
+                clock.setTime(change.oldValue);
+            }
+            break;
+    }
+}
+
+function emitChange(clock, change) {
+    clock.emit("change", clock, change);
+    if (Math.abs(change.discontinuitySecs) > PRIVATE.get(clock).discontinuityThresholdSecs) {
+        clock.emit("discontinuity", clock, change.discontinuitySecs, change);
+    }
+}
+
+// Combine the changes made to a clock, and the change passed on by its parent, into a single descriptor.
+// Returns null if nothing changed.
+function coalesceChanges(clock, record) {
+    var changes = record.changes;
+    var parent = clock.getParent();
+    var parentRecord = parent ? PRIVATE.get(parent).batch : null;
+    var parentChange = parentRecord ? parentRecord.change : null;
+    var secs, change;
+
+    if (!parentChange && changes.length <= 1) {
+        return changes.length ? changes[0] : null;
+    }
+
+    secs = netJumpSecs(clock, record);
+
+    if (parentChange) {
+        change = {
+            cause: "ancestor",
+            clock: clock,
+            origin: parentChange.origin,
+            originChange: parentChange.originChange,
+            oldValue: undefined,
+            newValue: undefined,
+            discontinuitySecs: secs
+        };
+        if (changes.length === 0) {
+            return change;
+        }
+        // the part of the jump that was not caused by the changes made to this clock
+        change.discontinuitySecs = changes.reduce(function(remainder, c) { return remainder - c.discontinuitySecs; }, secs);
+        changes = changes.concat([ change ]);
+    }
+
+    change = {
+        cause: "batch",
+        clock: clock,
+        origin: clock,
+        originChange: null,
+        oldValue: undefined,
+        newValue: undefined,
+        discontinuitySecs: secs,
+        changes: changes
+    };
+    change.originChange = change;
+    return change;
+}
+
+// How far the time of a clock (in seconds) has jumped since it joined the transaction. Its time now
+// is worked out for the same moment as when it joined, but allowing for jumps in the time of its root.
+function netJumpSecs(clock, record) {
+    var root = clock.getRoot();
+    var after;
+
+    if (root === record.root) {
+        var rootRecord = PRIVATE.get(root).batch;
+        var timeJump = (rootRecord ? rootRecord.timeJump : 0) - record.timeJumpBefore;
+        after = clock.fromRootTime(record.rootTime + timeJump) / clock.getTickRate();
+    } else {
+        after = clock.now() / clock.getTickRate();
+    }
+    return after - record.secsBefore;
+}
+
+/**
+ * @returns {Number} The threshold (in seconds) that the time of this clock must jump by for
+ * a [discontinuity]{@link event:discontinuity} event to be fired.
+ */
+ClockBase.prototype.getDiscontinuityThreshold = function() {
+    return PRIVATE.get(this).discontinuityThresholdSecs;
+};
+
+/**
+ * Set the threshold (in seconds) that the time of this clock must jump by (forwards or backwards)
+ * for a [discontinuity]{@link event:discontinuity} event to be fired. The default is zero, meaning
+ * that any jump fires the event.
+ *
+ * <p>For example: a media player might use a threshold of a few tenths of a second, so that it only seeks
+ * when the position of the timeline changes, and not when its estimate of the timeline is refined slightly.
+ *
+ * @param {Number} thresholdSecs The threshold (in seconds). Must not be negative.
+ * @throws if the threshold is negative.
+ */
+ClockBase.prototype.setDiscontinuityThreshold = function(thresholdSecs) {
+    if (!(thresholdSecs >= 0)) {
+        throw "Discontinuity threshold cannot be negative.";
+    }
+    PRIVATE.get(this).discontinuityThresholdSecs = thresholdSecs;
+};
+
 /**
  * Returns the availability flag for this clock (without taking into account whether its parents are available).
  * 
@@ -469,6 +968,79 @@ ClockBase.prototype.getAncestry = function() {
     return ancestry;
 };
 
+/**
+ * Get the clocks that have this clock as their parent.
+ *
+ * <p>This is maintained automatically when [parents are set]{@link ClockBase#setParent}.
+ * A child only stops being included when it is [disposed]{@link ClockBase#dispose} or given a different parent.
+ * (A child listens for events from its parent, so its parent keeps it alive until then anyway.)
+ *
+ * @returns {ClockBase[]} an array of the children of this clock, in the order they were given this clock as their parent.
+ */
+ClockBase.prototype.getChildren = function() {
+    return PRIVATE.get(this).children.slice();
+};
+
+/**
+ * Get the clocks that are the children of this clock, and their children, and so on.
+ * @returns {ClockBase[]} an array of the descendants of this clock (not including this clock), in depth-first order.
+ */
+ClockBase.prototype.getDescendants = function() {
+    var descendants = [];
+
+    this.traverse(function(clock) {
+        if (clock !== this) {
+            descendants.push(clock);
+        }
+    }.bind(this));
+    return descendants;
+};
+
+/**
+ * Visit this clock and all its descendants, in depth-first order (each clock is visited before its children).
+ *
+ * @param {Function} visitor Function that is called for each clock. It is passed the clock and its depth
+ *   (zero for this clock, one for its children, and so on). If it returns <tt>false</tt>, then the descendants of that clock are not visited.
+ *
+ * @example
+ * // print the hierarchy
+ * root.traverse(function(clock, depth) {
+ *     console.log(new Array(depth+1).join("  ") + clock.toString());
+ * });
+ */
+ClockBase.prototype.traverse = function(visitor) {
+    var visit = function(clock, depth) {
+        if (visitor(clock, depth) !== false) {
+            clock.getChildren().forEach(function(child) {
+                visit(child, depth+1);
+            });
+        }
+    };
+    visit(this, 0);
+};
+
+/**
+ * Update the child registries of the old and new parents of this clock.
+ * Subclasses that can have a parent must call this whenever their parent changes.
+ *
+ * @param {ClockBase} oldParent The previous parent of this clock, or <tt>null</tt>.
+ * @param {ClockBase} newParent The new parent of this clock, or <tt>null</tt>.
+ */
+ClockBase.prototype._updateChildRegistries = function(oldParent, newParent) {
+    var child = this;
+    var oldPriv = oldParent ? PRIVATE.get(oldParent) : undefined;
+    var newPriv = newParent ? PRIVATE.get(newParent) : undefined;
+
+    if (oldPriv) {
+        oldPriv.children = oldPriv.children.filter(function(c) {
+            return c !== child;
+        });
+    }
+    if (newPriv) {
+        newPriv.children.push(child);
+    }
+};
+
 /**
  * Convert time value of this clock to the equivalent time of its parent.
  *
@@ -501,6 +1073,9 @@ ClockBase.prototype.getParent = function() {
 
 /**
  * Set/change the parent of this clock.
+ *
+ * <p>The [children]{@link ClockBase#getChildren} of the old and new parents are updated accordingly.
+ *
  * @param {ClockBase} parent clock, or <tt>null</tt>
  * @throws if it is not allowed to set this clock's parent.
  * @abstract
@@ -595,13 +1170,28 @@ ClockBase.prototype.getRootMaxFreqError = function() {
 
 
 /**
- * A callback that is called when using [setTimeout]{@link ClockBase#setTimeout} or [setAtTime][@link ClockBase#setAtTime].
+ * A callback that is called when using [setTimeout]{@link ClockBase#setTimeout}, [setAtTime]{@link ClockBase#setAtTime} or [setInterval]{@link ClockBase#setInterval}.
  *
  * @callback setTimeoutCallback
  * @param {...*} args The parameters that were passed when the callback was scheduled.
+ * If the timer was scheduled using an options object, then these are followed by a {@link timerInfo} object.
  * @this ClockBase
  */
 
+/**
+ * Information about when a timer fired, passed to its callback if it was scheduled using an options
+ * object with [setTimeout]{@link ClockBase#setTimeout} or [setAtTime]{@link ClockBase#setAtTime}.
+ *
+ * @typedef {object} timerInfo
+ * @property {Number} scheduledTime The time of the clock at which the timer was due.
+ * @property {Number} actualTime The time of the clock when the timer fired.
+ * @property {Number} lateTicks How late (in ticks of the clock) the timer fired. This is <tt>actualTime - scheduledTime</tt>,
+ *   or the other way around if the clock is going backwards (its effective speed is negative).
+ * @property {Boolean} discontinuity True if the timer fired because a change to the timing of the clock
+ *   (or its parents), such as a change of correlation, caused the clock to jump past the time at which it was due.
+ *   False if the clock reached the time by progressing normally.
+ */
+
 /**
  * Request a timeout callback when the time of this clock passes the current time plus
  * the number of specified ticks.
@@ -609,13 +1199,27 @@ ClockBase.prototype.getRootMaxFreqError = function() {
  * <p>If there are changes to timing caused by changes to this clock or its parents, then this timer will be automatically
  * rescheduled to compensate.
  *
+ * <p>Instead of a number of ticks, an options object can be passed. This is the same as for
+ * [setAtTime]{@link ClockBase#setAtTime}, except that it has a <tt>ticks</tt> property instead of a <tt>when</tt> property.
+ *
  * @param {setTimeoutCallback} func  The function to callback
- * @param {Number} ticks  The callback is triggered when the clock passes (reaches or jumps past) this number of ticks beyond the current time.
+ * @param {Number|object} ticks  The callback is triggered when the clock passes (reaches or jumps past) this number of ticks beyond the current time. Or an options object.
  * @param {...*} args Other arguments are passed to the callback
  * @returns A handle for the timer. Pass this handle to [clearTimeout]{@link ClockBase#clearTimeout} to cancel this timer callback.
  */
 ClockBase.prototype.setTimeout = function(func, ticks) {
-	arguments[1] = arguments[1] + this.now();
+	if (typeof ticks === "object" && ticks !== null) {
+		var options = {};
+		for(var name in ticks) {
+			if (ticks.hasOwnProperty(name) && name !== "ticks") {
+				options[name] = ticks[name];
+			}
+		}
+		options.when = ticks.ticks + this.now();
+		arguments[1] = options;
+	} else {
+		arguments[1] = arguments[1] + this.now();
+	}
 	return this.setAtTime.apply(this, arguments);
 };
 
@@ -625,10 +1229,28 @@ ClockBase.prototype.setTimeout = function(func, ticks) {
  * <p>If there are changes to timing caused by changes to this clock or its parents, then this timer will be automatically
  * rescheduled to compensate.
  *
+ * <p>Instead of a time, an options object can be passed. The callback is then passed a {@link timerInfo} object
+ * (after any other arguments) describing how late it fired, and whether this was because the clock jumped.
+ * Timers can also be dropped if they would fire too late:
+ * <pre class="prettyprint"><code>
+ * clock.setAtTime(showSubtitle, { when: 5000, maxLateness: 500 }, "Hello");
+ *
+ * function showSubtitle(text, info) {
+ *     if (info.discontinuity) { ... }
+ * }
+ * </code></pre>
+ *
  * @param {setTimeoutCallBack} func  The function to callback
- * @param {Number} when  The callback is triggered when the clock passes (reaches or jumps past) this time.
+ * @param {Number|object} when  The callback is triggered when the clock passes (reaches or jumps past) this time. Or an options object with the following properties:
+ * @param {Number} when.when  The callback is triggered when the clock passes (reaches or jumps past) this time.
+ * @param {Number} [when.maxLateness] If specified, then the callback is not called (the timer is dropped) if it would fire more than this many ticks late.
+ * @param {Function} [when.onDropped] Called, with a {@link timerInfo} object, if the timer is dropped.
+ * @param {Boolean} [when.rearmOnRewind] If true, then after the callback has been called, the timer is re-armed if the clock jumps back
+ *   to before the time at which it is due, so that the callback is called again when the clock passes that time again.
+ *   The timer then remains until it is cancelled with [clearTimeout]{@link ClockBase#clearTimeout}.
  * @param {...*} args Other arguments are passed to the callback
  * @returns A handle for the timer. Pass this handle to [clearTimeout]{@link ClockBase#clearTimeout} to cancel this timer callback.
+ * @fires timerRewound
  */
 ClockBase.prototype.setAtTime = function(func, when) {
     var priv = PRIVATE.get(this);
@@ -636,70 +1258,194 @@ ClockBase.prototype.setAtTime = function(func, when) {
 	var self = this;
 	var handle = self.id + ":timeout-" + nextTimeoutHandle++;
 	var root = self.getRoot();
+	var options = null;
 
 	if (root === null) {
 		root = self;
 	}
 
+	if (typeof when === "object" && when !== null) {
+		options = when;
+		when = options.when;
+	}
+
     // remove first two args
     var args = new Array(arguments.length-2);
     for(var i=2; i<arguments.length; i++) {
         args[i-2] = arguments[i];
     }
 
-	var callback = function() {
-		delete priv.timerHandles[handle];
-		func.apply(self, args);
-	}
-;
-	var numRootTicks = self.toRootTime(when) - root.now();
-	if (numRootTicks !== 0) {
-		numRootTicks = root.getSpeed() !== 0 ? numRootTicks / root.getSpeed() : NaN;
-	}
-	var millis = numRootTicks * (1000 / root.getTickRate());
-	var realHandle;
-	if (!isNaN(millis)) {
-		realHandle = setTimeout(callback, millis);
-	}
+	var d = { realHandle:undefined, root:root, when:when, passed:hasPassed(self, self.now(), when), discontinuity:false, fired:false };
+
+	d.rearm = Boolean(options && options.rearmOnRewind);
+
+	d.callback = function() {
+		d.passed = true;
+
+		if (d.rearm) {
+			// kept, so that it can be re-armed if the clock jumps back
+			d.fired = true;
+			d.realHandle = undefined;
+		} else {
+			delete priv.timerHandles[handle];
+		}
+
+		if (options === null) {
+			func.apply(self, args);
+			return;
+		}
+
+		var now = self.now();
+		var info = {
+			scheduledTime: when,
+			actualTime: now,
+			lateTicks: (self.getEffectiveSpeed() < 0) ? when - now : now - when,
+			discontinuity: d.discontinuity
+		};
+
+		if (typeof options.maxLateness !== "undefined" && info.lateTicks > options.maxLateness) {
+			if (options.onDropped) {
+				options.onDropped.call(self, info);
+			}
+		} else {
+			func.apply(self, args.concat([info]));
+		}
+	};
+
+	d.rootTime = self.toRootTime(when);
+	d.realHandle = root._setRootTimer(d.callback, d.rootTime);
 
-	priv.timerHandles[handle] = { realHandle:realHandle, when:when, callback:callback };
+	priv.timerHandles[handle] = d;
 
 	return handle;
 };
 
 
-ClockBase.prototype._rescheduleTimers = function() {
+// Has a clock, at time t, passed the given time? This is in the direction the clock is
+// moving, so a clock going backwards has passed the times that are at or above t.
+function hasPassed(clock, t, when) {
+	return (clock.getEffectiveSpeed() < 0) ? t <= when : t >= when;
+}
+
+ClockBase.prototype._rescheduleTimers = function(source, change) {
 	// clock timing has changed, we need to re-schedule all timers
     var priv = PRIVATE.get(this);
 
 	var root = this.getRoot();
+	var now = this.now();
+	// the time of this clock just before the change
+	var before = change ? now - change.discontinuitySecs * this.getTickRate() : NaN;
 
 	for(var handle in priv.timerHandles) {
 		if (priv.timerHandles.hasOwnProperty(handle)) {
 			var d = priv.timerHandles[handle];
+			var isPast = hasPassed(this, now, d.when);
+			var wasPast = isNaN(before) ? d.passed : hasPassed(this, before, d.when);
+			var rootTime = this.toRootTime(d.when);
+			var rearmed = false;
 
-			// clear existing timer
-			if (d.realHandle !== null && d.realHandle !== undefined) {
-				clearTimeout(d.realHandle);
+			d.passed = isPast;
+
+			if (d.fired && isPast) {
+				continue;
 			}
 
-			// re-calculate when this timer is due and re-schedule
-			var numRootTicks = this.toRootTime(d.when) - root.now();
-			if (numRootTicks !== 0) {
-				numRootTicks = root.getSpeed() !== 0 ? numRootTicks / root.getSpeed() : NaN;
+			if (isPast && !wasPast) {
+				// the change has made the clock jump past when this timer is due
+				d.discontinuity = true;
+			} else if (!isPast) {
+				d.discontinuity = false;
 			}
-			var millis = numRootTicks * (1000 / root.getTickRate());
-			if (!isNaN(millis)) {
-				d.realHandle = setTimeout(d.callback, Math.max(0,millis));
-			} else {
-				delete d.realHandle;
+
+			if (d.fired) {
+				// re-arm, because the clock has jumped back to before when it was due
+				d.fired = false;
+				rearmed = true;
+				d.root = root;
+				d.rootTime = rootTime;
+				d.realHandle = root._setRootTimer(d.callback, rootTime);
+			} else if (d.root !== root || d.rootTime !== rootTime) {
+				// clear existing timer, re-calculate when this timer is due and re-schedule.
+				// (not needed if it is still due at the same time of the same root clock)
+				d.root._clearRootTimer(d.realHandle);
+				d.root = root;
+				d.rootTime = rootTime;
+				d.realHandle = root._setRootTimer(d.callback, rootTime);
+			}
+
+			if (wasPast && !isPast) {
+				this.emit("timerRewound", this, handle, { scheduledTime: d.when, actualTime: now, rearmed: rearmed });
 			}
 		}
 	}
 };
 
 /**
- * Clear (cancel) a timer that was scheduled using [setTimeout]{@link ClockBase#setTimeout} or [setAtTime][@link ClockBase#setAtTime].
+ * Get the scheduler that is used for the timers ([setAtTime]{@link ClockBase#setAtTime} etc)
+ * of all clocks in the same hierarchy as this clock. It belongs to the root clock, and is
+ * created when first needed.
+ *
+ * <p>Use it to choose the [backend]{@link timerBackends} that provides the underlying timer
+ * for the hierarchy, or to busy-wait for better precision. If clocks are moved to a hierarchy with a different root
+ * clock, then their timers are moved to the scheduler of that root clock.
+ *
+ * @returns {TimerScheduler} The scheduler, or <tt>null</tt> if the root clock does not use one.
+ *
+ * @example
+ * clock.getTimerScheduler().setBackend(timerBackends.worker());
+ */
+ClockBase.prototype.getTimerScheduler = function() {
+    var priv = PRIVATE.get(this);
+    var root = this.getRoot();
+
+    if (root !== this) {
+        return root.getTimerScheduler();
+    }
+
+    if (!priv.scheduler) {
+        priv.scheduler = new TimerScheduler(this);
+    }
+    return priv.scheduler;
+};
+
+/**
+ * Schedule a callback for when the root clock reaches a given time.
+ *
+ * <p>This is only ever called on the root clock of a hierarchy, by the timer
+ * methods ([setAtTime]{@link ClockBase#setAtTime} etc) of clocks in that hierarchy.
+ * This implementation uses the [TimerScheduler]{@link ClockBase#getTimerScheduler} belonging to this clock, so that
+ * all the timers in the hierarchy share a single underlying timer.
+ * Root clock implementations can override it (along with
+ * [_clearRootTimer]{@link ClockBase#_clearRootTimer}) to provide a different
+ * timing mechanism.
+ *
+ * @param {Function} func The function to callback
+ * @param {Number} rootTime Time of this (root) clock at which the callback is due, or <tt>NaN</tt> if it can never be reached.
+ * @returns A handle for the timer, or <tt>undefined</tt> if the callback was not scheduled because it can never be reached.
+ */
+ClockBase.prototype._setRootTimer = function(func, rootTime) {
+	if (isNaN(rootTime)) {
+		return undefined;
+	}
+
+	return this.getTimerScheduler().add(func, rootTime);
+};
+
+/**
+ * Cancel a callback that was scheduled using [_setRootTimer]{@link ClockBase#_setRootTimer}.
+ *
+ * @param realHandle The handle returned by [_setRootTimer]{@link ClockBase#_setRootTimer}. Can be <tt>undefined</tt>, in which case this method does nothing.
+ */
+ClockBase.prototype._clearRootTimer = function(realHandle) {
+    var priv = PRIVATE.get(this);
+
+	if (realHandle !== null && realHandle !== undefined && priv.scheduler) {
+		priv.scheduler.remove(realHandle);
+	}
+};
+
+/**
+ * Clear (cancel) a timer that was scheduled using [setTimeout]{@link ClockBase#setTimeout} or [setAtTime]{@link ClockBase#setAtTime}.
  *
  * @param handle - The handle for the previously scheduled callback.
  *
@@ -710,12 +1456,330 @@ ClockBase.prototype.clearTimeout = function(handle) {
 
 	var d = priv.timerHandles[handle];
 	if (d !== undefined) {
-		clearTimeout(d.realHandle);
+		if (!d.fired) {
+			d.root._clearRootTimer(d.realHandle);
+		}
 		delete priv.timerHandles[handle];
 	}
 };
 
+/**
+ * Request a callback that is called repeatedly, every time the time of this clock passes
+ * a further number of ticks beyond the time at which this method was called.
+ *
+ * <p>The times at which the callback is due are all calculated from the time at which
+ * this method was called, so they do not drift. If there are changes to timing caused by changes to this clock
+ * or its parents (including speed, correlation and parent changes), then the interval will be automatically
+ * rescheduled to compensate, in the same way as [setAtTime]{@link ClockBase#setAtTime}.
+ *
+ * <p>If the clock passes more than one due time at once (for example, because it jumps forward)
+ * then what happens depends on the <tt>missed</tt> policy:
+ * <ul>
+ *   <li> <tt>"once"</tt> - the callback is called once, for all the due times that were passed.
+ *   <li> <tt>"all"</tt> - the callback is called once for every due time that was passed.
+ *   <li> <tt>"skip"</tt> - the callback is not called for any of the due times that were passed.
+ * </ul>
+ * In all cases, the interval then continues from the next due time that has not yet been passed.
+ * If the clock jumps back (against the direction in which it is moving), due times that have already been passed are not repeated.
+ *
+ * <p>If the clock is moving backwards (its [effective speed]{@link ClockBase#getEffectiveSpeed} is negative), then
+ * the callback is due every time the clock goes back by a further number of ticks. If the clock is paused, the
+ * callback is not called until it moves again.
+ *
+ * @param {setTimeoutCallback} func  The function to callback
+ * @param {Number|object} ticksOrOptions The number of ticks (of this clock) between each callback, or an object with the following properties:
+ * @param {Number} ticksOrOptions.ticks The number of ticks (of this clock) between each callback.
+ * @param {String} [ticksOrOptions.missed] The policy for when more than one due time is passed at once: <tt>"once"</tt>, <tt>"all"</tt> or <tt>"skip"</tt>. Default is <tt>"once"</tt>.
+ * @param {...*} args Other arguments are passed to the callback
+ * @returns A handle for the interval. Pass this handle to [clearInterval]{@link ClockBase#clearInterval} to cancel it.
+ * @throws if the number of ticks is not greater than zero, or the missed policy is not recognised.
+ *
+ * @example
+ * // every 40 ms of the timeline
+ * handle = timelineClock.setInterval(renderFrame, 40 * timelineClock.tickRate / 1000);
+ *
+ * // every 1 second, catching up on any that are jumped past
+ * handle = timelineClock.setInterval(onSecond, { ticks: timelineClock.tickRate, missed: "all" });
+ */
+ClockBase.prototype.setInterval = function(func, ticksOrOptions) {
+    var priv = PRIVATE.get(this);
+    var self = this;
+
+    var period;
+    var missed = "once";
 
+    if (typeof ticksOrOptions === "object" && ticksOrOptions !== null) {
+        period = ticksOrOptions.ticks;
+        if (typeof ticksOrOptions.missed !== "undefined") {
+            missed = ticksOrOptions.missed;
+        }
+    } else {
+        period = ticksOrOptions;
+    }
+
+    if (!(period > 0)) {
+        throw "Cannot have an interval of zero or less ticks.";
+    }
+    if (MISSED_INTERVAL_POLICIES.indexOf(missed) < 0) {
+        throw "Unrecognised policy for missed intervals: "+missed;
+    }
+
+    // remove first two args
+    var args = new Array(arguments.length-2);
+    for(var i=2; i<arguments.length; i++) {
+        args[i-2] = arguments[i];
+    }
+
+    var handle = self.id + ":interval-" + nextTimeoutHandle++;
+
+    // last is the most recent due time passed (or the start). The next due time is one
+    // period on from it, in the direction (dir) the clock was moving when it was scheduled
+    var d = { last: self.now(), dir: 1, due: NaN, timeout: null };
+
+    var schedule = function() {
+        d.dir = self.getEffectiveSpeed() < 0 ? -1 : 1;
+        d.due = d.last + d.dir * period;
+        d.timeout = self.setAtTime(callback, d.due);
+    };
+
+    var callback = function() {
+        var now = self.now();
+        var calls;
+
+        // if the clock has changed direction, the due time has not really been reached
+        if (d.dir * (now - d.due) < 0) {
+            schedule();
+            return;
+        }
+
+        var passed = Math.max(1, Math.floor(d.dir * (now - d.last) / period));
+        d.last += d.dir * passed * period;
+
+        if (missed === "all") {
+            calls = passed;
+        } else if (missed === "once") {
+            calls = 1;
+        } else {
+            calls = (passed === 1) ? 1 : 0;
+        }
+
+        for(var i=0; i<calls && priv.intervalHandles[handle] === d; i++) {
+            func.apply(self, args);
+        }
+
+        if (priv.intervalHandles[handle] === d) {
+            schedule();
+        }
+    };
+
+    priv.intervalHandles[handle] = d;
+    schedule();
+
+    return handle;
+};
+
+/**
+ * Clear (cancel) an interval that was scheduled using [setInterval]{@link ClockBase#setInterval}.
+ *
+ * @param handle - The handle for the previously scheduled interval.
+ *
+ * If the handle does not represent an interval that was scheduled against this clock, then this method returns without doing anything.
+ */
+ClockBase.prototype.clearInterval = function(handle) {
+    var priv = PRIVATE.get(this);
+
+    var d = priv.intervalHandles[handle];
+    if (d !== undefined) {
+        this.clearTimeout(d.timeout);
+        delete priv.intervalHandles[handle];
+    }
+};
+
+/**
+ * Wait until the time of this clock passes the specified time.
+ *
+ * <p>This is built on [setAtTime]{@link ClockBase#setAtTime}, and so if there are changes to timing caused by changes to this clock or its parents,
+ * then the wait will be automatically rescheduled to compensate.
+ *
+ * <p>The returned Promise is rejected if this clock is (or becomes) unavailable before the time is reached,
+ * if this clock is [disposed]{@link ClockBase#dispose}, or if the wait is cancelled using the <tt>signal</tt> option. The signal can be an <tt>AbortSignal</tt>, or any object with
+ * an <tt>aborted</tt> property and <tt>addEventListener()</tt> and <tt>removeEventListener()</tt> methods
+ * that fires an <tt>"abort"</tt> event.
+ *
+ * @param {Number} when The Promise is resolved when the clock passes (reaches or jumps past) this time.
+ * @param {object} [options] Options for the wait.
+ * @param {AbortSignal} [options.signal] A signal that cancels the wait when it is aborted.
+ * @returns {Promise} A Promise that is resolved with the time of this clock at the moment the time was passed.
+ * It is rejected with the reason for the signal being aborted (or <tt>"Wait was aborted."</tt> if there is no reason),
+ * <tt>"Clock is unavailable."</tt>, or <tt>"Clock has been disposed."</tt>.
+ * @throws if Promises are not supported in this environment.
+ *
+ * @example
+ * await timelineClock.waitUntil(90000);
+ * showCaption();
+ *
+ * controller = new AbortController();
+ * timelineClock.waitUntil(180000, { signal: controller.signal }).then(showCredits, function() {});
+ * controller.abort();
+ */
+ClockBase.prototype.waitUntil = function(when, options) {
+    var self = this;
+    var signal = (options && options.signal) ? options.signal : null;
+
+    if (typeof Promise === "undefined") {
+        throw "Promises are not supported in this environment.";
+    }
+
+    return new Promise(function(resolve, reject) {
+        var handle = null;
+
+        var cleanup = function() {
+            if (handle !== null) {
+                self.clearTimeout(handle);
+            }
+            self.removeListener("unavailable", onUnavailable);
+            self.removeListener("disposed", onDisposed);
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+        };
+
+        var onUnavailable = function() {
+            cleanup();
+            reject("Clock is unavailable.");
+        };
+
+        var onDisposed = function() {
+            cleanup();
+            reject("Clock has been disposed.");
+        };
+
+        var onAbort = function() {
+            cleanup();
+            reject(typeof signal.reason !== "undefined" ? signal.reason : "Wait was aborted.");
+        };
+
+        if (signal && signal.aborted) {
+            onAbort();
+            return;
+        }
+        if (!self.isAvailable()) {
+            onUnavailable();
+            return;
+        }
+
+        self.on("unavailable", onUnavailable);
+        self.on("disposed", onDisposed);
+        if (signal) {
+            signal.addEventListener("abort", onAbort);
+        }
+
+        handle = self.setAtTime(function() {
+            cleanup();
+            resolve(self.now());
+        }, when);
+    });
+};
+
+/**
+ * Wait until the time of this clock passes the current time plus the number of specified ticks.
+ *
+ * <p>This is the same as [waitUntil]{@link ClockBase#waitUntil}, except that the time is relative to the current time.
+ *
+ * @param {Number} ticks The Promise is resolved when the clock passes (reaches or jumps past) this number of ticks beyond the current time.
+ * @param {object} [options] Options for the wait.
+ * @param {AbortSignal} [options.signal] A signal that cancels the wait when it is aborted.
+ * @returns {Promise} A Promise that is resolved with the time of this clock at the moment the time was passed. See [waitUntil]{@link ClockBase#waitUntil}.
+ * @throws if Promises are not supported in this environment.
+ *
+ * @example
+ * // wait for 2 seconds of the timeline
+ * await timelineClock.sleep(2 * timelineClock.tickRate);
+ */
+ClockBase.prototype.sleep = function(ticks, options) {
+    return this.waitUntil(this.now() + ticks, options);
+};
+
+/**
+ * Dispose of this clock, when it is no longer needed.
+ *
+ * <p>The clock is detached from its parent (so that the parent no longer holds on to it),
+ * all its pending timers and intervals are cancelled (and pending [waits]{@link ClockBase#waitUntil} are rejected),
+ * and a [disposed]{@link event:disposed} event is fired. All listeners are then removed from the clock.
+ * If this is a root clock, then the callbacks waiting in its [TimerScheduler]{@link ClockBase#getTimerScheduler} are also cancelled.
+ *
+ * <p>After this, calling any method of the clock (other than <tt>dispose()</tt>, <tt>isDisposed()</tt>,
+ * <tt>toString()</tt> and the methods for adding and removing event listeners) throws an exception.
+ * Calling <tt>dispose()</tt> again does nothing.
+ *
+ * <p>Clocks that have this clock as their parent are not disposed. They should be disposed first, or
+ * given a different parent, because they will no longer work.
+ *
+ * @fires disposed
+ */
+ClockBase.prototype.dispose = function() {
+    var priv = PRIVATE.get(this);
+    var handle;
+
+    if (priv.disposed) {
+        return;
+    }
+
+    for(handle in priv.intervalHandles) {
+        this.clearInterval(handle);
+    }
+    for(handle in priv.timerHandles) {
+        this.clearTimeout(handle);
+    }
+    if (priv.scheduler) {
+        priv.scheduler.clear();
+        priv.scheduler = null;
+    }
+
+    // changes waiting to be committed by ClockBase.batch() are dropped
+    if (priv.batch) {
+        transaction.clocks.splice(transaction.clocks.indexOf(this), 1);
+        priv.batch = null;
+    }
+
+    this.emit("disposed", this);
+    this.removeAllListeners();
+
+    priv.disposed = true;
+    disableMethods(this);
+};
+
+/**
+ * @returns {Boolean} True if this clock has been [disposed]{@link ClockBase#dispose}.
+ */
+ClockBase.prototype.isDisposed = function() {
+    return PRIVATE.get(this).disposed;
+};
+
+// methods that still work once a clock has been disposed
+var KEEP_WHEN_DISPOSED = [ "dispose", "isDisposed", "toString" ];
+
+function disableMethods(clock) {
+    var proto = Object.getPrototypeOf(clock);
+
+    var disabled = function(name) {
+        return function() {
+            throw "Cannot call "+name+"() because the clock has been disposed.";
+        };
+    };
+
+    // stop at EventEmitter, so that listeners can still be added and removed
+    while (proto && proto !== EventEmitter.prototype) {
+        Object.getOwnPropertyNames(proto).forEach(function(name) {
+            var desc = Object.getOwnPropertyDescriptor(proto, name);
+            if (typeof desc.value === "function" && name !== "constructor" &&
+                KEEP_WHEN_DISPOSED.indexOf(name) < 0 && !clock.hasOwnProperty(name)) {
+                clock[name] = disabled(name);
+            }
+        });
+        proto = Object.getPrototypeOf(proto);
+    }
+}
 
 
 module.exports = ClockBase;
@@ -0,0 +1,278 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var WeakMap = require('weak-map');
+var PRIVATE = new WeakMap();
+
+var NANOS_PER_SEC = 1000000000;
+
+var INTEGER_STRING = /^-?[0-9]+$/;
+
+/* Convert a time value to a string of decimal digits. Numbers are accepted,
+ * but only if they are integers small enough to not be written with an exponent.
+ */
+var toIntegerString = function(value, name) {
+    if (typeof value === "number") {
+        if (!isFinite(value) || Math.floor(value) !== value || Math.abs(value) >= 1e21) {
+            throw "Invalid "+name+" (must be an integer, or a string of decimal digits): "+value;
+        }
+        return String(value);
+    } else if (typeof value === "string" && INTEGER_STRING.test(value)) {
+        return value;
+    } else {
+        throw "Invalid "+name+" (must be an integer, or a string of decimal digits): "+value;
+    }
+};
+
+/**
+ * @exports ControlTimestamp
+ * @class ControlTimestamp
+ *
+ * @classdesc
+ * This is an immutable object representing a Control Timestamp message of the
+ * DVB CSS Timeline Synchronisation protocol (CSS-TS).
+ *
+ * <p>A Control Timestamp describes the relationship between the wall clock and
+ * a timeline. It says that the timeline is at [contentTime]{@link ControlTimestamp#contentTime}
+ * (in ticks of the timeline) when the wall clock is at [wallClockTime]{@link ControlTimestamp#wallClockTime}
+ * (in nanoseconds), and that the timeline is progressing at
+ * [timelineSpeedMultiplier]{@link ControlTimestamp#timelineSpeedMultiplier} times normal speed.
+ * If <tt>contentTime</tt> and <tt>timelineSpeedMultiplier</tt> are <tt>null</tt>
+ * then the timeline is [unavailable]{@link ControlTimestamp#isAvailable}.
+ *
+ * <p>The time values are held as strings of decimal digits, exactly as
+ * they are sent in the JSON message. This is because they can be larger than the
+ * biggest integer that can be exactly represented as a Number. Values
+ * are only converted to Numbers when they are [applied]{@link applyControlTimestamp} to a clock,
+ * and are converted in a way that does not lose any more precision than is inevitable.
+ *
+ * @constructor
+ * @param {object} fields The properties of the Control Timestamp.
+ * @param {String|Number|null} fields.contentTime Time of the timeline (in ticks), or <tt>null</tt> if the timeline is unavailable.
+ * @param {String|Number} fields.wallClockTime Time of the wall clock (in nanoseconds).
+ * @param {Number|null} fields.timelineSpeedMultiplier Speed of the timeline, or <tt>null</tt> if the timeline is unavailable.
+ * @throws if any of the properties have invalid values.
+ *
+ * @example
+ * ct = new ControlTimestamp({ contentTime: "834190", wallClockTime: "1255000000", timelineSpeedMultiplier: 1.0 });
+ *
+ * unavailable = new ControlTimestamp({ contentTime: null, wallClockTime: "1255000000", timelineSpeedMultiplier: null });
+ */
+var ControlTimestamp = function(fields) {
+    PRIVATE.set(this, {});
+    var priv = PRIVATE.get(this);
+
+    if (fields.contentTime === null) {
+        priv.contentTime = null;
+    } else {
+        priv.contentTime = toIntegerString(fields.contentTime, "contentTime");
+    }
+
+    priv.wallClockTime = toIntegerString(fields.wallClockTime, "wallClockTime");
+
+    if (fields.timelineSpeedMultiplier === null) {
+        priv.timelineSpeedMultiplier = null;
+    } else if (typeof fields.timelineSpeedMultiplier === "number" && isFinite(fields.timelineSpeedMultiplier)) {
+        priv.timelineSpeedMultiplier = fields.timelineSpeedMultiplier;
+    } else {
+        throw "Invalid timelineSpeedMultiplier (must be a number, or null): "+fields.timelineSpeedMultiplier;
+    }
+
+    if ((priv.contentTime === null) !== (priv.timelineSpeedMultiplier === null)) {
+        throw "contentTime and timelineSpeedMultiplier must both be null, or both be not null.";
+    }
+};
+
+/**
+ * Parse a Control Timestamp from a JSON message.
+ *
+ * @param {String|object} json The JSON message, either as a string, or already parsed into an object.
+ * @returns {ControlTimestamp} The Control Timestamp.
+ * @throws if the message is not valid JSON, or does not describe a valid Control Timestamp.
+ *
+ * @example
+ * ct = ControlTimestamp.parse('{ "contentTime":"834190", "wallClockTime":"1255000000", "timelineSpeedMultiplier":1.0 }');
+ */
+ControlTimestamp.parse = function(json) {
+    var obj;
+
+    if (typeof json === "string") {
+        try {
+            obj = JSON.parse(json);
+        } catch (e) {
+            throw "Cannot parse Control Timestamp. Not valid JSON.";
+        }
+    } else {
+        obj = json;
+    }
+
+    if (typeof obj !== "object" || obj === null) {
+        throw "Cannot parse Control Timestamp. Expected a JSON object.";
+    }
+
+    return new ControlTimestamp({
+        contentTime: obj.contentTime,
+        wallClockTime: obj.wallClockTime,
+        timelineSpeedMultiplier: obj.timelineSpeedMultiplier
+    });
+};
+
+/**
+ * Convert a time value, held as a string of decimal digits, into ticks of
+ * a clock, without losing precision as a result of first converting the whole value to a Number.
+ *
+ * <p>The seconds and the fractions of a second are converted separately. If the
+ * tick rate is the same as the units of the time value, then no conversion is needed,
+ * and the result is as close as a Number can represent.
+ *
+ * @param {String} value A string of decimal digits (optionally preceded by a minus sign).
+ * @param {Number} unitsPerSec The units of the time value. Must be a power of 10 (e.g. 1000000000 for nanoseconds).
+ * @param {Number} tickRate The tick rate of the clock.
+ * @returns {Number} The time value in ticks of the clock.
+ */
+ControlTimestamp.convertToTicks = function(value, unitsPerSec, tickRate) {
+    if (unitsPerSec === tickRate) {
+        return Number(value);
+    }
+
+    var sign = 1;
+    if (value.charAt(0) === "-") {
+        sign = -1;
+        value = value.substr(1);
+    }
+
+    var digits = String(unitsPerSec).length - 1;
+    var whole = value.length > digits ? Number(value.substr(0, value.length - digits)) : 0;
+    var fraction = Number(value.substr(Math.max(0, value.length - digits)));
+
+    return sign * (whole * tickRate + fraction * tickRate / unitsPerSec);
+};
+
+["contentTime", "wallClockTime", "timelineSpeedMultiplier"].forEach(function(name) {
+    Object.defineProperty(ControlTimestamp.prototype, name, {
+        get: function()  { return PRIVATE.get(this)[name]; },
+        set: function(v) { throw "Cannot set this property, object is immutable. Use butWith() method."; }
+    });
+});
+
+/**
+ * @var {String|null} contentTime Time of the timeline (in ticks) as a string of decimal digits, or <tt>null</tt> if the timeline is unavailable. Read only.
+ * @memberof ControlTimestamp
+ * @instance
+ */
+
+/**
+ * @var {String} wallClockTime Time of the wall clock (in nanoseconds) as a string of decimal digits. Read only.
+ * @memberof ControlTimestamp
+ * @instance
+ */
+
+/**
+ * @var {Number|null} timelineSpeedMultiplier Speed of the timeline, or <tt>null</tt> if the timeline is unavailable. Read only.
+ * @memberof ControlTimestamp
+ * @instance
+ */
+
+/**
+ * Build a new Control Timestamp object, but with the properties changed listed as
+ * named properties of the object passed.
+ *
+ * @param {object} changes An object where the property names and values represent the properties of the Control Timestamp to be changed.
+ * @returns {ControlTimestamp} new ControlTimestamp object that is the same as this one, but with the specified changes.
+ * @throws if the resulting properties are invalid.
+ */
+ControlTimestamp.prototype.butWith = function(changes) {
+    var priv = PRIVATE.get(this);
+
+    if (typeof changes === "undefined") {
+        return this;
+    } else {
+        return new ControlTimestamp({
+            contentTime: (typeof changes.contentTime !== "undefined") ? changes.contentTime : priv.contentTime,
+            wallClockTime: (typeof changes.wallClockTime !== "undefined") ? changes.wallClockTime : priv.wallClockTime,
+            timelineSpeedMultiplier: (typeof changes.timelineSpeedMultiplier !== "undefined") ? changes.timelineSpeedMultiplier : priv.timelineSpeedMultiplier
+        });
+    }
+};
+
+/**
+ * @returns {Boolean} False if this Control Timestamp says that the timeline is unavailable, otherwise true.
+ */
+ControlTimestamp.prototype.isAvailable = function() {
+    return PRIVATE.get(this).contentTime !== null;
+};
+
+/**
+ * @returns {Number} The content time (in ticks of the timeline), or <tt>null</tt> if the timeline is unavailable.
+ */
+ControlTimestamp.prototype.getContentTime = function() {
+    var priv = PRIVATE.get(this);
+    if (priv.contentTime === null) {
+        return null;
+    }
+    return Number(priv.contentTime);
+};
+
+/**
+ * @param {Number} tickRate The tick rate of the clock representing the wall clock.
+ * @returns {Number} The wall clock time, converted to ticks of the clock representing the wall clock.
+ */
+ControlTimestamp.prototype.getWallClockTime = function(tickRate) {
+    return ControlTimestamp.convertToTicks(PRIVATE.get(this).wallClockTime, NANOS_PER_SEC, tickRate);
+};
+
+/**
+ * Compare this Control Timestamp with another to check if they are the same.
+ *
+ * @param {ControlTimestamp} obj - another Control Timestamp to compare with.
+ * @returns {Boolean} True if this Control Timestamp represents the same values as the one provided.
+ */
+ControlTimestamp.prototype.equals = function(obj) {
+    var priv = PRIVATE.get(this);
+    return obj instanceof ControlTimestamp &&
+        priv.contentTime === obj.contentTime &&
+        priv.wallClockTime === obj.wallClockTime &&
+        priv.timelineSpeedMultiplier === obj.timelineSpeedMultiplier;
+};
+
+/**
+ * @returns {object} This Control Timestamp in the form of the JSON message, with the time values as strings.
+ * It can be passed to [parse()]{@link ControlTimestamp.parse}.
+ */
+ControlTimestamp.prototype.toJSON = function() {
+    var priv = PRIVATE.get(this);
+    return {
+        contentTime: priv.contentTime,
+        wallClockTime: priv.wallClockTime,
+        timelineSpeedMultiplier: priv.timelineSpeedMultiplier
+    };
+};
+
+/**
+ * @returns {String} This Control Timestamp serialised as a JSON message, with the time values as strings.
+ */
+ControlTimestamp.prototype.serialise = function() {
+    return JSON.stringify(this.toJSON());
+};
+
+/**
+ * @returns {String} A human readable summary of this Control Timestamp.
+ */
+ControlTimestamp.prototype.toString = function() {
+    return "ControlTimestamp("+this.serialise()+")";
+};
+
+module.exports = ControlTimestamp;
@@ -0,0 +1,234 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var EventEmitter = require("events");
+var inherits = require('inherits');
+var ControlTimestamp = require('./ControlTimestamp');
+
+var WeakMap = require('weak-map');
+var PRIVATE = new WeakMap();
+
+/**
+ * A new Control Timestamp has been generated, because the timeline has changed
+ * significantly, or its availability has changed.
+ *
+ * <p>The following parameters are passed as arguments to the event handler:
+ * @event controlTimestamp
+ * @param {ControlTimestamp} ct The new Control Timestamp.
+ */
+
+/**
+ * @exports ControlTimestampGenerator
+ * @class ControlTimestampGenerator
+ *
+ * @classdesc
+ * Generates DVB CSS Timeline Synchronisation protocol (CSS-TS) Control Timestamps,
+ * for a server, from a clock representing a timeline.
+ *
+ * <p>A Control Timestamp relates the timeline clock to the wall clock. The clocks must be part of the same
+ * hierarchy, but the timeline clock does not need to be a direct child of the wall clock. The
+ * content time in the Control Timestamp is a whole number of ticks of the timeline clock, and the
+ * wall clock time is the equivalent time of the wall clock, in nanoseconds.
+ *
+ * <p>The generator listens for [change]{@link event:change}, [available]{@link event:available}
+ * and [unavailable]{@link event:unavailable} events from the timeline clock. A new
+ * Control Timestamp is only generated if the relationship between the timeline clock and the wall clock
+ * has changed significantly since the last Control Timestamp was generated. This is determined
+ * in the same way as [isChangeSignificant()]{@link CorrelatedClock#isChangeSignificant}, using a threshold.
+ * A new Control Timestamp is always generated when the timeline clock becomes unavailable (with
+ * <tt>contentTime</tt> and <tt>timelineSpeedMultiplier</tt> set to <tt>null</tt>) or available again.
+ * The timeline is also treated as unavailable while the wall clock is paused (its
+ * [effective speed]{@link ClockBase#getEffectiveSpeed} is zero), because the timeline cannot then be described
+ * in terms of the wall clock.
+ *
+ * <p>Each new Control Timestamp is passed to handlers of the [controlTimestamp]{@link event:controlTimestamp}
+ * event. Use its [serialise()]{@link ControlTimestamp#serialise} method to obtain the JSON message to send.
+ *
+ * @constructor
+ * @param {ClockBase} timelineClock The clock representing the timeline.
+ * @param {ClockBase} wallClock The clock representing the wall clock.
+ * @param {object} [options] Options for the generator.
+ * @param {Number} [options.thresholdSecs] Changes to the timeline of this many seconds or less are not considered significant.
+ * @default thresholdSecs: 0
+ *
+ * @example
+ * wallClock = new CorrelatedClock(sysClock, {tickRate:1000000000});
+ * timelineClock = new CorrelatedClock(wallClock, {tickRate:90000});
+ *
+ * generator = new ControlTimestampGenerator(timelineClock, wallClock, {thresholdSecs: 0.001});
+ * generator.on("controlTimestamp", function(ct) {
+ *     ws.send(ct.serialise());
+ * });
+ *
+ * // send to a newly connected client
+ * ws.send(generator.getControlTimestamp().serialise());
+ */
+var ControlTimestampGenerator = function(timelineClock, wallClock, options) {
+    EventEmitter.call(this);
+
+    PRIVATE.set(this, {});
+    var priv = PRIVATE.get(this);
+
+    priv.timelineClock = timelineClock;
+    priv.wallClock = wallClock;
+
+    if (options && (typeof options.thresholdSecs !== "undefined")) {
+        priv.thresholdSecs = options.thresholdSecs;
+    } else {
+        priv.thresholdSecs = 0;
+    }
+
+    priv.ct = this._generate();
+    priv.handler = this.update.bind(this);
+
+    ["change", "available", "unavailable"].forEach(function(event) {
+        timelineClock.on(event, priv.handler);
+    });
+
+    priv.onDisposed = this.stop.bind(this);
+    timelineClock.on("disposed", priv.onDisposed);
+};
+
+inherits(ControlTimestampGenerator, EventEmitter);
+
+/**
+ * Check if the timeline has changed significantly, or changed availability, since the
+ * most recent Control Timestamp was generated, and if so, generate a new one.
+ *
+ * <p>This is called automatically when the timeline clock fires events.
+ *
+ * @returns {Boolean} True if a new Control Timestamp was generated.
+ * @fires controlTimestamp
+ */
+ControlTimestampGenerator.prototype.update = function() {
+    var priv = PRIVATE.get(this);
+    var ct = this._generate();
+
+    if (ct.isAvailable() && priv.ct.isAvailable()) {
+        if (!this._isSignificant(ct)) {
+            return false;
+        }
+    } else if (ct.isAvailable() === priv.ct.isAvailable()) {
+        return false;
+    }
+
+    priv.ct = ct;
+    this.emit("controlTimestamp", ct);
+    return true;
+};
+
+/**
+ * @returns {ControlTimestamp} The most recently generated Control Timestamp. This is the one that should be sent to newly connected clients.
+ */
+ControlTimestampGenerator.prototype.getControlTimestamp = function() {
+    return PRIVATE.get(this).ct;
+};
+
+/**
+ * @returns {Number} The threshold (in seconds) for changes to be considered significant.
+ */
+ControlTimestampGenerator.prototype.getThresholdSecs = function() {
+    return PRIVATE.get(this).thresholdSecs;
+};
+
+/**
+ * Set the threshold (in seconds) for changes to be considered significant.
+ * This does not cause a new Control Timestamp to be generated.
+ * @param {Number} thresholdSecs Changes to the timeline of this many seconds or less will not be considered significant.
+ */
+ControlTimestampGenerator.prototype.setThresholdSecs = function(thresholdSecs) {
+    PRIVATE.get(this).thresholdSecs = thresholdSecs;
+};
+
+/**
+ * Stop listening for events from the timeline clock. No more Control Timestamps will be generated automatically.
+ *
+ * <p>This happens automatically if the timeline clock is [disposed]{@link ClockBase#dispose}.
+ */
+ControlTimestampGenerator.prototype.stop = function() {
+    var priv = PRIVATE.get(this);
+
+    ["change", "available", "unavailable"].forEach(function(event) {
+        priv.timelineClock.removeListener(event, priv.handler);
+    });
+    priv.timelineClock.removeListener("disposed", priv.onDisposed);
+};
+
+ControlTimestampGenerator.prototype._generate = function() {
+    var priv = PRIVATE.get(this);
+    var timeline = priv.timelineClock;
+    var wall = priv.wallClock;
+
+    var wallTime = wall.now();
+
+    // a paused wall clock cannot be related to the timeline, so treat the timeline as unavailable
+    if (!timeline.isAvailable() || wall.getEffectiveSpeed() === 0) {
+        return new ControlTimestamp({
+            contentTime: null,
+            wallClockTime: Math.round(wall.getNanos()),
+            timelineSpeedMultiplier: null
+        });
+    }
+
+    var speed = timeline.getEffectiveSpeed() / wall.getEffectiveSpeed();
+
+    // use a whole number of ticks for the content time, and if possible adjust
+    // the wall clock time to match it, rather than the other way around
+    var contentTime = Math.round(wall.toOtherClockTime(timeline, wallTime));
+    if (speed !== 0) {
+        wallTime = timeline.toOtherClockTime(wall, contentTime);
+    }
+
+    return new ControlTimestamp({
+        contentTime: contentTime,
+        wallClockTime: Math.round(wallTime * 1000000000 / wall.getTickRate()),
+        timelineSpeedMultiplier: speed
+    });
+};
+
+// Is the timeline described by a new Control Timestamp significantly different to the one described
+// by the most recent Control Timestamp? Worked out in the same way as CorrelatedClock.quantifyChange()
+ControlTimestampGenerator.prototype._isSignificant = function(ct) {
+    var priv = PRIVATE.get(this);
+    var sent = priv.ct;
+    var speed = sent.timelineSpeedMultiplier;
+    var tickRate = priv.timelineClock.getTickRate();
+    var wallTickRate = priv.wallClock.getTickRate();
+    var diffSecs;
+
+    if (ct.timelineSpeedMultiplier != speed) {
+        diffSecs = Number.POSITIVE_INFINITY;
+    } else if (speed !== 0) {
+        // compare with when the most recent Control Timestamp says the new content time is reached
+        var projectedWallTime = sent.getWallClockTime(wallTickRate) +
+            (ct.getContentTime() - sent.getContentTime()) * wallTickRate / tickRate / speed;
+        diffSecs = Math.abs(ct.getWallClockTime(wallTickRate) - projectedWallTime) / wallTickRate;
+    } else {
+        diffSecs = Math.abs(ct.getContentTime() - sent.getContentTime()) / tickRate;
+    }
+
+    return diffSecs > priv.thresholdSecs;
+};
+
+/**
+ * @returns {String} A human readable summary of this generator.
+ */
+ControlTimestampGenerator.prototype.toString = function() {
+    var priv = PRIVATE.get(this);
+    return "ControlTimestampGenerator({thresholdSecs:"+priv.thresholdSecs+"}) timelineClock="+priv.timelineClock.id+" wallClock="+priv.wallClock.id;
+};
+
+module.exports = ControlTimestampGenerator;
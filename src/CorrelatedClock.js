@@ -33,6 +33,11 @@ var Correlation = require('./Correlation');
 var WeakMap = require('weak-map');
 var PRIVATE = new WeakMap();
 
+// Time of the parent clock now, or NaN if there is no parent. The time of the clock is
+// measured at this same moment before and after a change, to work out how far it jumped.
+function parentNow(priv) {
+    return priv.parent ? priv.parent.now() : NaN;
+}
 
 /**
  * @exports CorrelatedClock
@@ -113,8 +118,19 @@ var CorrelatedClock = function(parent, options) {
     }
 
     priv.parentHandlers = {
-        "change" : function(causeClock) {
-            this.emit("change", this);
+        "change" : function(causeClock, change) {
+            var priv = PRIVATE.get(this);
+            var oldParentTickRate = priv.parentTickRate;
+            var secs = NaN;
+            priv.parentTickRate = priv.parent.getTickRate();
+            if (priv.speed === 0) {
+                secs = 0;
+            } else if (change) {
+                // a jump of the parent is scaled by our speed. The correlation is in ticks of the parent,
+                // so if its tick rate changed, then the point we extrapolate from moved too
+                secs = priv.speed * (change.discontinuitySecs + priv.corr.parentTime / oldParentTickRate - priv.corr.parentTime / priv.parentTickRate);
+            }
+            this.notifyAncestorChange(change, secs);
         }.bind(this),
         "available" : this.notifyAvailabilityChange.bind(this),
         "unavailable" : this.notifyAvailabilityChange.bind(this),
@@ -171,8 +187,12 @@ CorrelatedClock.prototype.getSpeed = function() {
 CorrelatedClock.prototype.setSpeed = function(newSpeed) {
     var priv = PRIVATE.get(this);
     if (priv.speed != newSpeed) {
+        var oldSpeed = priv.speed;
+        this._joinBatch();
+        var when = parentNow(priv);
+        var before = this.fromParentTime(when) / priv.freq;
         priv.speed = newSpeed;
-        this.emit("change", this);
+        this.notifyChange("speed", oldSpeed, newSpeed, this.fromParentTime(when) / priv.freq - before);
     }
 };
 
@@ -190,8 +210,12 @@ CorrelatedClock.prototype.setTickRate = function(newTickRate) {
     var priv = PRIVATE.get(this);
 
     if (priv.freq != newTickRate) {
+        var oldTickRate = priv.freq;
+        this._joinBatch();
+        var when = parentNow(priv);
+        var before = this.fromParentTime(when) / priv.freq;
         priv.freq = newTickRate;
-        this.emit("change", this);
+        this.notifyChange("tickRate", oldTickRate, newTickRate, this.fromParentTime(when) / priv.freq - before);
     }
 };
 
@@ -245,8 +269,15 @@ CorrelatedClock.prototype.getCorrelation = function() {
  * @param {Correlation} newCorrelation The new correlation for this clock
  */
 CorrelatedClock.prototype.setCorrelation = function(newCorrelation) {
-    PRIVATE.get(this).corr = new Correlation(newCorrelation);
-    this.emit("change", this);
+    var priv = PRIVATE.get(this);
+    var oldCorrelation = priv.corr;
+
+    newCorrelation = new Correlation(newCorrelation);
+    this._joinBatch();
+    var when = parentNow(priv);
+    var before = this.fromParentTime(when) / priv.freq;
+    priv.corr = newCorrelation;
+    this.notifyChange("correlation", oldCorrelation, newCorrelation, this.fromParentTime(when) / priv.freq - before);
 };
 
 /**
@@ -260,10 +291,15 @@ CorrelatedClock.prototype.setCorrelation = function(newCorrelation) {
  */
 CorrelatedClock.prototype.setCorrelationAndSpeed = function(newCorrelation, newSpeed) {
     var priv = PRIVATE.get(this);
+    var oldValue = { correlation: priv.corr, speed: priv.speed };
 
-    priv.corr = new Correlation(newCorrelation);
+    newCorrelation = new Correlation(newCorrelation);
+    this._joinBatch();
+    var when = parentNow(priv);
+    var before = this.fromParentTime(when) / priv.freq;
+    priv.corr = newCorrelation;
     priv.speed = newSpeed;
-    this.emit("change",this);
+    this.notifyChange("correlationAndSpeed", oldValue, { correlation: newCorrelation, speed: newSpeed }, this.fromParentTime(when) / priv.freq - before);
 };
 
 /**
@@ -325,6 +361,10 @@ CorrelatedClock.prototype.setParent = function(newParent) {
     var event;
 
     if (priv.parent != newParent) {
+        var oldParent = priv.parent;
+        this._joinBatch();
+        var oldNow = this.now();
+
         if (priv.parent) {
             for(event in priv.parentHandlers) {
                 priv.parent.removeListener(event, priv.parentHandlers[event]);
@@ -332,15 +372,34 @@ CorrelatedClock.prototype.setParent = function(newParent) {
         }
 
         priv.parent = newParent;
+        this._updateChildRegistries(oldParent, newParent);
 
         if (priv.parent) {
+            priv.parentTickRate = priv.parent.getTickRate();
             for(event in priv.parentHandlers) {
                 priv.parent.on(event, priv.parentHandlers[event]);
             }
         }
 
-        this.emit("change", this);
+        this.notifyChange("parent", oldParent, newParent, (this.now() - oldNow) / priv.freq);
+    }
+};
+
+/**
+ * @inheritdoc
+ */
+CorrelatedClock.prototype.dispose = function() {
+    var priv = PRIVATE.get(this);
+    var event;
+
+    if (priv.parent && !this.isDisposed()) {
+        for(event in priv.parentHandlers) {
+            priv.parent.removeListener(event, priv.parentHandlers[event]);
+        }
+        this._updateChildRegistries(priv.parent, null);
+        priv.parent = null;
     }
+    ClockBase.prototype.dispose.call(this);
 };
 
 /**
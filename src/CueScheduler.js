@@ -0,0 +1,330 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var EventEmitter = require("events");
+var inherits = require('inherits');
+
+var WeakMap = require('weak-map');
+var PRIVATE = new WeakMap();
+
+/**
+ * A cue has become active.
+ *
+ * <p>The following parameters are passed as arguments to the event handler:
+ * @event enter
+ * @param {object} cue The cue.
+ */
+
+/**
+ * A cue is no longer active.
+ *
+ * <p>The following parameters are passed as arguments to the event handler:
+ * @event exit
+ * @param {object} cue The cue.
+ */
+
+/**
+ * @exports CueScheduler
+ * @class CueScheduler
+ *
+ * @classdesc
+ * Tracks which of a list of cues are active, as a clock representing a timeline plays,
+ * and fires [enter]{@link event:enter} and [exit]{@link event:exit} events as they
+ * become active or stop being active.
+ *
+ * <p>Each cue is an object with the following properties:
+ * <ul>
+ *   <li> <tt>start</tt> (Number) the time of the clock at which the cue starts.
+ *   <li> <tt>end</tt> (Number) the time of the clock at which the cue ends. This is optional. If there is no end, then the cue
+ *        stays active for all times after its start.
+ *   <li> <tt>payload</tt> (any) data associated with the cue, that is not used by the scheduler.
+ * </ul>
+ * A cue is active when the clock is available, and its time is at or after the start of the cue, and before its end.
+ *
+ * <p>When the clock is playing backwards (its [effective speed]{@link ClockBase#getEffectiveSpeed} is negative),
+ * cues are active when the time of the clock is after the start of the cue, and at or before its end. This means that a cue
+ * becomes active or stops being active when the clock crosses its start or end, in whichever direction it is playing.
+ *
+ * <p>The scheduler only ever has one timer scheduled on the clock, for the next time at which a cue starts or ends,
+ * in the direction the clock is playing. There is no timer if the clock is paused (its speed is zero).
+ * It listens for [change]{@link event:change}, [available]{@link event:available}
+ * and [unavailable]{@link event:unavailable} events from the clock, so that seeking (in either direction), changes of speed,
+ * and the clock becoming unavailable (when no cues are active) are handled immediately. When the set of active cues changes,
+ * [exit]{@link event:exit} events for the cues that are no longer active are fired first, in order of their start times,
+ * followed by [enter]{@link event:enter} events for the newly active cues, also in order of their start times.
+ * The set of [active cues]{@link CueScheduler#getActiveCues} is updated as each event is fired.
+ *
+ * @constructor
+ * @param {ClockBase} clock The clock representing the timeline.
+ * @param {object[]} [cues] The initial list of cues.
+ * @throws if a cue is not valid.
+ *
+ * @example
+ * timelineClock = new CorrelatedClock(wallClock, {tickRate:1000});
+ *
+ * scheduler = new CueScheduler(timelineClock, [
+ *     { start: 5000, end: 8000, payload: "Hello" },
+ *     { start: 7000, end: 9500, payload: "World" }
+ * ]);
+ *
+ * scheduler.on("enter", function(cue) { show(cue.payload); });
+ * scheduler.on("exit", function(cue) { hide(cue.payload); });
+ */
+var CueScheduler = function(clock, cues) {
+    EventEmitter.call(this);
+
+    PRIVATE.set(this, {});
+    var priv = PRIVATE.get(this);
+
+    priv.clock = clock;
+    priv.cues = [];
+    priv.active = [];
+    priv.timer = null;
+    priv.reached = null;
+    priv.updating = false;
+    priv.updateAgain = false;
+
+    if (cues) {
+        cues.forEach(function(cue) {
+            checkCue(cue);
+            priv.cues.push(cue);
+        });
+        priv.cues.sort(byStart);
+    }
+
+    priv.handler = this.update.bind(this);
+
+    priv.onTimer = function(when) {
+        priv.timer = null;
+        priv.reached = when;
+        this.update();
+    }.bind(this);
+
+    ["change", "available", "unavailable"].forEach(function(event) {
+        clock.on(event, priv.handler);
+    });
+
+    priv.onDisposed = this.stop.bind(this);
+    clock.on("disposed", priv.onDisposed);
+
+    this.update();
+};
+
+inherits(CueScheduler, EventEmitter);
+
+/**
+ * Add a cue. If it is already active, then an [enter]{@link event:enter} event is fired for it.
+ * @param {object} cue The cue.
+ * @returns {object} The cue.
+ * @throws if the cue is not valid.
+ * @fires enter
+ */
+CueScheduler.prototype.addCue = function(cue) {
+    var priv = PRIVATE.get(this);
+
+    checkCue(cue);
+    priv.cues.push(cue);
+    priv.cues.sort(byStart);
+    this.update();
+    return cue;
+};
+
+/**
+ * Remove a cue. If it was active, then an [exit]{@link event:exit} event is fired for it.
+ * @param {object} cue The cue, as passed to [addCue()]{@link CueScheduler#addCue} or the constructor.
+ * @returns {Boolean} True if the cue was removed, or false if it was not one of the cues of this scheduler.
+ * @fires exit
+ */
+CueScheduler.prototype.removeCue = function(cue) {
+    var priv = PRIVATE.get(this);
+    var i = priv.cues.indexOf(cue);
+
+    if (i < 0) {
+        return false;
+    }
+    priv.cues.splice(i, 1);
+    this.update();
+    return true;
+};
+
+/**
+ * @returns {object[]} All the cues, in order of their start times.
+ */
+CueScheduler.prototype.getCues = function() {
+    return PRIVATE.get(this).cues.slice();
+};
+
+/**
+ * @returns {object[]} The cues that are currently active, in order of their start times.
+ */
+CueScheduler.prototype.getActiveCues = function() {
+    return PRIVATE.get(this).active.slice();
+};
+
+/**
+ * @param {object} cue A cue.
+ * @returns {Boolean} True if the cue is currently active.
+ */
+CueScheduler.prototype.isActive = function(cue) {
+    return PRIVATE.get(this).active.indexOf(cue) >= 0;
+};
+
+/**
+ * Work out which cues are active, firing [exit]{@link event:exit} and [enter]{@link event:enter} events for
+ * any changes, and schedule a timer for the next time at which a cue starts or ends.
+ *
+ * <p>This is called automatically when the clock fires events, and by the timer.
+ *
+ * @fires enter
+ * @fires exit
+ */
+CueScheduler.prototype.update = function() {
+    var priv = PRIVATE.get(this);
+
+    // if called from within an event handler (for example, because the handler seeks the clock)
+    // then update again once the current update has finished
+    if (priv.updating) {
+        priv.updateAgain = true;
+        return;
+    }
+
+    priv.updating = true;
+    try {
+        do {
+            priv.updateAgain = false;
+            this._update();
+        } while (priv.updateAgain);
+    } finally {
+        priv.updating = false;
+    }
+};
+
+/**
+ * Stop listening for events from the clock, and cancel the timer. No more events will be fired,
+ * and the set of active cues is not changed.
+ *
+ * <p>This happens automatically if the clock is [disposed]{@link ClockBase#dispose}.
+ */
+CueScheduler.prototype.stop = function() {
+    var priv = PRIVATE.get(this);
+
+    ["change", "available", "unavailable"].forEach(function(event) {
+        priv.clock.removeListener(event, priv.handler);
+    });
+    priv.clock.removeListener("disposed", priv.onDisposed);
+    this._clearTimer();
+};
+
+CueScheduler.prototype._update = function() {
+    var priv = PRIVATE.get(this);
+    var clock = priv.clock;
+    var available = clock.isAvailable();
+    var now = clock.now();
+    var backwards = clock.getEffectiveSpeed() < 0;
+    var i, cue;
+
+    // when the timer fires, the time of the clock might not quite match the time it was set for,
+    // due to rounding errors, but the cues starting or ending at that time must still be
+    // treated as having been reached
+    if (priv.reached !== null) {
+        now = backwards ? Math.min(now, priv.reached) : Math.max(now, priv.reached);
+        priv.reached = null;
+    }
+
+    this._clearTimer();
+
+    var isActive = function(cue) {
+        if (!available || isNaN(now)) {
+            return false;
+        } else if (backwards) {
+            return cue.start < now && (cue.end === undefined || cue.end === null || now <= cue.end);
+        } else {
+            return cue.start <= now && (cue.end === undefined || cue.end === null || now < cue.end);
+        }
+    };
+
+    var exiting = priv.active.filter(function(cue) { return !isActive(cue) || priv.cues.indexOf(cue) < 0; });
+    var entering = priv.cues.filter(function(cue) { return isActive(cue) && priv.active.indexOf(cue) < 0; });
+
+    for(i=0; i<exiting.length; i++) {
+        cue = exiting[i];
+        priv.active.splice(priv.active.indexOf(cue), 1);
+        this.emit("exit", cue);
+    }
+
+    for(i=0; i<entering.length; i++) {
+        cue = entering[i];
+        priv.active.push(cue);
+        priv.active.sort(byStart);
+        this.emit("enter", cue);
+    }
+
+    if (available && clock.getEffectiveSpeed() !== 0) {
+        var next = this._nextBoundary(now, backwards);
+        if (!isNaN(next)) {
+            priv.timer = clock.setAtTime(priv.onTimer, next, next);
+        }
+    }
+};
+
+// the next time, in the direction of play, at which a cue starts or ends
+CueScheduler.prototype._nextBoundary = function(now, backwards) {
+    var next = NaN;
+
+    PRIVATE.get(this).cues.forEach(function(cue) {
+        [cue.start, cue.end].forEach(function(t) {
+            if (t === undefined || t === null) {
+                return;
+            }
+            if (backwards ? (t < now && !(t <= next)) : (t > now && !(t >= next))) {
+                next = t;
+            }
+        });
+    });
+    return next;
+};
+
+CueScheduler.prototype._clearTimer = function() {
+    var priv = PRIVATE.get(this);
+
+    if (priv.timer !== null) {
+        priv.clock.clearTimeout(priv.timer);
+        priv.timer = null;
+    }
+};
+
+/**
+ * @returns {String} A human readable summary of this scheduler.
+ */
+CueScheduler.prototype.toString = function() {
+    var priv = PRIVATE.get(this);
+    return "CueScheduler(cues:"+priv.cues.length+", active:"+priv.active.length+") clock="+priv.clock.id;
+};
+
+function checkCue(cue) {
+    if (!cue || typeof cue.start !== "number" || isNaN(cue.start)) {
+        throw "Invalid cue. Must have a start time.";
+    }
+    if (cue.end !== undefined && cue.end !== null && !(cue.end > cue.start)) {
+        throw "Invalid cue. The end time must be after the start time.";
+    }
+}
+
+function byStart(a, b) {
+    return a.start - b.start;
+}
+
+module.exports = CueScheduler;
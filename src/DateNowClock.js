@@ -15,8 +15,9 @@
 *****************************************************************************/
 
 var inherits = require('inherits');
-var ClockBase = require('./ClockBase');
+var RootClockBase = require('./RootClockBase');
 var measurePrecision = require('./measurePrecision');
+var monotonicTime = require('./monotonicTime');
 
 var WeakMap = require('weak-map');
 var PRIVATE = new WeakMap();
@@ -26,11 +27,11 @@ var DATENOW_PRECISION = measurePrecision(Date.now.bind(Date), 100) / 1000;
 /**
  * @exports DateNowClock
  * @class DateNowClock
- * @extends ClockBase
+ * @extends RootClockBase
  *
  * @classdesc
  * Root clock based on <tt>Date.now()</tt>.
- * It is a subclass of {@link ClockBase}.
+ * It is a subclass of {@link RootClockBase}.
  *
  * <p>This clock can be used as the root of a hierarchy of clocks. It uses
  * <tt>Date.now()</tt> as its underlying system clock. However this clock can
@@ -40,12 +41,28 @@ var DATENOW_PRECISION = measurePrecision(Date.now.bind(Date), 100) / 1000;
  * class is first imported. The dispersion reported by this clock will always
  * equal the measurement precision.
  *
+ * <p>Optionally, this clock can detect when <tt>Date.now()</tt> jumps, such as
+ * when the system clock is stepped by NTP or changed by the user. It does this by
+ * comparing the progress of <tt>Date.now()</tt> against a monotonic time source
+ * (<tt>performance.now()</tt> by default). A check is made whenever
+ * [checkForJump()]{@link DateNowClock#checkForJump} is called, and can also be made
+ * periodically. Reading the time with [now()]{@link DateNowClock#now} does not check.
+ * Because the two time sources may run at slightly different rates, the discrepancy
+ * allowed grows with the time since the last check, by the maximum frequency error. When a jump
+ * is detected, a [change]{@link event:change} event is fired, with a cause of <tt>"time"</tt>,
+ * and the size of the jump (in seconds) as the discontinuity in its [descriptor]{@link changeDescriptor}.
+ * This means that descendant clocks, and their timers, are notified of the jump.
+ *
  * @constructor
  * @override
  * @param {object} [options] Options for this clock
  * @param {Number} [options.tickRate] Initial tick rate for this clock (in ticks per second).
  * @param {Number} [options.maxFreqErrorPpm] The maximum frequency error of the underlying clock (in ppm).
- * @default tickRate: 1000, maxFreqErrorPpm: 50
+ * @param {Boolean} [options.detectJumps] Whether to detect jumps in <tt>Date.now()</tt>.
+ * @param {Number} [options.jumpThresholdSecs] Minimum discrepancy (in seconds) between <tt>Date.now()</tt> and the monotonic time source that is considered to be a jump, in addition to the drift allowed for by <tt>maxFreqErrorPpm</tt>.
+ * @param {Number} [options.jumpCheckIntervalMillis] If specified, how often (in milliseconds) to periodically check for jumps.
+ * @param {Function} [options.monotonicTimeSource] Function to use instead of <tt>performance.now()</tt> as the monotonic time source. Must return a time in milliseconds.
+ * @default tickRate: 1000, maxFreqErrorPpm: 50, detectJumps: false, jumpThresholdSecs: 0.1
  *
  * @example
  * // milliseconds (default)
@@ -57,53 +74,91 @@ var DATENOW_PRECISION = measurePrecision(Date.now.bind(Date), 100) / 1000;
  * // nanoseconds, lower freq error than default
  * root = new DateNowClock({tickRate: 1000000000, maxFreqErrorPpm: 10 }); 
  *
+ * // detect jumps of 50ms or more, checking every 500ms
+ * root = new DateNowClock({detectJumps: true, jumpThresholdSecs: 0.05, jumpCheckIntervalMillis: 500 });
+ * root.on("change", function(source, change) { ... change.discontinuitySecs ... });
+ *
  * @abstract
  */
 var DateNowClock = function(options) {
-    ClockBase.call(this);
-    
+    RootClockBase.call(this, options, 1000, DATENOW_PRECISION);
+
     PRIVATE.set(this, {});
     var priv = PRIVATE.get(this);
 
-    if (options && (typeof options.tickRate !== "undefined")) {
-        if (options.tickRate <= 0) {
-            throw "Cannot have tickrate of zero or less";
+    priv.detectJumps = Boolean(options && options.detectJumps);
+
+    if (priv.detectJumps) {
+        if (typeof options.jumpThresholdSecs !== "undefined") {
+            priv.jumpThresholdSecs = options.jumpThresholdSecs;
+        } else {
+            priv.jumpThresholdSecs = 0.1;
         }
-        priv.freq = options.tickRate;
-    } else {
-        priv.freq = 1000;
-    }
 
-    if (options && (typeof options.maxFreqErrorPpm !== "undefined")) {
-        priv.maxFreqErrorPpm = options.maxFreqErrorPpm;
-    } else {
-        priv.maxFreqErrorPpm = 50;
+        if (typeof options.monotonicTimeSource !== "undefined") {
+            priv.monotonicTimeSource = options.monotonicTimeSource;
+        } else {
+            priv.monotonicTimeSource = monotonicTime.performanceNow("monotonicTimeSource");
+        }
+
+        priv.anchorDate = Date.now();
+        priv.anchorMonotonic = priv.monotonicTimeSource();
+
+        if (typeof options.jumpCheckIntervalMillis !== "undefined") {
+            priv.jumpCheckTimer = setInterval(this.checkForJump.bind(this), options.jumpCheckIntervalMillis);
+            // do not let periodic checking keep a Node.js process alive
+            if (priv.jumpCheckTimer && typeof priv.jumpCheckTimer.unref === "function") {
+                priv.jumpCheckTimer.unref();
+            }
+        }
     }
-    
-    priv.precision = DATENOW_PRECISION;
 };
 
-inherits(DateNowClock, ClockBase);
+inherits(DateNowClock, RootClockBase);
 
 /**
  * @inheritdoc
  */
 DateNowClock.prototype.now = function() {
-    return Date.now() / 1000 * PRIVATE.get(this).freq;
+    return Date.now() / 1000 * this.getTickRate();
 };
 
 /**
- * @inheritdoc
+ * Check if <tt>Date.now()</tt> has jumped since the last check. This does nothing unless
+ * this clock was created with the <tt>detectJumps</tt> option set to true.
+ *
+ * @returns {Number} The size of the jump (in seconds), or zero if no jump was detected.
+ * Positive values mean the jump was forwards.
+ * @fires change
  */
-DateNowClock.prototype.getTickRate = function() {
-    return PRIVATE.get(this).freq;
-};
+DateNowClock.prototype.checkForJump = function() {
+    var priv = PRIVATE.get(this);
 
-/**
- * @inheritdoc
- */
-DateNowClock.prototype.calcWhen = function(t) {
-    return t / PRIVATE.get(this).freq * 1000;
+    if (!priv.detectJumps) {
+        return 0;
+    }
+
+    var dateNow = Date.now();
+    var monotonicNow = priv.monotonicTimeSource();
+    var elapsed = monotonicNow - priv.anchorMonotonic;
+    var expected = priv.anchorDate + elapsed;
+    var jumpSecs = (dateNow - expected) / 1000;
+
+    // the two time sources can drift apart by up to the maximum frequency error
+    var thresholdSecs = priv.jumpThresholdSecs + Math.abs(elapsed) / 1000 * this.getRootMaxFreqError() / 1000000;
+
+    // re-anchor every time, so that slow drift between the two time
+    // sources does not accumulate and eventually look like a jump
+    priv.anchorDate = dateNow;
+    priv.anchorMonotonic = monotonicNow;
+
+    if (Math.abs(jumpSecs) >= thresholdSecs) {
+        var freq = this.getTickRate();
+        this.notifyChange("time", expected / 1000 * freq, dateNow / 1000 * freq, jumpSecs);
+        return jumpSecs;
+    } else {
+        return 0;
+    }
 };
 
 /**
@@ -114,61 +169,21 @@ DateNowClock.prototype.calcWhen = function(t) {
  * 'DateNowClock({tickRate:1000, maxFreqErrorPpm:50}) [clock_0]'
  */
 DateNowClock.prototype.toString = function() {
-    var priv = PRIVATE.get(this);
-    return "DateNowClock({tickRate:"+priv.freq+", maxFreqErrorPpm:"+priv.maxFreqErrorPpm+"}) ["+this.id+"]";
-};
-
-/**
- * @inheritdoc
- */
-DateNowClock.prototype.toParentTime = function(t) {
-    throw "Clock has no parent.";
-};
-
-/**
- * @inheritdoc
- */
-DateNowClock.prototype.fromParentTime = function(t) {
-    throw "Clock has no parent.";
+    return "DateNowClock({tickRate:"+this.getTickRate()+", maxFreqErrorPpm:"+this.getRootMaxFreqError()+"}) ["+this.id+"]";
 };
 
 /**
+ * Also stops periodic checking for jumps in <tt>Date.now()</tt>.
  * @inheritdoc
  */
-DateNowClock.prototype.getParent = function() {
-    return null;
-};
-
-/**
- * The parent of this clock is always <tt>null</tt> and cannot be changed.
- * @throws because this clock cannot have a parent.
- */
-DateNowClock.prototype.setParent = function(newParent) {
-    throw "Cannot set a parent for this clock.";
-};
+DateNowClock.prototype.dispose = function() {
+    var priv = PRIVATE.get(this);
 
-/**
- * This clock is always available, and so its [availabilityFlag]{@link DateNowClock#availabilityFlag} cannot be changed.
- * @throws because this clock cannot have its availabilty changed.
- */
-DateNowClock.prototype.setAvailabilityFlag = function(availability) {
-    if (!availability) {
-        throw "Cannot change availability of this clock.";
+    if (priv.jumpCheckTimer) {
+        clearInterval(priv.jumpCheckTimer);
+        priv.jumpCheckTimer = null;
     }
-};
-
-/**
- * @inheritdoc
- */
-DateNowClock.prototype._errorAtTime = function(t) {
-    return PRIVATE.get(this).precision;
-};
-
-/**
- * @inheritdoc
- */
-DateNowClock.prototype.getRootMaxFreqError = function() {
-    return PRIVATE.get(this).maxFreqErrorPpm;
+    RootClockBase.prototype.dispose.call(this);
 };
 
 module.exports = DateNowClock;
@@ -0,0 +1,293 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var WeakMap = require('weak-map');
+var PRIVATE = new WeakMap();
+
+/**
+ * @exports DriftEstimator
+ * @class DriftEstimator
+ *
+ * @classdesc
+ * Estimates the drift (frequency error) between a {@link CorrelatedClock} and its parent,
+ * from the history of correlations that the clock is given.
+ *
+ * <p>When a clock is repeatedly given new correlations by a synchronisation protocol
+ * (for example, by a {@link LowestDispersionAlgorithm}), each correlation
+ * measures the offset between the clock and its parent at a point in time. If the
+ * parent (or the root of the hierarchy) runs slightly fast or slow, then the offset
+ * changes steadily over time. This estimator fits a straight line
+ * (by least squares regression) to the offsets from the most recent correlations, and
+ * the slope of the line is the drift. A confidence interval for the drift
+ * is calculated from how well the line fits.
+ *
+ * <p>The drift is expressed in ppm. Positive values mean the clock gains time
+ * relative to its parent (so its parent runs slow).
+ *
+ * <p>The estimator listens for [change]{@link event:change} events from the clock
+ * and records each new correlation. Changes that do not change the point of correlation
+ * (such as changes to the speed) are ignored.
+ *
+ * <p>The estimate can optionally be fed back into the clock:
+ * <ul>
+ *   <li> If <tt>adjustSpeed</tt> is set, then the speed of the clock is set to
+ *        compensate for the drift, so the clock follows the drift between correlation updates.
+ *   <li> If <tt>adjustErrorGrowthRate</tt> is set, then each new correlation has its
+ *        [errorGrowthRate]{@link Correlation#errorGrowthRate} replaced with one based on the
+ *        estimate (see [getErrorGrowthRate()]{@link DriftEstimator#getErrorGrowthRate}), instead of
+ *        one based on a fixed guess of the maximum frequency error.
+ * </ul>
+ * Neither happens until there are at least <tt>minSamples</tt> correlations in the history.
+ *
+ * @constructor
+ * @param {CorrelatedClock} clock The clock whose correlations are to be watched.
+ * @param {object} [options] Options for the estimator.
+ * @param {Number} [options.maxSamples] The maximum number of correlations to keep in the history.
+ * @param {Number} [options.minSamples] The minimum number of correlations needed before the estimate is fed back into the clock. Must be at least 3.
+ * @param {Number} [options.confidenceFactor] The number of standard errors either side of the estimate that the confidence interval covers. The default gives approximately 95% confidence.
+ * @param {Boolean} [options.adjustSpeed] If true, then the speed of the clock is adjusted to compensate for the drift.
+ * @param {Boolean} [options.adjustErrorGrowthRate] If true, then the error growth rate of new correlations is replaced with one based on the estimate.
+ * @default maxSamples: 32, minSamples: 5, confidenceFactor: 1.96, adjustSpeed: false, adjustErrorGrowthRate: false
+ *
+ * @example
+ * localClock = new DateNowClock({tickRate:1000000000});
+ * wallClock = new CorrelatedClock(localClock, {tickRate:1000000000});
+ * algorithm = new LowestDispersionAlgorithm(wallClock);
+ * estimator = new DriftEstimator(wallClock, { adjustErrorGrowthRate: true });
+ *
+ * // ... later
+ * estimate = estimator.getEstimate();
+ * console.log("Drift is "+estimate.ppm+" ppm +/- "+estimate.intervalPpm);
+ */
+var DriftEstimator = function(clock, options) {
+    PRIVATE.set(this, {});
+    var priv = PRIVATE.get(this);
+
+    priv.clock = clock;
+
+    if (options && (typeof options.maxSamples !== "undefined")) {
+        priv.maxSamples = options.maxSamples;
+    } else {
+        priv.maxSamples = 32;
+    }
+
+    if (options && (typeof options.minSamples !== "undefined")) {
+        if (options.minSamples < 3) {
+            throw "Cannot have minSamples of less than 3";
+        }
+        priv.minSamples = options.minSamples;
+    } else {
+        priv.minSamples = 5;
+    }
+
+    if (options && (typeof options.confidenceFactor !== "undefined")) {
+        priv.confidenceFactor = options.confidenceFactor;
+    } else {
+        priv.confidenceFactor = 1.96;
+    }
+
+    priv.adjustSpeed = Boolean(options && options.adjustSpeed);
+    priv.adjustErrorGrowthRate = Boolean(options && options.adjustErrorGrowthRate);
+
+    priv.samples = [];
+    priv.lastCorrelation = clock.getCorrelation();
+
+    priv.handler = function() {
+        var corr = priv.clock.getCorrelation();
+        var last = priv.lastCorrelation;
+
+        if (corr.parentTime !== last.parentTime || corr.childTime !== last.childTime) {
+            priv.lastCorrelation = corr;
+            this.addCorrelation(corr);
+        }
+    }.bind(this);
+
+    clock.on("change", priv.handler);
+
+    priv.onDisposed = this.stop.bind(this);
+    clock.on("disposed", priv.onDisposed);
+};
+
+/**
+ * Add a correlation to the history. This is called automatically when the clock is given a new correlation,
+ * but can also be called directly (for example, if the estimator has been [stopped]{@link DriftEstimator#stop}).
+ *
+ * <p>If feeding back into the clock is enabled, and there are enough correlations in
+ * the history, then the clock is then adjusted.
+ *
+ * @param {Correlation} correlation A correlation between the clock and its parent.
+ */
+DriftEstimator.prototype.addCorrelation = function(correlation) {
+    var priv = PRIVATE.get(this);
+    var parentSecs = correlation.parentTime / priv.clock.getParent().getTickRate();
+    var childSecs = correlation.childTime / priv.clock.getTickRate();
+
+    if (priv.samples.length === 0) {
+        priv.origin = { parentSecs: parentSecs, childSecs: childSecs };
+    }
+
+    // measured relative to the first sample, to avoid losing precision when
+    // the times are large
+    var x = parentSecs - priv.origin.parentSecs;
+    priv.samples.push({
+        x: x,
+        y: (childSecs - priv.origin.childSecs) - x
+    });
+
+    while (priv.samples.length > priv.maxSamples) {
+        priv.samples.shift();
+    }
+
+    if (priv.samples.length >= priv.minSamples) {
+        this._feedBack(correlation);
+    }
+};
+
+/**
+ * Calculate the current estimate of drift.
+ *
+ * @returns {object} The estimate, or <tt>null</tt> if there are fewer than two correlations in the history.
+ * It has the following properties:
+ * <tt>ppm</tt> (Number) the estimated drift (in ppm);
+ * <tt>intervalPpm</tt> (Number) half the width of the confidence interval (in ppm), which is <tt>Number.POSITIVE_INFINITY</tt> if there are fewer than three correlations;
+ * <tt>lowerPpm</tt> and <tt>upperPpm</tt> (Number) the bounds of the confidence interval (in ppm);
+ * <tt>samples</tt> (Number) the number of correlations the estimate is based on.
+ */
+DriftEstimator.prototype.getEstimate = function() {
+    var priv = PRIVATE.get(this);
+    var samples = priv.samples;
+    var n = samples.length;
+    var i;
+
+    if (n < 2) {
+        return null;
+    }
+
+    var meanX = 0, meanY = 0;
+    for (i = 0; i < n; i++) {
+        meanX += samples[i].x;
+        meanY += samples[i].y;
+    }
+    meanX /= n;
+    meanY /= n;
+
+    var sxx = 0, sxy = 0;
+    for (i = 0; i < n; i++) {
+        sxx += (samples[i].x - meanX) * (samples[i].x - meanX);
+        sxy += (samples[i].x - meanX) * (samples[i].y - meanY);
+    }
+
+    if (sxx === 0) {
+        return null;
+    }
+
+    var slope = sxy / sxx;
+    var interval = Number.POSITIVE_INFINITY;
+
+    if (n > 2) {
+        var sse = 0;
+        for (i = 0; i < n; i++) {
+            var residual = samples[i].y - (meanY + slope * (samples[i].x - meanX));
+            sse += residual * residual;
+        }
+        interval = priv.confidenceFactor * Math.sqrt(sse / (n - 2) / sxx);
+    }
+
+    return {
+        ppm: slope * 1000000,
+        intervalPpm: interval * 1000000,
+        lowerPpm: (slope - interval) * 1000000,
+        upperPpm: (slope + interval) * 1000000,
+        samples: n
+    };
+};
+
+/**
+ * Calculate an error growth rate, based on the current estimate of drift, for correlations of the clock.
+ *
+ * <p>This is the largest drift within the confidence interval. If the speed of the clock is being
+ * adjusted to compensate for the drift, then it is only half the width of the confidence interval.
+ *
+ * @returns {Number} The error growth rate (in seconds per second), or <tt>null</tt> if there are fewer than three correlations in the history.
+ */
+DriftEstimator.prototype.getErrorGrowthRate = function() {
+    var priv = PRIVATE.get(this);
+    var estimate = this.getEstimate();
+
+    if (estimate === null || estimate.samples < 3) {
+        return null;
+    }
+
+    var ppm = estimate.intervalPpm;
+    if (!priv.adjustSpeed) {
+        ppm += Math.abs(estimate.ppm);
+    }
+    return ppm / 1000000;
+};
+
+/**
+ * Discard the history of correlations.
+ */
+DriftEstimator.prototype.reset = function() {
+    PRIVATE.get(this).samples = [];
+};
+
+/**
+ * Stop watching the clock for new correlations. The history is kept.
+ *
+ * <p>This happens automatically if the clock is [disposed]{@link ClockBase#dispose}.
+ */
+DriftEstimator.prototype.stop = function() {
+    var priv = PRIVATE.get(this);
+    priv.clock.removeListener("change", priv.handler);
+    priv.clock.removeListener("disposed", priv.onDisposed);
+};
+
+DriftEstimator.prototype._feedBack = function(correlation) {
+    var priv = PRIVATE.get(this);
+    var estimate = this.getEstimate();
+
+    if (estimate === null) {
+        return;
+    }
+
+    if (priv.adjustSpeed) {
+        priv.clock.setSpeed(1 + estimate.ppm / 1000000);
+    }
+
+    if (priv.adjustErrorGrowthRate) {
+        var rate = this.getErrorGrowthRate();
+        if (priv.clock.getCorrelation() === correlation && correlation.errorGrowthRate !== rate) {
+            priv.lastCorrelation = correlation.butWith({ errorGrowthRate: rate });
+            priv.clock.setCorrelation(priv.lastCorrelation);
+        }
+    }
+};
+
+/**
+ * @returns {String} A human readable summary of this estimator, including the current estimate.
+ */
+DriftEstimator.prototype.toString = function() {
+    var priv = PRIVATE.get(this);
+    var estimate = this.getEstimate();
+    if (estimate === null) {
+        return "DriftEstimator(no estimate) clock="+priv.clock.id;
+    } else {
+        return "DriftEstimator("+estimate.ppm+" ppm +/- "+estimate.intervalPpm+", samples:"+estimate.samples+") clock="+priv.clock.id;
+    }
+};
+
+module.exports = DriftEstimator;
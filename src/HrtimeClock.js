@@ -0,0 +1,157 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var inherits = require('inherits');
+var RootClockBase = require('./RootClockBase');
+var measurePrecision = require('./measurePrecision');
+
+var WeakMap = require('weak-map');
+var PRIVATE = new WeakMap();
+
+var defaultTimeSource = function() {
+    if (typeof process === "undefined" || !process.hrtime || typeof process.hrtime.bigint !== "function") {
+        throw "process.hrtime.bigint() is not available. Specify a timeSource option instead.";
+    }
+    return function() { return process.hrtime.bigint(); };
+};
+
+/**
+ * @exports HrtimeClock
+ * @class HrtimeClock
+ * @extends RootClockBase
+ *
+ * @classdesc
+ * Root clock based on <tt>process.hrtime.bigint()</tt>, for use in Node.js.
+ * It is a subclass of {@link RootClockBase}.
+ *
+ * <p>This clock can be used as the root of a hierarchy of clocks. It uses
+ * <tt>process.hrtime.bigint()</tt> as its underlying system clock. This is
+ * monotonic and has nanosecond resolution. However this clock can
+ * be set to have its own tick rate, independent of <tt>process.hrtime.bigint()</tt>.
+ *
+ * <p>The time of this clock starts at zero when it is created. Time values
+ * are calculated from the <tt>BigInt</tt> nanoseconds elapsed since then,
+ * so they do not lose precision as a result of the system having been running
+ * for a long time. The exact number of nanoseconds elapsed can be obtained
+ * as a <tt>BigInt</tt> by calling [getExactNanos()]{@link HrtimeClock#getExactNanos}.
+ *
+ * <p>A different underlying time source function can be supplied instead of
+ * <tt>process.hrtime.bigint()</tt>. It must return time in nanoseconds, as a
+ * <tt>BigInt</tt>, and be monotonic.
+ *
+ * <p>The precision of the time source is measured when the clock is created
+ * (unless a precision is specified as an option). The dispersion reported by
+ * this clock will always equal the precision.
+ *
+ * @constructor
+ * @override
+ * @param {object} [options] Options for this clock
+ * @param {Number} [options.tickRate] Initial tick rate for this clock (in ticks per second).
+ * @param {Number} [options.maxFreqErrorPpm] The maximum frequency error of the underlying clock (in ppm).
+ * @param {Function} [options.timeSource] Function to use instead of <tt>process.hrtime.bigint()</tt>. Must return a time in nanoseconds as a <tt>BigInt</tt>.
+ * @param {Number} [options.precision] The precision (in seconds) of the time source, to use instead of measuring it.
+ * @default tickRate: 1000000000, maxFreqErrorPpm: 50, timeSource: process.hrtime.bigint()
+ *
+ * @example
+ * // nanoseconds (default)
+ * root = new HrtimeClock();
+ *
+ * // microseconds, lower freq error than default
+ * root = new HrtimeClock({tickRate: 1000000, maxFreqErrorPpm: 10 });
+ */
+var HrtimeClock = function(options) {
+    PRIVATE.set(this, {});
+    var priv = PRIVATE.get(this);
+
+    if (options && (typeof options.timeSource !== "undefined")) {
+        priv.timeSource = options.timeSource;
+    } else {
+        priv.timeSource = defaultTimeSource();
+    }
+
+    priv.nanosPerSec = BigInt(1000000000);
+    priv.epoch = priv.timeSource();
+
+    var precision;
+    if (options && (typeof options.precision !== "undefined")) {
+        precision = options.precision;
+    } else {
+        precision = measurePrecision(this.getNanos.bind(this), 100) / 1000000000;
+    }
+
+    RootClockBase.call(this, options, 1000000000, precision);
+};
+
+inherits(HrtimeClock, RootClockBase);
+
+/**
+ * @returns {BigInt} The exact number of nanoseconds that have elapsed since this clock was created.
+ */
+HrtimeClock.prototype.getExactNanos = function() {
+    var priv = PRIVATE.get(this);
+    return priv.timeSource() - priv.epoch;
+};
+
+/**
+ * @inheritdoc
+ */
+HrtimeClock.prototype.now = function() {
+    var priv = PRIVATE.get(this);
+    var freq = this.getTickRate();
+    var elapsed = this.getExactNanos();
+
+    // convert whole seconds and the remaining nanoseconds separately, so
+    // that neither loses precision when converted to a Number
+    var secs = elapsed / priv.nanosPerSec;
+    var nanos = elapsed % priv.nanosPerSec;
+    return Number(secs) * freq + Number(nanos) * freq / 1000000000;
+};
+
+/**
+ * @inheritdoc
+ */
+HrtimeClock.prototype.getNanos = function() {
+    return Number(this.getExactNanos());
+};
+
+/**
+ * @inheritdoc
+ */
+HrtimeClock.prototype.calcWhen = function(t) {
+    var priv = PRIVATE.get(this);
+    var freq = this.getTickRate();
+
+    // as in now(), work with whole seconds and the remaining nanoseconds
+    // separately, so that neither the epoch nor t loses precision
+    var secs = Math.floor(t / freq);
+    var nanos = (t - secs * freq) * 1000000000 / freq;
+    var epochSecs = priv.epoch / priv.nanosPerSec;
+    var epochNanos = priv.epoch % priv.nanosPerSec;
+    return (Number(epochSecs) + secs) * 1000000000 + Number(epochNanos) + nanos;
+};
+
+/**
+ * @returns {String} A human readable summary of this clock object, including its [id]{@link HrtimeClock#id} and its current properties
+ * @example
+ * > c=new HrtimeClock();
+ * > c.toString()
+ * 'HrtimeClock({tickRate:1000000000, maxFreqErrorPpm:50}) [clock_0]'
+ */
+HrtimeClock.prototype.toString = function() {
+    return "HrtimeClock({tickRate:"+this.getTickRate()+", maxFreqErrorPpm:"+this.getRootMaxFreqError()+"}) ["+this.id+"]";
+};
+
+module.exports = HrtimeClock;
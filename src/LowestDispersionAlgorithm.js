@@ -0,0 +1,134 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var WeakMap = require('weak-map');
+var PRIVATE = new WeakMap();
+
+/**
+ * @exports LowestDispersionAlgorithm
+ * @class LowestDispersionAlgorithm
+ *
+ * @classdesc
+ * Algorithm for a DVB CSS Wall Clock protocol (CSS-WC) client, that adjusts
+ * a clock representing the wall clock using whichever
+ * [candidate]{@link WallClockCandidate} results in the lowest dispersion.
+ *
+ * <p>The clock must be a {@link CorrelatedClock} whose parent is the client's
+ * local clock. Each time a candidate is [provided]{@link LowestDispersionAlgorithm#onCandidate}
+ * its correlation is calculated, and the dispersion that would result from using it is compared with
+ * the dispersion that would result from continuing to use the current correlation.
+ * Because the error of the current correlation grows over time, candidates
+ * with higher initial error will eventually be used.
+ * If the new candidate is better then the correlation of the clock is changed.
+ *
+ * <p>This class does not do any networking, and does not read the time of any clock.
+ * Comparisons are made at the time the candidate's response was received
+ * ([t4]{@link WallClockCandidate#t4}). It can therefore be driven by
+ * any implementation of the protocol.
+ *
+ * @constructor
+ * @param {CorrelatedClock} clock The clock representing the wall clock. Its parent must be the client's local clock.
+ * @param {object} [options] Options for the algorithm.
+ * @param {Number} [options.localMaxFreqErrorPpm] The maximum frequency error of the client's local clock (in ppm). If not specified, then the [maximum frequency error of the root]{@link ClockBase#getRootMaxFreqError} of the clock's hierarchy is used.
+ *
+ * @example
+ * localClock = new DateNowClock({tickRate:1000000000});
+ * wallClock = new CorrelatedClock(localClock, {tickRate:1000000000});
+ * algorithm = new LowestDispersionAlgorithm(wallClock);
+ *
+ * // ... when a response is received
+ * t4 = localClock.getNanos();
+ * algorithm.onCandidate(WallClockCandidate.fromMessage(WallClockMessage.decode(bytes), t4));
+ */
+var LowestDispersionAlgorithm = function(clock, options) {
+    PRIVATE.set(this, {});
+    var priv = PRIVATE.get(this);
+
+    priv.clock = clock;
+
+    if (options && (typeof options.localMaxFreqErrorPpm !== "undefined")) {
+        priv.localMaxFreqErrorPpm = options.localMaxFreqErrorPpm;
+    }
+
+    priv.bestCandidate = null;
+};
+
+/**
+ * Process a new candidate, and if it would result in a lower dispersion than
+ * the current best candidate, then change the correlation of the clock to use it.
+ *
+ * <p>Candidates with a negative round-trip time are invalid (the server reported
+ * that it took longer to respond than the client waited) and are ignored.
+ *
+ * @param {WallClockCandidate} candidate The new candidate.
+ * @returns {Boolean} True if the candidate was used to change the correlation of the clock, otherwise false.
+ */
+LowestDispersionAlgorithm.prototype.onCandidate = function(candidate) {
+    var priv = PRIVATE.get(this);
+
+    if (candidate.rtt < 0) {
+        return false;
+    }
+
+    var newCorrelation = candidate.calcCorrelationFor(priv.clock, priv.localMaxFreqErrorPpm);
+
+    if (priv.bestCandidate !== null) {
+        var parentTime = priv.clock.getParent().fromNanos(candidate.t4);
+        var currentDispersion = this.getDispersionAt(parentTime);
+        var newDispersion = this._errorOfCorrelationAt(newCorrelation, parentTime);
+
+        if (newDispersion >= currentDispersion) {
+            return false;
+        }
+    }
+
+    priv.bestCandidate = candidate;
+    priv.clock.setCorrelation(newCorrelation);
+    return true;
+};
+
+/**
+ * @returns {WallClockCandidate} The candidate currently being used for the correlation of the clock, or <tt>null</tt> if none has been used yet.
+ */
+LowestDispersionAlgorithm.prototype.getBestCandidate = function() {
+    return PRIVATE.get(this).bestCandidate;
+};
+
+/**
+ * Calculate the error/uncertainty (in seconds) contributed by the current correlation of the
+ * clock, at a given time of the clock's parent (the local clock). This does not include the
+ * contribution of the local clock.
+ *
+ * @param {Number} parentTime A time of the clock's parent.
+ * @returns {Number} The error (in seconds), or <tt>Number.POSITIVE_INFINITY</tt> if no candidate has been used yet.
+ */
+LowestDispersionAlgorithm.prototype.getDispersionAt = function(parentTime) {
+    var priv = PRIVATE.get(this);
+
+    if (priv.bestCandidate === null) {
+        return Number.POSITIVE_INFINITY;
+    }
+    return this._errorOfCorrelationAt(priv.clock.getCorrelation(), parentTime);
+};
+
+LowestDispersionAlgorithm.prototype._errorOfCorrelationAt = function(correlation, parentTime) {
+    var priv = PRIVATE.get(this);
+
+    var deltaSecs = Math.abs(parentTime - correlation.parentTime) / priv.clock.getParent().getTickRate();
+    return correlation.initialError + deltaSecs * correlation.errorGrowthRate;
+};
+
+module.exports = LowestDispersionAlgorithm;
@@ -0,0 +1,152 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var inherits = require('inherits');
+var RootClockBase = require('./RootClockBase');
+var monotonicTime = require('./monotonicTime');
+
+var WeakMap = require('weak-map');
+var PRIVATE = new WeakMap();
+
+/**
+ * @exports MonotonicDateNowClock
+ * @class MonotonicDateNowClock
+ * @extends RootClockBase
+ *
+ * @classdesc
+ * Root clock that reports time relative to the same epoch as <tt>Date.now()</tt>, but
+ * that progresses according to a monotonic time source (<tt>performance.now()</tt> by default).
+ * It is a subclass of {@link RootClockBase}.
+ *
+ * <p>This clock can be used as the root of a hierarchy of clocks. Its underlying
+ * system clock is the monotonic time source plus an offset (the "epoch offset")
+ * that is calculated when the clock is created, so that the clock then agrees with <tt>Date.now()</tt>.
+ * The clock therefore never goes backwards or jumps, even if the system clock
+ * is adjusted, and has the precision of the monotonic time source.
+ * However this clock can be set to have its own tick rate, independent of the
+ * underlying time source.
+ *
+ * <p>Over time, the clock may drift away from <tt>Date.now()</tt>.
+ * Call [reanchor()]{@link MonotonicDateNowClock#reanchor} to recalculate the
+ * epoch offset. This will cause the clock to jump, and so a [change]{@link event:change}
+ * event is fired, with a cause of <tt>"time"</tt>, and the size of the jump (in seconds)
+ * as the discontinuity in its [descriptor]{@link changeDescriptor}.
+ *
+ * <p>The precision of the monotonic time source is measured when the clock is created
+ * (unless a precision is specified as an option). The dispersion reported by
+ * this clock will always equal the precision.
+ *
+ * @constructor
+ * @override
+ * @param {object} [options] Options for this clock
+ * @param {Number} [options.tickRate] Initial tick rate for this clock (in ticks per second).
+ * @param {Number} [options.maxFreqErrorPpm] The maximum frequency error of the underlying clock (in ppm).
+ * @param {Function} [options.monotonicTimeSource] Function to use instead of <tt>performance.now()</tt>. Must return a time in milliseconds.
+ * @param {Number} [options.precision] The precision (in seconds) of the monotonic time source, to use instead of measuring it.
+ * @default tickRate: 1000, maxFreqErrorPpm: 50, monotonicTimeSource: performance.now()
+ *
+ * @example
+ * // milliseconds since 1 Jan 1970 (default)
+ * root = new MonotonicDateNowClock();
+ *
+ * // nanoseconds since 1 Jan 1970
+ * root = new MonotonicDateNowClock({tickRate: 1000000000 });
+ *
+ * // periodically bring back into line with Date.now()
+ * setInterval(function() { root.reanchor(); }, 60000);
+ */
+var MonotonicDateNowClock = function(options) {
+    PRIVATE.set(this, {});
+    var priv = PRIVATE.get(this);
+
+    if (options && (typeof options.monotonicTimeSource !== "undefined")) {
+        priv.monotonicTimeSource = options.monotonicTimeSource;
+    } else {
+        priv.monotonicTimeSource = monotonicTime.performanceNow("monotonicTimeSource");
+    }
+
+    var precision;
+    if (options && (typeof options.precision !== "undefined")) {
+        precision = options.precision;
+    } else {
+        precision = monotonicTime.precision(priv.monotonicTimeSource);
+    }
+
+    RootClockBase.call(this, options, 1000, precision);
+
+    priv.epochOffset = Date.now() - priv.monotonicTimeSource();
+};
+
+inherits(MonotonicDateNowClock, RootClockBase);
+
+/**
+ * @inheritdoc
+ */
+MonotonicDateNowClock.prototype.now = function() {
+    var priv = PRIVATE.get(this);
+    return (priv.monotonicTimeSource() + priv.epochOffset) / 1000 * this.getTickRate();
+};
+
+/**
+ * Returns the epoch offset. This is the amount that is added to the time from the monotonic time source
+ * to make it relative to the same epoch as <tt>Date.now()</tt>.
+ * @returns {Number} The epoch offset (in milliseconds).
+ */
+MonotonicDateNowClock.prototype.getEpochOffset = function() {
+    return PRIVATE.get(this).epochOffset;
+};
+
+/**
+ * Recalculate the epoch offset so that this clock agrees with <tt>Date.now()</tt> (or the epoch time provided).
+ *
+ * <p>If this changes the epoch offset, then the clock will jump, and so a
+ * [change]{@link event:change} event is fired, with the size of the jump
+ * (in seconds) as the discontinuity in its [descriptor]{@link changeDescriptor}.
+ *
+ * @param {Number} [epochMillis] The current time (in milliseconds since 1 Jan 1970) to re-anchor to. If not specified, then <tt>Date.now()</tt> is used.
+ * @returns {Number} The size of the jump (in seconds). Positive values mean the jump was forwards.
+ * @fires change
+ */
+MonotonicDateNowClock.prototype.reanchor = function(epochMillis) {
+    var priv = PRIVATE.get(this);
+
+    if (typeof epochMillis === "undefined") {
+        epochMillis = Date.now();
+    }
+
+    var newOffset = epochMillis - priv.monotonicTimeSource();
+    var jumpSecs = (newOffset - priv.epochOffset) / 1000;
+
+    if (jumpSecs !== 0) {
+        var oldTime = this.now();
+        priv.epochOffset = newOffset;
+        this.notifyChange("time", oldTime, this.now(), jumpSecs);
+    }
+    return jumpSecs;
+};
+
+/**
+ * @returns {String} A human readable summary of this clock object, including its [id]{@link MonotonicDateNowClock#id} and its current properties
+ * @example
+ * > c=new MonotonicDateNowClock();
+ * > c.toString()
+ * 'MonotonicDateNowClock({tickRate:1000, maxFreqErrorPpm:50}) [clock_0]'
+ */
+MonotonicDateNowClock.prototype.toString = function() {
+    return "MonotonicDateNowClock({tickRate:"+this.getTickRate()+", maxFreqErrorPpm:"+this.getRootMaxFreqError()+"}) ["+this.id+"]";
+};
+
+module.exports = MonotonicDateNowClock;
@@ -89,8 +89,16 @@ var OffsetClock = function(parent, options) {
     priv.parent = parent;
     
     priv.parentHandlers = {
-        "change" : function(causeClock) {
-            this.emit("change", this);
+        "change" : function(causeClock, change) {
+            var priv = PRIVATE.get(this);
+            var oldEffectiveSpeed = priv.effectiveSpeed;
+            var secs = NaN;
+            priv.effectiveSpeed = this.getEffectiveSpeed();
+            if (change) {
+                // the offset is applied at the effective speed, so it jumps too if that changed
+                secs = change.discontinuitySecs + priv.offset * (priv.effectiveSpeed - oldEffectiveSpeed) / 1000;
+            }
+            this.notifyAncestorChange(change, secs);
         }.bind(this),
         "available" : this.notifyAvailabilityChange.bind(this),
         "unavailable" : this.notifyAvailabilityChange.bind(this),
@@ -195,10 +203,11 @@ OffsetClock.prototype.getOffset = function() {
  */
 OffsetClock.prototype.setOffset = function(millis) {
     var priv = PRIVATE.get(this);
-    var changed = millis != priv.offset;
-    priv.offset = millis;
-    if (changed) {
-        this.emit("change", this);
+    var oldOffset = priv.offset;
+    if (millis != oldOffset) {
+        this._joinBatch();
+        priv.offset = millis;
+        this.notifyChange("offset", oldOffset, millis, (millis - oldOffset) * this.getEffectiveSpeed() / 1000);
     }
 };
 
@@ -227,6 +236,13 @@ OffsetClock.prototype.setParent = function(newParent) {
     var event;
     
     if (priv.parent != newParent) {
+        var oldParent = priv.parent;
+        var oldSecs = NaN;
+        if (priv.parent) {
+            this._joinBatch();
+            oldSecs = this.now() / this.getTickRate();
+        }
+
         if (priv.parent) {
             for(event in priv.parentHandlers) {
                 priv.parent.removeListener(event, priv.parentHandlers[event]);
@@ -234,15 +250,35 @@ OffsetClock.prototype.setParent = function(newParent) {
         }
 
         priv.parent = newParent;
+        this._updateChildRegistries(oldParent, newParent);
 
         if (priv.parent) {
+            priv.effectiveSpeed = this.getEffectiveSpeed();
             for(event in priv.parentHandlers) {
                 priv.parent.on(event, priv.parentHandlers[event]);
             }
         }
         
-        this.emit("change", this);
+        var newSecs = priv.parent ? this.now() / this.getTickRate() : NaN;
+        this.notifyChange("parent", oldParent, newParent, newSecs - oldSecs);
+    }
+};
+
+/**
+ * @inheritdoc
+ */
+OffsetClock.prototype.dispose = function() {
+    var priv = PRIVATE.get(this);
+    var event;
+
+    if (priv.parent && !this.isDisposed()) {
+        for(event in priv.parentHandlers) {
+            priv.parent.removeListener(event, priv.parentHandlers[event]);
+        }
+        this._updateChildRegistries(priv.parent, null);
+        priv.parent = null;
     }
+    ClockBase.prototype.dispose.call(this);
 };
 
 /**
@@ -0,0 +1,109 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var inherits = require('inherits');
+var RootClockBase = require('./RootClockBase');
+var monotonicTime = require('./monotonicTime');
+
+var WeakMap = require('weak-map');
+var PRIVATE = new WeakMap();
+
+/**
+ * @exports PerformanceNowClock
+ * @class PerformanceNowClock
+ * @extends RootClockBase
+ *
+ * @classdesc
+ * Root clock based on <tt>performance.now()</tt>.
+ * It is a subclass of {@link RootClockBase}.
+ *
+ * <p>This clock can be used as the root of a hierarchy of clocks. It uses
+ * <tt>performance.now()</tt> as its underlying system clock. However this clock can
+ * be set to have its own tick rate, independent of <tt>performance.now()</tt>.
+ *
+ * <p>Unlike <tt>Date.now()</tt>, <tt>performance.now()</tt> is monotonic (it
+ * does not jump if the system clock is adjusted) and usually has sub-millisecond
+ * precision. Its values are not relative to any particular epoch.
+ *
+ * <p>A different underlying time source function can be supplied instead of
+ * <tt>performance.now()</tt>. It must return time in milliseconds and be monotonic.
+ *
+ * <p>The precision of the time source is measured when the clock is created
+ * (unless a precision is specified as an option). The dispersion reported by
+ * this clock will always equal the precision.
+ *
+ * @constructor
+ * @override
+ * @param {object} [options] Options for this clock
+ * @param {Number} [options.tickRate] Initial tick rate for this clock (in ticks per second).
+ * @param {Number} [options.maxFreqErrorPpm] The maximum frequency error of the underlying clock (in ppm).
+ * @param {Function} [options.timeSource] Function to use instead of <tt>performance.now()</tt>. Must return a time in milliseconds.
+ * @param {Number} [options.precision] The precision (in seconds) of the time source, to use instead of measuring it.
+ * @default tickRate: 1000, maxFreqErrorPpm: 50, timeSource: performance.now()
+ *
+ * @example
+ * // milliseconds (default)
+ * root = new PerformanceNowClock();
+ *
+ * // microseconds, lower freq error than default
+ * root = new PerformanceNowClock({tickRate: 1000000, maxFreqErrorPpm: 10 });
+ *
+ * // in versions of Node.js where performance is not a global
+ * var perf = require("perf_hooks").performance;
+ * root = new PerformanceNowClock({ timeSource: function() { return perf.now(); } });
+ */
+var PerformanceNowClock = function(options) {
+    PRIVATE.set(this, {});
+    var priv = PRIVATE.get(this);
+
+    if (options && (typeof options.timeSource !== "undefined")) {
+        priv.timeSource = options.timeSource;
+    } else {
+        priv.timeSource = monotonicTime.performanceNow("timeSource");
+    }
+
+    var precision;
+    if (options && (typeof options.precision !== "undefined")) {
+        precision = options.precision;
+    } else {
+        precision = monotonicTime.precision(priv.timeSource);
+    }
+
+    RootClockBase.call(this, options, 1000, precision);
+};
+
+inherits(PerformanceNowClock, RootClockBase);
+
+/**
+ * @inheritdoc
+ */
+PerformanceNowClock.prototype.now = function() {
+    var priv = PRIVATE.get(this);
+    return priv.timeSource() / 1000 * this.getTickRate();
+};
+
+/**
+ * @returns {String} A human readable summary of this clock object, including its [id]{@link PerformanceNowClock#id} and its current properties
+ * @example
+ * > c=new PerformanceNowClock();
+ * > c.toString()
+ * 'PerformanceNowClock({tickRate:1000, maxFreqErrorPpm:50}) [clock_0]'
+ */
+PerformanceNowClock.prototype.toString = function() {
+    return "PerformanceNowClock({tickRate:"+this.getTickRate()+", maxFreqErrorPpm:"+this.getRootMaxFreqError()+"}) ["+this.id+"]";
+};
+
+module.exports = PerformanceNowClock;
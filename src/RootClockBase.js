@@ -0,0 +1,142 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var inherits = require('inherits');
+var ClockBase = require('./ClockBase');
+
+var WeakMap = require('weak-map');
+var PRIVATE = new WeakMap();
+
+/**
+ * @exports RootClockBase
+ * @class RootClockBase
+ * @extends ClockBase
+ *
+ * @classdesc
+ * Abstract base class for root clocks that are based on an underlying system clock,
+ * such as {@link DateNowClock} and {@link PerformanceNowClock}.
+ * It is a subclass of {@link ClockBase}.
+ *
+ * <p>The clock has its own tick rate, independent of the underlying system clock,
+ * and cannot have a parent. It is always available. The dispersion it reports
+ * always equals the precision of the underlying system clock.
+ *
+ * <p>Subclasses must implement [now()]{@link ClockBase#now}, and must override
+ * [calcWhen()]{@link ClockBase#calcWhen} if the underlying system clock is not in milliseconds.
+ *
+ * @constructor
+ * @abstract
+ * @param {object} [options] Options for this clock
+ * @param {Number} [options.tickRate] Initial tick rate for this clock (in ticks per second).
+ * @param {Number} [options.maxFreqErrorPpm] The maximum frequency error of the underlying clock (in ppm).
+ * @param {Number} defaultTickRate The tick rate to use if one is not specified in the options.
+ * @param {Number} precision The precision of the underlying clock (in seconds).
+ * @default maxFreqErrorPpm: 50
+ */
+var RootClockBase = function(options, defaultTickRate, precision) {
+    ClockBase.call(this);
+
+    PRIVATE.set(this, {});
+    var priv = PRIVATE.get(this);
+
+    if (options && (typeof options.tickRate !== "undefined")) {
+        if (options.tickRate <= 0) {
+            throw "Cannot have tickrate of zero or less";
+        }
+        priv.freq = options.tickRate;
+    } else {
+        priv.freq = defaultTickRate;
+    }
+
+    if (options && (typeof options.maxFreqErrorPpm !== "undefined")) {
+        priv.maxFreqErrorPpm = options.maxFreqErrorPpm;
+    } else {
+        priv.maxFreqErrorPpm = 50;
+    }
+
+    priv.precision = precision;
+};
+
+inherits(RootClockBase, ClockBase);
+
+/**
+ * @inheritdoc
+ */
+RootClockBase.prototype.getTickRate = function() {
+    return PRIVATE.get(this).freq;
+};
+
+/**
+ * @inheritdoc
+ */
+RootClockBase.prototype.calcWhen = function(t) {
+    return t / PRIVATE.get(this).freq * 1000;
+};
+
+/**
+ * @inheritdoc
+ */
+RootClockBase.prototype.toParentTime = function(t) {
+    throw "Clock has no parent.";
+};
+
+/**
+ * @inheritdoc
+ */
+RootClockBase.prototype.fromParentTime = function(t) {
+    throw "Clock has no parent.";
+};
+
+/**
+ * @inheritdoc
+ */
+RootClockBase.prototype.getParent = function() {
+    return null;
+};
+
+/**
+ * The parent of this clock is always <tt>null</tt> and cannot be changed.
+ * @throws because this clock cannot have a parent.
+ */
+RootClockBase.prototype.setParent = function(newParent) {
+    throw "Cannot set a parent for this clock.";
+};
+
+/**
+ * This clock is always available, and so its [availabilityFlag]{@link RootClockBase#availabilityFlag} cannot be changed.
+ * @throws because this clock cannot have its availabilty changed.
+ */
+RootClockBase.prototype.setAvailabilityFlag = function(availability) {
+    if (!availability) {
+        throw "Cannot change availability of this clock.";
+    }
+};
+
+/**
+ * @inheritdoc
+ */
+RootClockBase.prototype._errorAtTime = function(t) {
+    return PRIVATE.get(this).precision;
+};
+
+/**
+ * @inheritdoc
+ */
+RootClockBase.prototype.getRootMaxFreqError = function() {
+    return PRIVATE.get(this).maxFreqErrorPpm;
+};
+
+module.exports = RootClockBase;
@@ -0,0 +1,104 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var WeakMap = require('weak-map');
+var PRIVATE = new WeakMap();
+
+/**
+ * @exports TimerList
+ * @class TimerList
+ *
+ * @classdesc
+ * List of timer callbacks, kept in the order they are due. Callbacks due at the
+ * same time are kept in the order they were added.
+ *
+ * <p>This is used by a {@link VirtualClock} and by the [fake()]{@link timerBackends.fake}
+ * backend to call callbacks, in order, when their time is moved forward.
+ *
+ * @constructor
+ */
+var TimerList = function() {
+    PRIVATE.set(this, {});
+    var priv = PRIVATE.get(this);
+
+    priv.timers = [];
+};
+
+/**
+ * Add a callback.
+ * @param {Function} func The function to call.
+ * @param {Number} due The time at which the callback is due.
+ * @returns A handle for the callback. It has a <tt>due</tt> property and a <tt>func</tt> property.
+ *     Pass it to [remove()]{@link TimerList#remove} to cancel the callback.
+ */
+TimerList.prototype.add = function(func, due) {
+    var timers = PRIVATE.get(this).timers;
+    var timer = { due: due, func: func };
+
+    // insert after any timers due at the same time or earlier, so that
+    // timers due at the same time fire in the order they were added
+    var i = timers.length;
+    while (i > 0 && timers[i-1].due > due) {
+        i--;
+    }
+    timers.splice(i, 0, timer);
+
+    return timer;
+};
+
+/**
+ * Cancel a callback.
+ * @param handle The handle returned by [add()]{@link TimerList#add}. If the callback has already been taken or removed, then this method does nothing.
+ */
+TimerList.prototype.remove = function(handle) {
+    var timers = PRIVATE.get(this).timers;
+
+    var i = timers.indexOf(handle);
+    if (i >= 0) {
+        timers.splice(i, 1);
+    }
+};
+
+/**
+ * Take the earliest callback from the list, if it is due by the specified time.
+ * @param {Number} target The time.
+ * @returns The handle of the callback (as returned by [add()]{@link TimerList#add}), or <tt>null</tt> if no callback is due by <tt>target</tt>.
+ */
+TimerList.prototype.takeDue = function(target) {
+    var timers = PRIVATE.get(this).timers;
+
+    if (timers.length > 0 && timers[0].due <= target) {
+        return timers.shift();
+    } else {
+        return null;
+    }
+};
+
+/**
+ * Remove all the callbacks.
+ */
+TimerList.prototype.clear = function() {
+    PRIVATE.get(this).timers = [];
+};
+
+/**
+ * @returns {Number} The number of callbacks in the list.
+ */
+TimerList.prototype.size = function() {
+    return PRIVATE.get(this).timers.length;
+};
+
+module.exports = TimerList;
@@ -0,0 +1,358 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var timerBackends = require('./timerBackends');
+var monotonicTime = require('./monotonicTime');
+
+var WeakMap = require('weak-map');
+var PRIVATE = new WeakMap();
+
+/**
+ * @exports TimerScheduler
+ * @class TimerScheduler
+ *
+ * @classdesc
+ * Schedules all the timer callbacks for a hierarchy of clocks, using a single
+ * underlying timer. It is used by the root clock of a hierarchy
+ * to implement [_setRootTimer()]{@link ClockBase#_setRootTimer} and
+ * [_clearRootTimer()]{@link ClockBase#_clearRootTimer}, so that timers
+ * scheduled on any clock in the hierarchy (using [setAtTime()]{@link ClockBase#setAtTime} etc)
+ * share it.
+ *
+ * <p>Callbacks are kept in a priority queue, ordered by the time of the root clock at
+ * which they are due. Callbacks due at the same time are called in the order they were
+ * added. The underlying timer is only set for the earliest callback, and is only
+ * changed if an earlier callback is added, or the timing of the root clock changes (when it fires
+ * a [change]{@link event:change} event). Adding and removing callbacks therefore costs
+ * O(log n) for n callbacks, however many there are.
+ *
+ * <p>When the underlying timer fires, all callbacks that are then due are called, in order.
+ * Callbacks added by those callbacks are left until the underlying timer next fires, even if
+ * they are already due.
+ *
+ * <p>The underlying timer is provided by a [backend]{@link timerBackend}. By default this uses
+ * <tt>setTimeout()</tt>, but other backends (see {@link timerBackends}) have different precision characteristics.
+ * To call callbacks closer to when they are due than the backend allows, the scheduler can
+ * set the underlying timer to fire slightly early, and then busy-wait (repeatedly checking the time of the root clock)
+ * until the callback is due.
+ *
+ * <p>The time of the root clock is assumed to only ever move forwards, except when it jumps (and fires
+ * a [change]{@link event:change} event).
+ *
+ * @constructor
+ * @param {ClockBase} rootClock The root clock, whose times the callbacks are scheduled against.
+ * @param {object} [options] Options for the scheduler.
+ * @param {timerBackend} [options.backend] The backend that provides the underlying timer.
+ * @param {Number} [options.busyWaitMillis] How early (in milliseconds) to set the underlying timer, and then busy-wait until a callback is due.
+ * @default backend: timerBackends.timeout(), busyWaitMillis: 0
+ */
+var TimerScheduler = function(rootClock, options) {
+    PRIVATE.set(this, {});
+    var priv = PRIVATE.get(this);
+
+    priv.clock = rootClock;
+
+    if (options && (typeof options.backend !== "undefined")) {
+        priv.backend = options.backend;
+    } else {
+        priv.backend = timerBackends.timeout();
+    }
+
+    if (options && (typeof options.busyWaitMillis !== "undefined")) {
+        priv.busyWaitMillis = options.busyWaitMillis;
+    } else {
+        priv.busyWaitMillis = 0;
+    }
+
+    priv.queue = [];
+    priv.nextSeq = 0;
+    priv.timerHandle = null;
+    priv.timerRootTime = NaN;
+    priv.fire = this._fire.bind(this);
+
+    rootClock.on("change", this._setTimer.bind(this, true));
+};
+
+/**
+ * Schedule a callback for when the root clock reaches a given time.
+ *
+ * @param {Function} func The function to callback
+ * @param {Number} rootTime Time of the root clock at which the callback is due.
+ * @returns A handle for the callback. Pass this to [remove()]{@link TimerScheduler#remove} to cancel it.
+ */
+TimerScheduler.prototype.add = function(func, rootTime) {
+    var priv = PRIVATE.get(this);
+    var entry = { func: func, rootTime: rootTime, seq: priv.nextSeq++, index: priv.queue.length };
+
+    priv.queue.push(entry);
+    siftUp(priv.queue, entry.index);
+
+    if (priv.queue[0] === entry) {
+        this._setTimer(false);
+    }
+    return entry;
+};
+
+/**
+ * Cancel a callback that was scheduled using [add()]{@link TimerScheduler#add}.
+ *
+ * @param handle The handle returned by [add()]{@link TimerScheduler#add}. If the callback has already been called or cancelled, then this method does nothing.
+ */
+TimerScheduler.prototype.remove = function(handle) {
+    var priv = PRIVATE.get(this);
+    var queue = priv.queue;
+    var i = handle.index;
+
+    if (i < 0 || queue[i] !== handle) {
+        return;
+    }
+
+    removeAt(queue, i);
+
+    // the underlying timer only needs changing if it was set for this callback
+    if (queue.length === 0) {
+        clearTimer(priv);
+    } else if (i === 0 && queue[0].rootTime > priv.timerRootTime) {
+        this._setTimer(true);
+    }
+};
+
+/**
+ * Cancel all the callbacks that are waiting to be called, and the underlying timer.
+ */
+TimerScheduler.prototype.clear = function() {
+    var priv = PRIVATE.get(this);
+
+    priv.queue.forEach(function(entry) {
+        entry.index = -1;
+    });
+    priv.queue = [];
+    clearTimer(priv);
+};
+
+/**
+ * @returns {Number} The number of callbacks that are waiting to be called.
+ */
+TimerScheduler.prototype.size = function() {
+    return PRIVATE.get(this).queue.length;
+};
+
+/**
+ * @returns {Number} The time of the root clock at which the earliest callback is due, or <tt>NaN</tt> if there are no callbacks waiting.
+ */
+TimerScheduler.prototype.getNextRootTime = function() {
+    var queue = PRIVATE.get(this).queue;
+    return queue.length > 0 ? queue[0].rootTime : NaN;
+};
+
+/**
+ * @returns {timerBackend} The backend that provides the underlying timer.
+ */
+TimerScheduler.prototype.getBackend = function() {
+    return PRIVATE.get(this).backend;
+};
+
+/**
+ * Change the backend that provides the underlying timer. Callbacks that are waiting
+ * are then scheduled using the new backend.
+ *
+ * <p>If the old backend has a <tt>terminate()</tt> method (such as a [worker]{@link timerBackends.worker} backend),
+ * then it is called, so the old backend releases any resources it holds.
+ *
+ * @param {timerBackend} backend The backend.
+ */
+TimerScheduler.prototype.setBackend = function(backend) {
+    var priv = PRIVATE.get(this);
+    var oldBackend = priv.backend;
+
+    if (backend === oldBackend) {
+        return;
+    }
+
+    clearTimer(priv);
+    priv.backend = backend;
+    if (typeof oldBackend.terminate === "function") {
+        oldBackend.terminate();
+    }
+    this._setTimer(true);
+};
+
+/**
+ * @returns {Number} How early (in milliseconds) the underlying timer is set, to then busy-wait until a callback is due.
+ */
+TimerScheduler.prototype.getBusyWaitMillis = function() {
+    return PRIVATE.get(this).busyWaitMillis;
+};
+
+/**
+ * Set how early (in milliseconds) the underlying timer is set, to then busy-wait until a callback is due.
+ *
+ * <p>This is usually set to approximately the [precision]{@link timerBackend} of the backend.
+ * While busy-waiting, nothing else can run, so larger values waste more time.
+ * Zero means there is no busy-waiting.
+ *
+ * @param {Number} busyWaitMillis The time, in milliseconds.
+ */
+TimerScheduler.prototype.setBusyWaitMillis = function(busyWaitMillis) {
+    var priv = PRIVATE.get(this);
+
+    priv.busyWaitMillis = busyWaitMillis;
+    this._setTimer(true);
+};
+
+// set the underlying timer for the earliest callback, if it is not already
+// set for that time or earlier. If force is true, then it is always set again,
+// because the timing of the root clock has changed.
+TimerScheduler.prototype._setTimer = function(force) {
+    var priv = PRIVATE.get(this);
+    var clock = priv.clock;
+
+    if (priv.queue.length === 0) {
+        clearTimer(priv);
+        return;
+    }
+
+    var rootTime = priv.queue[0].rootTime;
+
+    if (!force && priv.timerHandle !== null && priv.timerRootTime <= rootTime) {
+        return;
+    }
+
+    clearTimer(priv);
+
+    var numRootTicks = rootTime - clock.now();
+    if (numRootTicks !== 0) {
+        numRootTicks = clock.getSpeed() !== 0 ? numRootTicks / clock.getSpeed() : NaN;
+    }
+    var millis = numRootTicks * (1000 / clock.getTickRate());
+    if (!isNaN(millis)) {
+        priv.timerRootTime = rootTime;
+        priv.timerHandle = priv.backend.set(priv.fire, Math.max(0, millis - priv.busyWaitMillis));
+    }
+};
+
+TimerScheduler.prototype._fire = function() {
+    var priv = PRIVATE.get(this);
+    var queue = priv.queue;
+
+    if (priv.busyWaitMillis > 0 && queue.length > 0 && queue[0].rootTime <= priv.timerRootTime) {
+        busyWait(priv);
+    }
+
+    // the underlying timer might fire slightly before the root clock reaches the
+    // time it was set for. Callbacks due at that time are still called.
+    var limit = Math.max(priv.clock.now(), priv.timerRootTime);
+    var endSeq = priv.nextSeq;
+
+    priv.timerHandle = null;
+    priv.timerRootTime = NaN;
+
+    try {
+        while (queue.length > 0 && queue[0].rootTime <= limit && queue[0].seq < endSeq) {
+            removeAt(queue, 0).func();
+        }
+    } finally {
+        // if a callback threw an exception, then any others that are due are called when this fires again
+        this._setTimer(false);
+    }
+};
+
+// wait until the root clock reaches the time the underlying timer was set for. In case the
+// root clock is not progressing, give up after twice as long as the timer was set early by.
+function busyWait(priv) {
+    var clock = priv.clock;
+    var giveUp = monotonicTime.millis() + priv.busyWaitMillis * 2;
+
+    while (clock.now() < priv.timerRootTime && monotonicTime.millis() <= giveUp) {
+        // busy-wait
+    }
+}
+
+function clearTimer(priv) {
+    if (priv.timerHandle !== null) {
+        priv.backend.clear(priv.timerHandle);
+        priv.timerHandle = null;
+        priv.timerRootTime = NaN;
+    }
+}
+
+function removeAt(queue, i) {
+    var entry = queue[i];
+    var last = queue.pop();
+
+    if (i < queue.length) {
+        queue[i] = last;
+        last.index = i;
+        siftDown(queue, siftUp(queue, i));
+    }
+    entry.index = -1;
+    return entry;
+}
+
+function isBefore(a, b) {
+    return a.rootTime < b.rootTime || (a.rootTime === b.rootTime && a.seq < b.seq);
+}
+
+function swap(queue, i, j) {
+    var tmp = queue[i];
+    queue[i] = queue[j];
+    queue[j] = tmp;
+    queue[i].index = i;
+    queue[j].index = j;
+}
+
+function siftUp(queue, i) {
+    while (i > 0) {
+        var parent = (i - 1) >> 1;
+        if (!isBefore(queue[i], queue[parent])) {
+            break;
+        }
+        swap(queue, i, parent);
+        i = parent;
+    }
+    return i;
+}
+
+function siftDown(queue, i) {
+    var n = queue.length;
+    while (true) {
+        var left = 2 * i + 1;
+        var right = left + 1;
+        var smallest = i;
+
+        if (left < n && isBefore(queue[left], queue[smallest])) {
+            smallest = left;
+        }
+        if (right < n && isBefore(queue[right], queue[smallest])) {
+            smallest = right;
+        }
+        if (smallest === i) {
+            return i;
+        }
+        swap(queue, i, smallest);
+        i = smallest;
+    }
+}
+
+/**
+ * @returns {String} A human readable summary of this scheduler.
+ */
+TimerScheduler.prototype.toString = function() {
+    var priv = PRIVATE.get(this);
+    return "TimerScheduler(callbacks:"+priv.queue.length+") rootClock="+priv.clock.id;
+};
+
+module.exports = TimerScheduler;
@@ -0,0 +1,286 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var inherits = require('inherits');
+var ClockBase = require('./ClockBase');
+var TimerList = require('./TimerList');
+
+var WeakMap = require('weak-map');
+var PRIVATE = new WeakMap();
+
+/**
+ * @exports VirtualClock
+ * @class VirtualClock
+ * @extends ClockBase
+ *
+ * @classdesc
+ * Root clock whose time only changes when told to.
+ * It is a subclass of {@link ClockBase}.
+ *
+ * <p>This clock can be used as the root of a hierarchy of clocks in place of
+ * a {@link DateNowClock}. It does not use any underlying system clock. Instead
+ * its time only moves when [advance()]{@link VirtualClock#advance} or
+ * [setTime()]{@link VirtualClock#setTime} is called.
+ *
+ * <p>Timer callbacks scheduled (using [setTimeout]{@link ClockBase#setTimeout}
+ * or [setAtTime]{@link ClockBase#setAtTime}) on this clock, or on any clock
+ * in a hierarchy with this clock as its root, do not use the global
+ * <tt>setTimeout()</tt> function. Instead they are called synchronously, in
+ * the order they become due, from within the call to
+ * [advance()]{@link VirtualClock#advance} or [setTime()]{@link VirtualClock#setTime}
+ * that causes the time to reach them. This makes the behaviour of the whole
+ * hierarchy deterministic, which is useful for testing.
+ *
+ * <p>A timer can become overdue without the time of this clock moving: for example, when it is scheduled
+ * for a time that has already passed, or when a change to the correlation or speed of a clock in the
+ * hierarchy makes that clock jump past when the timer is due. With other root clocks, such a timer
+ * is called straight away (asynchronously). With this clock, it is not called until the next call to
+ * [advance()]{@link VirtualClock#advance} or [setTime()]{@link VirtualClock#setTime}. Calling
+ * <tt>advance(0)</tt> calls any overdue timers without moving the time.
+ *
+ * <p>The "underlying system clock" (as used by [calcWhen()]{@link VirtualClock#calcWhen})
+ * is the time of this clock expressed in milliseconds.
+ *
+ * @constructor
+ * @override
+ * @param {object} [options] Options for this clock
+ * @param {Number} [options.tickRate] Initial tick rate for this clock (in ticks per second).
+ * @param {Number} [options.time] Initial time of this clock (in ticks).
+ * @param {Number} [options.maxFreqErrorPpm] The maximum frequency error this clock should report (in ppm).
+ * @param {Number} [options.precision] The dispersion this clock should report (in seconds).
+ * @default tickRate: 1000, time: 0, maxFreqErrorPpm: 0, precision: 0
+ *
+ * @example
+ * root = new VirtualClock();
+ * wallClock = new CorrelatedClock(root, { correlation: new Correlation(0,5000) });
+ *
+ * wallClock.setAtTime(function() { console.log("Wall clock reached 6000"); }, 6000);
+ *
+ * root.advance(999);   // nothing happens
+ * root.advance(1);     // "Wall clock reached 6000"
+ */
+var VirtualClock = function(options) {
+    ClockBase.call(this);
+
+    PRIVATE.set(this, {});
+    var priv = PRIVATE.get(this);
+
+    if (options && (typeof options.tickRate !== "undefined")) {
+        if (options.tickRate <= 0) {
+            throw "Cannot have tickrate of zero or less";
+        }
+        priv.freq = options.tickRate;
+    } else {
+        priv.freq = 1000;
+    }
+
+    if (options && (typeof options.time !== "undefined")) {
+        priv.time = options.time;
+    } else {
+        priv.time = 0;
+    }
+
+    if (options && (typeof options.maxFreqErrorPpm !== "undefined")) {
+        priv.maxFreqErrorPpm = options.maxFreqErrorPpm;
+    } else {
+        priv.maxFreqErrorPpm = 0;
+    }
+
+    if (options && (typeof options.precision !== "undefined")) {
+        priv.precision = options.precision;
+    } else {
+        priv.precision = 0;
+    }
+
+    // pending timers, due at times of this clock
+    priv.timers = new TimerList();
+};
+
+inherits(VirtualClock, ClockBase);
+
+/**
+ * @inheritdoc
+ */
+VirtualClock.prototype.now = function() {
+    return PRIVATE.get(this).time;
+};
+
+/**
+ * Move the time of this clock forward by the specified number of ticks.
+ *
+ * <p>Any timer callbacks in the hierarchy that become due, or are already overdue, are called, in order,
+ * before this method returns. When each callback is called, the time of this
+ * clock will be the time at which the callback was due.
+ *
+ * @param {Number} ticks The number of ticks to move forward by. Cannot be negative.
+ * @throws if <tt>ticks</tt> is negative.
+ */
+VirtualClock.prototype.advance = function(ticks) {
+    var priv = PRIVATE.get(this);
+
+    if (ticks < 0) {
+        throw "Cannot advance by a negative amount. Use setTime() instead.";
+    }
+
+    var target = priv.time + ticks;
+    this._fireTimersUntil(target);
+    priv.time = target;
+};
+
+/**
+ * Set the time of this clock, causing it to jump (forwards or backwards) to
+ * the specified time.
+ *
+ * <p>Because this is a discontinuity, a "change" event is fired. Any timer
+ * callbacks in the hierarchy that are then due (because the jump has reached
+ * or passed them) are called, in order, before this method returns.
+ *
+ * <p>To move time forward smoothly, so that timer callbacks are called
+ * at the times they are due, use [advance()]{@link VirtualClock#advance} instead.
+ *
+ * @param {Number} t The new time for this clock (in ticks).
+ * @fires change
+ */
+VirtualClock.prototype.setTime = function(t) {
+    var priv = PRIVATE.get(this);
+
+    if (priv.time !== t) {
+        var oldTime = priv.time;
+        priv.time = t;
+        this.notifyChange("time", oldTime, t, (t - oldTime) / priv.freq);
+    }
+    this._fireTimersUntil(t);
+};
+
+VirtualClock.prototype._fireTimersUntil = function(target) {
+    var priv = PRIVATE.get(this);
+
+    var timer;
+    while ((timer = priv.timers.takeDue(target)) !== null) {
+        priv.time = Math.max(priv.time, timer.due);
+        timer.func();
+    }
+};
+
+/**
+ * @inheritdoc
+ */
+VirtualClock.prototype.getTickRate = function() {
+    return PRIVATE.get(this).freq;
+};
+
+/**
+ * @inheritdoc
+ */
+VirtualClock.prototype.calcWhen = function(t) {
+    return t / PRIVATE.get(this).freq * 1000;
+};
+
+/**
+ * @returns {String} A human readable summary of this clock object, including its [id]{@link VirtualClock#id} and its current properties
+ * @example
+ * > c=new VirtualClock();
+ * > c.toString()
+ * 'VirtualClock({tickRate:1000, time:0}) [clock_0]'
+ */
+VirtualClock.prototype.toString = function() {
+    var priv = PRIVATE.get(this);
+    return "VirtualClock({tickRate:"+priv.freq+", time:"+priv.time+"}) ["+this.id+"]";
+};
+
+/**
+ * @inheritdoc
+ */
+VirtualClock.prototype.toParentTime = function(t) {
+    throw "Clock has no parent.";
+};
+
+/**
+ * @inheritdoc
+ */
+VirtualClock.prototype.fromParentTime = function(t) {
+    throw "Clock has no parent.";
+};
+
+/**
+ * @inheritdoc
+ */
+VirtualClock.prototype.getParent = function() {
+    return null;
+};
+
+/**
+ * The parent of this clock is always <tt>null</tt> and cannot be changed.
+ * @throws because this clock cannot have a parent.
+ */
+VirtualClock.prototype.setParent = function(newParent) {
+    throw "Cannot set a parent for this clock.";
+};
+
+/**
+ * @inheritdoc
+ */
+VirtualClock.prototype._errorAtTime = function(t) {
+    return PRIVATE.get(this).precision;
+};
+
+/**
+ * @inheritdoc
+ */
+VirtualClock.prototype.getRootMaxFreqError = function() {
+    return PRIVATE.get(this).maxFreqErrorPpm;
+};
+
+/**
+ * Timers in a hierarchy with this clock as its root do not use a {@link TimerScheduler}.
+ * @returns null
+ */
+VirtualClock.prototype.getTimerScheduler = function() {
+    return null;
+};
+
+/**
+ * Schedules the callback to be called from within [advance()]{@link VirtualClock#advance}
+ * or [setTime()]{@link VirtualClock#setTime} instead of using the global <tt>setTimeout()</tt> function.
+ * @inheritdoc
+ */
+VirtualClock.prototype._setRootTimer = function(func, rootTime) {
+    var priv = PRIVATE.get(this);
+
+    if (isNaN(rootTime)) {
+        return undefined;
+    }
+
+    return priv.timers.add(func, rootTime);
+};
+
+/**
+ * @inheritdoc
+ */
+VirtualClock.prototype._clearRootTimer = function(realHandle) {
+    PRIVATE.get(this).timers.remove(realHandle);
+};
+
+/**
+ * Also cancels the callbacks of timers of other clocks in the hierarchy.
+ * @inheritdoc
+ */
+VirtualClock.prototype.dispose = function() {
+    PRIVATE.get(this).timers.clear();
+    ClockBase.prototype.dispose.call(this);
+};
+
+module.exports = VirtualClock;
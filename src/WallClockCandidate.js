@@ -0,0 +1,228 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var Correlation = require('./Correlation');
+
+var WeakMap = require('weak-map');
+var PRIVATE = new WeakMap();
+
+var NANOS_PER_SEC = 1000000000;
+
+/**
+ * @exports WallClockCandidate
+ * @class WallClockCandidate
+ *
+ * @classdesc
+ * This is an immutable object representing the result of a single request-response
+ * exchange of the DVB CSS Wall Clock protocol (CSS-WC), from which an estimate of
+ * the relationship between the client's local clock and the server's wall clock
+ * can be calculated.
+ *
+ * <p>The exchange is described by four timevalues (all in nanoseconds):
+ * <ul>
+ *   <li> [t1]{@link WallClockCandidate#t1} - when the request was sent, according to the client's local clock (the originate timevalue)
+ *   <li> [t2]{@link WallClockCandidate#t2} - when the request was received, according to the server's wall clock (the receive timevalue)
+ *   <li> [t3]{@link WallClockCandidate#t3} - when the response was sent, according to the server's wall clock (the transmit timevalue)
+ *   <li> [t4]{@link WallClockCandidate#t4} - when the response was received, according to the client's local clock
+ * </ul>
+ *
+ * <p>From these, the [offset]{@link WallClockCandidate#offset} between the clocks
+ * and the [round-trip time]{@link WallClockCandidate#rtt} are calculated.
+ *
+ * @constructor
+ * @param {object} fields The timevalues and server error information for this candidate.
+ * @param {Number} fields.t1 Time the request was sent, in nanoseconds of the client's local clock.
+ * @param {Number} fields.t2 Time the request was received, in nanoseconds of the server's wall clock.
+ * @param {Number} fields.t3 Time the response was sent, in nanoseconds of the server's wall clock.
+ * @param {Number} fields.t4 Time the response was received, in nanoseconds of the client's local clock.
+ * @param {Number} [fields.precision] The precision of the server's wall clock (in seconds).
+ * @param {Number} [fields.maxFreqError] The maximum frequency error of the server's wall clock (in ppm).
+ * @default precision: 0, maxFreqError: 0
+ *
+ * @example
+ * candidate = new WallClockCandidate({ t1: 1000, t2: 5500, t3: 5600, t4: 1300, precision: 0.001, maxFreqError: 50 });
+ * candidate.offset; // 4400
+ * candidate.rtt;    // 200
+ */
+var WallClockCandidate = function(fields) {
+    PRIVATE.set(this, {});
+    var priv = PRIVATE.get(this);
+
+    priv.t1 = fields.t1;
+    priv.t2 = fields.t2;
+    priv.t3 = fields.t3;
+    priv.t4 = fields.t4;
+    priv.precision    = (typeof fields.precision !== "undefined")    ? fields.precision    : 0;
+    priv.maxFreqError = (typeof fields.maxFreqError !== "undefined") ? fields.maxFreqError : 0;
+
+    priv.offset = ((priv.t3 - priv.t4) + (priv.t2 - priv.t1)) / 2;
+    priv.rtt = (priv.t4 - priv.t1) - (priv.t3 - priv.t2);
+};
+
+/**
+ * Create a candidate from a response message received by a client.
+ *
+ * <p>If a follow-up response is received, then a new candidate should be
+ * created from it, to replace the one created from the original response.
+ *
+ * @param {WallClockMessage} msg A response message.
+ * @param {Number} t4 The time the response was received, in nanoseconds of the client's local clock.
+ * @returns {WallClockCandidate} A candidate, with the precision and maximum frequency error reported by the server in the message.
+ * @throws if the message is not a response.
+ */
+WallClockCandidate.fromMessage = function(msg, t4) {
+    if (!msg.isResponse()) {
+        throw "Cannot create a candidate from a message that is not a response.";
+    }
+    return new WallClockCandidate({
+        t1: msg.originateSecs * NANOS_PER_SEC + msg.originateNanos,
+        t2: msg.receiveSecs * NANOS_PER_SEC + msg.receiveNanos,
+        t3: msg.transmitSecs * NANOS_PER_SEC + msg.transmitNanos,
+        t4: t4,
+        precision: msg.getPrecisionSecs(),
+        maxFreqError: msg.getMaxFreqErrorPpm()
+    });
+};
+
+["t1", "t2", "t3", "t4", "precision", "maxFreqError", "offset", "rtt"].forEach(function(name) {
+    Object.defineProperty(WallClockCandidate.prototype, name, {
+        get: function()  { return PRIVATE.get(this)[name]; },
+        set: function(v) { throw "Cannot set this property, object is immutable."; }
+    });
+});
+
+/**
+ * @var {Number} t1 Time the request was sent, in nanoseconds of the client's local clock. Read only.
+ * @memberof WallClockCandidate
+ * @instance
+ */
+
+/**
+ * @var {Number} t2 Time the request was received, in nanoseconds of the server's wall clock. Read only.
+ * @memberof WallClockCandidate
+ * @instance
+ */
+
+/**
+ * @var {Number} t3 Time the response was sent, in nanoseconds of the server's wall clock. Read only.
+ * @memberof WallClockCandidate
+ * @instance
+ */
+
+/**
+ * @var {Number} t4 Time the response was received, in nanoseconds of the client's local clock. Read only.
+ * @memberof WallClockCandidate
+ * @instance
+ */
+
+/**
+ * @var {Number} precision The precision of the server's wall clock (in seconds). Read only.
+ * @memberof WallClockCandidate
+ * @instance
+ */
+
+/**
+ * @var {Number} maxFreqError The maximum frequency error of the server's wall clock (in ppm). Read only.
+ * @memberof WallClockCandidate
+ * @instance
+ */
+
+/**
+ * @var {Number} offset The estimated amount (in nanoseconds) by which the server's wall clock is ahead of the client's local clock. Read only.
+ * @memberof WallClockCandidate
+ * @instance
+ */
+
+/**
+ * @var {Number} rtt The round-trip time (in nanoseconds) of the exchange, excluding the time the server took to respond. Read only.
+ * @memberof WallClockCandidate
+ * @instance
+ */
+
+/**
+ * Calculate the error/uncertainty (in seconds) in the relationship between the
+ * local clock and the wall clock that results from this exchange, at the point
+ * of correlation (the mid-point of the exchange).
+ *
+ * <p>This comprises half the round-trip time, the precision of the server's wall clock and
+ * potential for drift of both clocks (due to frequency error) during the exchange.
+ * It does not include the precision of the client's local clock.
+ *
+ * @param {Number} localMaxFreqErrorPpm The maximum frequency error of the client's local clock (in ppm).
+ * @returns {Number} The error (in seconds).
+ */
+WallClockCandidate.prototype.calcError = function(localMaxFreqErrorPpm) {
+    var priv = PRIVATE.get(this);
+
+    return priv.rtt / 2 / NANOS_PER_SEC +
+        priv.precision +
+        (priv.t4 - priv.t1) / NANOS_PER_SEC * localMaxFreqErrorPpm / 1000000 +
+        (priv.t3 - priv.t2) / NANOS_PER_SEC * priv.maxFreqError / 1000000;
+};
+
+/**
+ * Calculate a correlation, from this candidate, for a clock representing the wall clock.
+ *
+ * <p>The clock's parent must be the client's local clock (that was used to measure
+ * [t1]{@link WallClockCandidate#t1} and [t4]{@link WallClockCandidate#t4}).
+ * The point of correlation is the mid-point of the exchange. The initial error
+ * is calculated by [calcError()]{@link WallClockCandidate#calcError} and
+ * the error growth rate is the sum of the maximum frequency errors of both clocks.
+ *
+ * @param {CorrelatedClock} clock The clock representing the wall clock.
+ * @param {Number} [localMaxFreqErrorPpm] The maximum frequency error of the client's local clock (in ppm). If not specified, then the [maximum frequency error of the root]{@link ClockBase#getRootMaxFreqError} of the clock's hierarchy is used.
+ * @returns {Correlation} A correlation, relating the clock's parent to the clock.
+ */
+WallClockCandidate.prototype.calcCorrelationFor = function(clock, localMaxFreqErrorPpm) {
+    var priv = PRIVATE.get(this);
+
+    if (typeof localMaxFreqErrorPpm === "undefined") {
+        localMaxFreqErrorPpm = clock.getRootMaxFreqError();
+    }
+
+    return new Correlation({
+        parentTime: clock.getParent().fromNanos(priv.t1 + (priv.t4 - priv.t1) / 2),
+        childTime: clock.fromNanos(priv.t2 + (priv.t3 - priv.t2) / 2),
+        initialError: this.calcError(localMaxFreqErrorPpm),
+        errorGrowthRate: (localMaxFreqErrorPpm + priv.maxFreqError) / 1000000
+    });
+};
+
+/**
+ * @returns {object} The timevalues and server error information of this candidate, with the same
+ * property names as the [constructor]{@link WallClockCandidate} accepts. The offset and round-trip time are not included.
+ */
+WallClockCandidate.prototype.toJSON = function() {
+    var priv = PRIVATE.get(this);
+    return {
+        t1: priv.t1,
+        t2: priv.t2,
+        t3: priv.t3,
+        t4: priv.t4,
+        precision: priv.precision,
+        maxFreqError: priv.maxFreqError
+    };
+};
+
+/**
+ * @returns {String} A human readable summary of this candidate.
+ */
+WallClockCandidate.prototype.toString = function() {
+    var priv = PRIVATE.get(this);
+    return "WallClockCandidate({t1:"+priv.t1+", t2:"+priv.t2+", t3:"+priv.t3+", t4:"+priv.t4+", offset:"+priv.offset+", rtt:"+priv.rtt+"})";
+};
+
+module.exports = WallClockCandidate;
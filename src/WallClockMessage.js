@@ -0,0 +1,451 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var WeakMap = require('weak-map');
+var PRIVATE = new WeakMap();
+
+var MESSAGE_LENGTH = 32;
+var NANOS_PER_SEC = 1000000000;
+var UINT32_MAX = 4294967295;
+
+var FIELDS = [
+    "type", "precision", "maxFreqError",
+    "originateSecs", "originateNanos",
+    "receiveSecs", "receiveNanos",
+    "transmitSecs", "transmitNanos"
+];
+
+var isIntegerInRange = function(value, min, max) {
+    return typeof value === "number" && isFinite(value) && Math.floor(value) === value && value >= min && value <= max;
+};
+
+/**
+ * @exports WallClockMessage
+ * @class WallClockMessage
+ *
+ * @classdesc
+ * This is an immutable object representing a DVB CSS Wall Clock protocol (CSS-WC) message.
+ *
+ * <p>It can be [encoded]{@link WallClockMessage#encode} into, or
+ * [decoded]{@link WallClockMessage.decode} from, the 32 byte format that is
+ * sent in UDP packets. Encoding then decoding will always produce a message
+ * that [equals]{@link WallClockMessage#equals} the original.
+ *
+ * <p>The properties correspond directly to the fields of the message:
+ * <ul>
+ *   <li> [type]{@link WallClockMessage#type} - the message type (see [TYPE_REQUEST]{@link WallClockMessage.TYPE_REQUEST} etc)
+ *   <li> [precision]{@link WallClockMessage#precision} - precision of the server's wall clock, as an encoded value. See [encodePrecision()]{@link WallClockMessage.encodePrecision}.
+ *   <li> [maxFreqError]{@link WallClockMessage#maxFreqError} - maximum frequency error of the server's wall clock, as an encoded value. See [encodeMaxFreqError()]{@link WallClockMessage.encodeMaxFreqError}.
+ *   <li> originate, receive and transmit timevalues, each as a number of seconds ([originateSecs]{@link WallClockMessage#originateSecs} etc)
+ *        and a number of nanoseconds ([originateNanos]{@link WallClockMessage#originateNanos} etc).
+ * </ul>
+ * The protocol version field is always zero.
+ *
+ * <p>The object is immutable. Use the [butWith()]{@link WallClockMessage#butWith}
+ * method to create a new message "but with" some properties changed. For example,
+ * a server can build a response from a request:
+ * <pre class="prettyprint"><code>
+ * request = WallClockMessage.decode(bytes);
+ * response = request.butWith({
+ *     type: WallClockMessage.TYPE_RESPONSE,
+ *     receiveSecs: 1234, receiveNanos: 500000000,
+ *     transmitSecs: 1234, transmitNanos: 500100000
+ * }).butWithErrorsFromClock(wallClock);
+ * </code></pre>
+ *
+ * @constructor
+ * @param {object} [fields] The values for the fields of the message. Any not specified default to zero.
+ * @param {Number} [fields.type] The message type.
+ * @param {Number} [fields.precision] Encoded precision. A signed 8-bit integer.
+ * @param {Number} [fields.maxFreqError] Encoded maximum frequency error. An unsigned 32-bit integer.
+ * @param {Number} [fields.originateSecs] Seconds part of the originate timevalue. An unsigned 32-bit integer.
+ * @param {Number} [fields.originateNanos] Nanoseconds part of the originate timevalue. Between 0 and 999999999 if the message is a request.
+ *     Otherwise it is echoed back from a request, and so can be any unsigned 32-bit integer.
+ * @param {Number} [fields.receiveSecs] Seconds part of the receive timevalue. An unsigned 32-bit integer.
+ * @param {Number} [fields.receiveNanos] Nanoseconds part of the receive timevalue. Between 0 and 999999999.
+ * @param {Number} [fields.transmitSecs] Seconds part of the transmit timevalue. An unsigned 32-bit integer.
+ * @param {Number} [fields.transmitNanos] Nanoseconds part of the transmit timevalue. Between 0 and 999999999.
+ * @throws if any of the fields have invalid values.
+ *
+ * @example
+ * // a request, with an originate time of 5.25 seconds
+ * msg = new WallClockMessage({ type: WallClockMessage.TYPE_REQUEST, originateSecs: 5, originateNanos: 250000000 });
+ * bytes = msg.encode();
+ */
+var WallClockMessage = function(fields) {
+    var priv = setFields(this, fields);
+
+    // the originate timevalue is the client's own time. A server echoes it back unchanged,
+    // so it is only checked when a request is built, not when a message is decoded
+    if (priv.type === WallClockMessage.TYPE_REQUEST && !isIntegerInRange(priv.originateNanos, 0, NANOS_PER_SEC-1)) {
+        throw "Invalid originateNanos (must be an integer between 0 and 999999999): "+priv.originateNanos;
+    }
+};
+
+// set the fields of a new message, checking that they can be encoded. The nanoseconds part of
+// the originate timevalue is only checked to be a 32 bit unsigned integer.
+var setFields = function(msg, fields) {
+    PRIVATE.set(msg, {});
+    var priv = PRIVATE.get(msg);
+
+    FIELDS.forEach(function(name) {
+        var value = (fields && typeof fields[name] !== "undefined") ? fields[name] : 0;
+        priv[name] = value;
+    });
+
+    if (!isIntegerInRange(priv.type, 0, 3)) {
+        throw "Invalid message type: "+priv.type;
+    }
+    if (!isIntegerInRange(priv.precision, -128, 127)) {
+        throw "Invalid precision (must be an integer between -128 and 127): "+priv.precision;
+    }
+    if (!isIntegerInRange(priv.maxFreqError, 0, UINT32_MAX)) {
+        throw "Invalid maxFreqError (must be a 32 bit unsigned integer): "+priv.maxFreqError;
+    }
+    ["originate", "receive", "transmit"].forEach(function(name) {
+        if (!isIntegerInRange(priv[name+"Secs"], 0, UINT32_MAX)) {
+            throw "Invalid "+name+"Secs (must be a 32 bit unsigned integer): "+priv[name+"Secs"];
+        }
+        if (name === "originate") {
+            if (!isIntegerInRange(priv.originateNanos, 0, UINT32_MAX)) {
+                throw "Invalid originateNanos (must be a 32 bit unsigned integer): "+priv.originateNanos;
+            }
+        } else if (!isIntegerInRange(priv[name+"Nanos"], 0, NANOS_PER_SEC-1)) {
+            throw "Invalid "+name+"Nanos (must be an integer between 0 and 999999999): "+priv[name+"Nanos"];
+        }
+    });
+
+    return priv;
+};
+
+/**
+ * Message type for a request, sent by a client.
+ * @constant {Number}
+ * @default 0
+ */
+WallClockMessage.TYPE_REQUEST = 0;
+
+/**
+ * Message type for a response, sent by a server, that will not be followed by a follow-up response.
+ * @constant {Number}
+ * @default 1
+ */
+WallClockMessage.TYPE_RESPONSE = 1;
+
+/**
+ * Message type for a response, sent by a server, that will be followed by a follow-up response.
+ * @constant {Number}
+ * @default 2
+ */
+WallClockMessage.TYPE_RESPONSE_WITH_FOLLOWUP = 2;
+
+/**
+ * Message type for a follow-up response, sent by a server, containing a more accurate transmit timevalue.
+ * @constant {Number}
+ * @default 3
+ */
+WallClockMessage.TYPE_FOLLOWUP = 3;
+
+FIELDS.forEach(function(name) {
+    Object.defineProperty(WallClockMessage.prototype, name, {
+        get: function()  { return PRIVATE.get(this)[name]; },
+        set: function(v) { throw "Cannot set this property, object is immutable. Use butWith() method."; }
+    });
+});
+
+/**
+ * @var {Number} type The message type. Read only.
+ * @memberof WallClockMessage
+ * @instance
+ */
+
+/**
+ * @var {Number} precision The precision of the server's wall clock, encoded as described for
+ * [encodePrecision()]{@link WallClockMessage.encodePrecision}. Read only.
+ * @memberof WallClockMessage
+ * @instance
+ */
+
+/**
+ * @var {Number} maxFreqError The maximum frequency error of the server's wall clock, encoded as described for
+ * [encodeMaxFreqError()]{@link WallClockMessage.encodeMaxFreqError}. Read only.
+ * @memberof WallClockMessage
+ * @instance
+ */
+
+/**
+ * @var {Number} originateSecs The seconds part of the originate timevalue (the time the request was sent by the client, according to the client). Read only.
+ * @memberof WallClockMessage
+ * @instance
+ */
+
+/**
+ * @var {Number} originateNanos The nanoseconds part of the originate timevalue. Read only.
+ * @memberof WallClockMessage
+ * @instance
+ */
+
+/**
+ * @var {Number} receiveSecs The seconds part of the receive timevalue (the time the request was received by the server, according to its wall clock). Read only.
+ * @memberof WallClockMessage
+ * @instance
+ */
+
+/**
+ * @var {Number} receiveNanos The nanoseconds part of the receive timevalue. Read only.
+ * @memberof WallClockMessage
+ * @instance
+ */
+
+/**
+ * @var {Number} transmitSecs The seconds part of the transmit timevalue (the time the response was sent by the server, according to its wall clock). Read only.
+ * @memberof WallClockMessage
+ * @instance
+ */
+
+/**
+ * @var {Number} transmitNanos The nanoseconds part of the transmit timevalue. Read only.
+ * @memberof WallClockMessage
+ * @instance
+ */
+
+/**
+ * Build a new message object, but with the properties changed listed as
+ * named properties of the object passed.
+ *
+ * @param {object} changes An object where the property names and values represent the properties of the message to be changed.
+ * @returns {WallClockMessage} new WallClockMessage object that is the same as this one, but with the specified changes.
+ * @throws if any of the changed fields have invalid values.
+ */
+WallClockMessage.prototype.butWith = function(changes) {
+    var priv = PRIVATE.get(this);
+
+    if (typeof changes === "undefined") {
+        return this;
+    } else {
+        var fields = {};
+        FIELDS.forEach(function(name) {
+            fields[name] = (typeof changes[name] !== "undefined") ? changes[name] : priv[name];
+        });
+        return new WallClockMessage(fields);
+    }
+};
+
+/**
+ * Build a new message object, but with the [precision]{@link WallClockMessage#precision} and
+ * [maxFreqError]{@link WallClockMessage#maxFreqError} fields set to describe the specified clock.
+ *
+ * <p>The precision is derived from the [dispersion]{@link ClockBase#dispersionAtTime} of
+ * the clock at its current time. The maximum frequency error is derived from the
+ * [maximum frequency error of the root]{@link ClockBase#getRootMaxFreqError} of the clock's hierarchy.
+ *
+ * @param {ClockBase} clock The clock being used as the wall clock.
+ * @returns {WallClockMessage} new WallClockMessage object that is the same as this one, but with the precision and max frequency error fields changed.
+ */
+WallClockMessage.prototype.butWithErrorsFromClock = function(clock) {
+    return this.butWith({
+        precision: WallClockMessage.encodePrecision(clock.dispersionAtTime(clock.now())),
+        maxFreqError: WallClockMessage.encodeMaxFreqError(clock.getRootMaxFreqError())
+    });
+};
+
+/**
+ * @returns {Boolean} True if this message is a request.
+ */
+WallClockMessage.prototype.isRequest = function() {
+    return PRIVATE.get(this).type === WallClockMessage.TYPE_REQUEST;
+};
+
+/**
+ * @returns {Boolean} True if this message is any kind of response (including a follow-up response).
+ */
+WallClockMessage.prototype.isResponse = function() {
+    return PRIVATE.get(this).type !== WallClockMessage.TYPE_REQUEST;
+};
+
+/**
+ * @returns {Boolean} True if this message is a response that will be followed by a follow-up response.
+ */
+WallClockMessage.prototype.isFollowUpExpected = function() {
+    return PRIVATE.get(this).type === WallClockMessage.TYPE_RESPONSE_WITH_FOLLOWUP;
+};
+
+/**
+ * @returns {Boolean} True if this message is a follow-up response.
+ */
+WallClockMessage.prototype.isFollowUp = function() {
+    return PRIVATE.get(this).type === WallClockMessage.TYPE_FOLLOWUP;
+};
+
+/**
+ * @returns {Number} The precision, decoded to a number of seconds.
+ */
+WallClockMessage.prototype.getPrecisionSecs = function() {
+    return WallClockMessage.decodePrecision(PRIVATE.get(this).precision);
+};
+
+/**
+ * @returns {Number} The maximum frequency error, decoded to a number of ppm.
+ */
+WallClockMessage.prototype.getMaxFreqErrorPpm = function() {
+    return WallClockMessage.decodeMaxFreqError(PRIVATE.get(this).maxFreqError);
+};
+
+/**
+ * Encode this message into the 32 byte format sent in UDP packets.
+ * @returns {Uint8Array} The encoded message.
+ */
+WallClockMessage.prototype.encode = function() {
+    var priv = PRIVATE.get(this);
+    var bytes = new Uint8Array(MESSAGE_LENGTH);
+    var view = new DataView(bytes.buffer);
+
+    view.setUint8(0, 0); // version
+    view.setUint8(1, priv.type);
+    view.setInt8(2, priv.precision);
+    view.setUint8(3, 0); // reserved
+    view.setUint32(4, priv.maxFreqError);
+    view.setUint32(8, priv.originateSecs);
+    view.setUint32(12, priv.originateNanos);
+    view.setUint32(16, priv.receiveSecs);
+    view.setUint32(20, priv.receiveNanos);
+    view.setUint32(24, priv.transmitSecs);
+    view.setUint32(28, priv.transmitNanos);
+
+    return bytes;
+};
+
+/**
+ * Decode a message from the 32 byte format sent in UDP packets.
+ *
+ * <p>The nanoseconds part of the originate timevalue is not checked to be less than 1000000000,
+ * because a server must echo back whatever the client sent.
+ *
+ * @param {Uint8Array|ArrayBuffer} bytes The encoded message. Can also be a Node.js Buffer.
+ * @returns {WallClockMessage} The decoded message.
+ * @throws if the message is the wrong length, is not protocol version zero, or contains invalid values.
+ */
+WallClockMessage.decode = function(bytes) {
+    var view;
+    if (bytes instanceof ArrayBuffer) {
+        view = new DataView(bytes);
+    } else if (ArrayBuffer.isView(bytes)) {
+        view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    } else {
+        throw "Cannot decode message. Expected a Uint8Array or ArrayBuffer.";
+    }
+
+    if (view.byteLength !== MESSAGE_LENGTH) {
+        throw "Cannot decode message. Expected "+MESSAGE_LENGTH+" bytes but got "+view.byteLength;
+    }
+    if (view.getUint8(0) !== 0) {
+        throw "Cannot decode message. Unsupported protocol version: "+view.getUint8(0);
+    }
+
+    var msg = Object.create(WallClockMessage.prototype);
+    setFields(msg, {
+        type:           view.getUint8(1),
+        precision:      view.getInt8(2),
+        maxFreqError:   view.getUint32(4),
+        originateSecs:  view.getUint32(8),
+        originateNanos: view.getUint32(12),
+        receiveSecs:    view.getUint32(16),
+        receiveNanos:   view.getUint32(20),
+        transmitSecs:   view.getUint32(24),
+        transmitNanos:  view.getUint32(28)
+    });
+    return msg;
+};
+
+/**
+ * Encode a precision (in seconds) into the form used in the precision field of a message.
+ * This is the exponent of the smallest power of 2 that is greater than or equal to the precision.
+ * @param {Number} precisionSecs The precision in seconds.
+ * @returns {Number} The encoded precision, clamped to the range -128 to 127.
+ */
+WallClockMessage.encodePrecision = function(precisionSecs) {
+    if (precisionSecs <= 0) {
+        return -128;
+    }
+    var exponent = Math.ceil(Math.log(precisionSecs) / Math.LN2);
+    // guard against rounding errors in the logarithm
+    if (Math.pow(2, exponent-1) >= precisionSecs) {
+        exponent = exponent - 1;
+    }
+    return Math.max(-128, Math.min(127, exponent));
+};
+
+/**
+ * Decode the value of the precision field of a message.
+ * @param {Number} precision The encoded precision.
+ * @returns {Number} The precision in seconds.
+ */
+WallClockMessage.decodePrecision = function(precision) {
+    return Math.pow(2, precision);
+};
+
+/**
+ * Encode a maximum frequency error (in ppm) into the form used in the maxFreqError field of a message.
+ * This is in units of 1/256ths of a ppm, rounded up.
+ * @param {Number} maxFreqErrorPpm The maximum frequency error in ppm.
+ * @returns {Number} The encoded maximum frequency error, clamped to the range of a 32 bit unsigned integer.
+ */
+WallClockMessage.encodeMaxFreqError = function(maxFreqErrorPpm) {
+    return Math.max(0, Math.min(UINT32_MAX, Math.ceil(maxFreqErrorPpm * 256)));
+};
+
+/**
+ * Decode the value of the maxFreqError field of a message.
+ * @param {Number} maxFreqError The encoded maximum frequency error.
+ * @returns {Number} The maximum frequency error in ppm.
+ */
+WallClockMessage.decodeMaxFreqError = function(maxFreqError) {
+    return maxFreqError / 256;
+};
+
+/**
+ * Compare this message with another to check if they are the same.
+ * @param {WallClockMessage} obj - another message to compare with.
+ * @returns {boolean} True if all fields of this message are the same as the one provided.
+ */
+WallClockMessage.prototype.equals = function(obj) {
+    var priv = PRIVATE.get(this);
+    return FIELDS.every(function(name) {
+        return priv[name] === obj[name];
+    });
+};
+
+/**
+ * @returns {object} The fields of this message, as an object with the same property names
+ * as the [constructor]{@link WallClockMessage} accepts.
+ */
+WallClockMessage.prototype.toJSON = function() {
+    var priv = PRIVATE.get(this);
+    var result = {};
+    FIELDS.forEach(function(name) {
+        result[name] = priv[name];
+    });
+    return result;
+};
+
+/**
+ * @returns {String} A human readable summary of this message.
+ */
+WallClockMessage.prototype.toString = function() {
+    return "WallClockMessage("+JSON.stringify(this.toJSON())+")";
+};
+
+module.exports = WallClockMessage;
@@ -0,0 +1,167 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var WallClockMessage = require('./WallClockMessage');
+
+var WeakMap = require('weak-map');
+var PRIVATE = new WeakMap();
+
+var NANOS_PER_SEC = 1000000000;
+var SECS_WRAP = 4294967296;
+
+/* Split a time in nanoseconds into the seconds and nanoseconds parts of a
+ * timevalue. The seconds part wraps, because it is only 32 bits in a message.
+ */
+var nanosToTimevalue = function(nanos) {
+    var secs = Math.floor(nanos / NANOS_PER_SEC);
+    var remainder = Math.floor(nanos - secs * NANOS_PER_SEC);
+    return {
+        secs: ((secs % SECS_WRAP) + SECS_WRAP) % SECS_WRAP,
+        nanos: Math.min(NANOS_PER_SEC - 1, Math.max(0, remainder))
+    };
+};
+
+/**
+ * @exports WallClockServer
+ * @class WallClockServer
+ *
+ * @classdesc
+ * Server for the DVB CSS Wall Clock protocol (CSS-WC), that answers requests
+ * received on a UDP socket, using any clock as the wall clock.
+ *
+ * <p>The socket must be a Node.js <tt>dgram</tt> socket (or an object with the
+ * same <tt>on("message", ...)</tt>, <tt>removeListener()</tt> and <tt>send()</tt> methods).
+ * It is created, bound and closed by the caller. This keeps this library
+ * free of any dependency on Node.js modules when it is used in a browser.
+ *
+ * <p>When a request is received, the receive timevalue is read from the wall clock
+ * immediately. A response is then sent, with the transmit timevalue read from the wall clock
+ * just before it is sent. The precision and maximum frequency error fields of the
+ * response describe the wall clock (see [WallClockMessage.butWithErrorsFromClock()]{@link WallClockMessage#butWithErrorsFromClock}).
+ *
+ * <p>If the <tt>followup</tt> option is set, then the response indicates that
+ * a follow-up will be sent. Once the socket reports that the response has been
+ * sent, a follow-up response is then sent with a more accurate transmit timevalue.
+ *
+ * <p>Messages that cannot be decoded, or that are not requests, are ignored.
+ *
+ * @constructor
+ * @param {dgram.Socket} socket The UDP socket on which to receive requests and send responses.
+ * @param {ClockBase} wallClock The clock to use as the wall clock.
+ * @param {object} [options] Options for the server.
+ * @param {Boolean} [options.followup] If true, then follow-up responses are sent.
+ * @default followup: false
+ *
+ * @example
+ * dgram = require("dgram");
+ * wallClock = new DateNowClock({tickRate:1000000000});
+ *
+ * socket = dgram.createSocket("udp4");
+ * socket.bind(6677, "127.0.0.1");
+ * server = new WallClockServer(socket, wallClock, { followup: true });
+ *
+ * // ... later
+ * server.stop();
+ * socket.close();
+ */
+var WallClockServer = function(socket, wallClock, options) {
+    PRIVATE.set(this, {});
+    var priv = PRIVATE.get(this);
+
+    priv.socket = socket;
+    priv.wallClock = wallClock;
+
+    if (options && (typeof options.followup !== "undefined")) {
+        priv.followup = options.followup;
+    } else {
+        priv.followup = false;
+    }
+
+    priv.onMessage = this._onMessage.bind(this);
+    priv.socket.on("message", priv.onMessage);
+};
+
+/**
+ * Stop this server from responding to requests. The socket is not closed.
+ */
+WallClockServer.prototype.stop = function() {
+    var priv = PRIVATE.get(this);
+    priv.socket.removeListener("message", priv.onMessage);
+};
+
+/**
+ * @returns {ClockBase} The clock being used as the wall clock.
+ */
+WallClockServer.prototype.getWallClock = function() {
+    return PRIVATE.get(this).wallClock;
+};
+
+/**
+ * @returns {Boolean} True if follow-up responses are being sent.
+ */
+WallClockServer.prototype.isFollowUpEnabled = function() {
+    return PRIVATE.get(this).followup;
+};
+
+WallClockServer.prototype._onMessage = function(bytes, rinfo) {
+    var priv = PRIVATE.get(this);
+    var receive = nanosToTimevalue(priv.wallClock.getNanos());
+
+    var request;
+    try {
+        request = WallClockMessage.decode(bytes);
+    } catch (e) {
+        return;
+    }
+    if (!request.isRequest()) {
+        return;
+    }
+
+    var response = request.butWith({
+        type: priv.followup ? WallClockMessage.TYPE_RESPONSE_WITH_FOLLOWUP : WallClockMessage.TYPE_RESPONSE,
+        receiveSecs: receive.secs,
+        receiveNanos: receive.nanos
+    }).butWithErrorsFromClock(priv.wallClock);
+
+    var self = this;
+    this._send(response, rinfo, function(err) {
+        if (priv.followup && !err) {
+            self._send(response.butWith({ type: WallClockMessage.TYPE_FOLLOWUP }), rinfo);
+        }
+    });
+};
+
+WallClockServer.prototype._send = function(msg, rinfo, callback) {
+    var priv = PRIVATE.get(this);
+    var transmit = nanosToTimevalue(priv.wallClock.getNanos());
+
+    var bytes = msg.butWith({
+        transmitSecs: transmit.secs,
+        transmitNanos: transmit.nanos
+    }).encode();
+
+    priv.socket.send(bytes, 0, bytes.length, rinfo.port, rinfo.address, callback);
+};
+
+/**
+ * @returns {String} A human readable summary of this server.
+ */
+WallClockServer.prototype.toString = function() {
+    var priv = PRIVATE.get(this);
+    return "WallClockServer({followup:"+priv.followup+"}) wallClock="+priv.wallClock.id;
+};
+
+module.exports = WallClockServer;
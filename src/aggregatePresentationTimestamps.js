@@ -0,0 +1,123 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var Correlation = require('./Correlation');
+
+/**
+ * Aggregate the Earliest, Latest and Actual Presentation Timestamps reported by a group of devices
+ * (as in the DVB CSS Timeline Synchronisation protocol), to calculate how a timeline
+ * should be adjusted so that all the devices can present it in sync.
+ *
+ * <p>The timeline is represented by a {@link CorrelatedClock} whose parent is the
+ * wall clock that is shared by the devices. Each timestamp is a correlation-style pair,
+ * where the <tt>parentTime</tt> is a time of the wall clock and the <tt>childTime</tt> is a time of the timeline.
+ * An Earliest Presentation Timestamp means the device can present that time of the timeline no earlier
+ * than that time of the wall clock. A Latest Presentation Timestamp means it can present it no later.
+ * A missing earliest or latest timestamp means the device has no limit in that direction.
+ *
+ * <p>Each timestamp is converted to an offset (in seconds) relative to the timeline clock
+ * as it is currently, using its current correlation and speed. Positive offsets mean
+ * later than the timeline clock. The windows between earliest and latest are intersected
+ * to find the window in which every device can present the timeline.
+ *
+ * <p>If the windows overlap, then the target offset is the smallest adjustment that
+ * brings the timeline clock into the window (zero if it is already within it).
+ * If they do not overlap, then <tt>overlap</tt> is false in the result and the target offset
+ * is half way between the latest of the earliest times and the earliest of the latest times,
+ * as a compromise that minimises how far any device is out of sync.
+ *
+ * <p>The result includes the target correlation. This is the current correlation of the
+ * timeline clock, shifted by the target offset, and can be set on the timeline clock (or a clock
+ * mirroring it) using [setCorrelation()]{@link CorrelatedClock#setCorrelation}.
+ *
+ * @exports aggregatePresentationTimestamps
+ * @function aggregatePresentationTimestamps
+ * @param {CorrelatedClock} timelineClock The clock representing the timeline. Its parent must be the wall clock.
+ * @param {object[]} timestamps The timestamps reported by each device.
+ * @param {Correlation|object|Number[]} [timestamps.earliest] The Earliest Presentation Timestamp, or <tt>null</tt> or <tt>undefined</tt> if there is no earliest limit.
+ * @param {Correlation|object|Number[]} [timestamps.latest] The Latest Presentation Timestamp, or <tt>null</tt> or <tt>undefined</tt> if there is no latest limit.
+ * @param {Correlation|object|Number[]} [timestamps.actual] The Actual Presentation Timestamp, if reported.
+ * @returns {object} An object with the following properties:
+ *   <tt>overlap</tt> (Boolean) true if the windows of all devices overlap;
+ *   <tt>earliestSecs</tt> and <tt>latestSecs</tt> (Number) the intersection of the windows, as offsets (in seconds) from the timeline clock, which might be <tt>Number.NEGATIVE_INFINITY</tt> or <tt>Number.POSITIVE_INFINITY</tt>;
+ *   <tt>offsetSecs</tt> (Number) the target offset (in seconds) from the timeline clock;
+ *   <tt>correlation</tt> ({@link Correlation}) the target correlation for the timeline clock;
+ *   <tt>actualSecs</tt> (Number[]) the offsets (in seconds) of each device's Actual Presentation Timestamp, or <tt>null</tt> for devices that did not report one.
+ * @throws if the speed of the timeline clock is zero, because then offsets in time cannot be calculated.
+ *
+ * @example
+ * wallClock = new CorrelatedClock(sysClock, {tickRate:1000000000});
+ * timelineClock = new CorrelatedClock(wallClock, {tickRate:1000, correlation:[5000000000, 0]});
+ *
+ * result = aggregatePresentationTimestamps(timelineClock, [
+ *     { earliest: [5100000000, 0], latest: [5300000000, 0] },   // device A can present 0.1 to 0.3 secs late
+ *     { earliest: [5200000000, 0], latest: [5500000000, 0] }    // device B can present 0.2 to 0.5 secs late
+ * ]);
+ * // result.overlap === true, result.offsetSecs === 0.2
+ * timelineClock.setCorrelation(result.correlation);
+ */
+var aggregatePresentationTimestamps = function(timelineClock, timestamps) {
+    if (timelineClock.getSpeed() === 0) {
+        throw "Cannot aggregate presentation timestamps when the timeline clock speed is zero.";
+    }
+
+    var wallTickRate = timelineClock.getParent().getTickRate();
+
+    var offsetOf = function(timestamp) {
+        var corr = new Correlation(timestamp);
+        return (corr.parentTime - timelineClock.toParentTime(corr.childTime)) / wallTickRate;
+    };
+
+    var earliestSecs = Number.NEGATIVE_INFINITY;
+    var latestSecs = Number.POSITIVE_INFINITY;
+    var actualSecs = [];
+
+    timestamps.forEach(function(ts) {
+        if (ts.earliest !== null && typeof ts.earliest !== "undefined") {
+            earliestSecs = Math.max(earliestSecs, offsetOf(ts.earliest));
+        }
+        if (ts.latest !== null && typeof ts.latest !== "undefined") {
+            latestSecs = Math.min(latestSecs, offsetOf(ts.latest));
+        }
+        if (ts.actual !== null && typeof ts.actual !== "undefined") {
+            actualSecs.push(offsetOf(ts.actual));
+        } else {
+            actualSecs.push(null);
+        }
+    });
+
+    var overlap = earliestSecs <= latestSecs;
+    var offsetSecs;
+
+    if (overlap) {
+        offsetSecs = Math.min(latestSecs, Math.max(earliestSecs, 0));
+    } else {
+        offsetSecs = (earliestSecs + latestSecs) / 2;
+    }
+
+    var corr = timelineClock.getCorrelation();
+
+    return {
+        overlap: overlap,
+        earliestSecs: earliestSecs,
+        latestSecs: latestSecs,
+        offsetSecs: offsetSecs,
+        correlation: corr.butWith({ parentTime: corr.parentTime + offsetSecs * wallTickRate }),
+        actualSecs: actualSecs
+    };
+};
+
+module.exports = aggregatePresentationTimestamps;
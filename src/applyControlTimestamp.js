@@ -0,0 +1,66 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var ControlTimestamp = require('./ControlTimestamp');
+
+/**
+ * Apply a DVB CSS Timeline Synchronisation protocol (CSS-TS) Control Timestamp
+ * to a clock representing the timeline.
+ *
+ * <p>The clock must be a {@link CorrelatedClock} whose parent is the clock representing
+ * the wall clock, and whose tick rate is the tick rate of the timeline.
+ *
+ * <p>If the Control Timestamp says the timeline is available, then the correlation
+ * and speed of the clock are changed in a single step, using
+ * [setCorrelationAndSpeed()]{@link CorrelatedClock#setCorrelationAndSpeed}, and the clock is then
+ * flagged as available. The error information of the clock's existing correlation is kept.
+ *
+ * <p>If the Control Timestamp says the timeline is unavailable, then the clock is
+ * flagged as unavailable, and its correlation and speed are left unchanged.
+ *
+ * @exports applyControlTimestamp
+ * @function applyControlTimestamp
+ * @param {CorrelatedClock} clock The clock representing the timeline.
+ * @param {ControlTimestamp|String|object} ct The Control Timestamp, or a JSON message (either as a string, or already parsed into an object) to be [parsed]{@link ControlTimestamp.parse}.
+ * @returns {ControlTimestamp} The Control Timestamp that was applied.
+ * @throws if <tt>ct</tt> is not a valid Control Timestamp.
+ *
+ * @example
+ * wallClock = new CorrelatedClock(sysClock, {tickRate:1000000000});
+ * timelineClock = new CorrelatedClock(wallClock, {tickRate:90000});
+ *
+ * applyControlTimestamp(timelineClock, '{ "contentTime":"834190", "wallClockTime":"1255000000", "timelineSpeedMultiplier":1.0 }');
+ */
+var applyControlTimestamp = function(clock, ct) {
+    if (!(ct instanceof ControlTimestamp)) {
+        ct = ControlTimestamp.parse(ct);
+    }
+
+    if (ct.isAvailable()) {
+        var corr = clock.getCorrelation().butWith({
+            parentTime: ct.getWallClockTime(clock.getParent().getTickRate()),
+            childTime: ct.getContentTime()
+        });
+        clock.setCorrelationAndSpeed(corr, ct.timelineSpeedMultiplier);
+        clock.setAvailabilityFlag(true);
+    } else {
+        clock.setAvailabilityFlag(false);
+    }
+
+    return ct;
+};
+
+module.exports = applyControlTimestamp;
@@ -15,10 +15,28 @@
 *****************************************************************************/
 
 var ClockBase = require("./ClockBase");
+var RootClockBase = require("./RootClockBase");
 var DateNowClock = require("./DateNowClock");
+var PerformanceNowClock = require("./PerformanceNowClock");
+var MonotonicDateNowClock = require("./MonotonicDateNowClock");
+var HrtimeClock = require("./HrtimeClock");
+var VirtualClock = require("./VirtualClock");
 var CorrelatedClock = require("./CorrelatedClock");
 var Correlation = require("./Correlation");
 var OffsetClock = require("./OffsetClock");
+var WallClockMessage = require("./WallClockMessage");
+var WallClockCandidate = require("./WallClockCandidate");
+var LowestDispersionAlgorithm = require("./LowestDispersionAlgorithm");
+var WallClockServer = require("./WallClockServer");
+var ControlTimestamp = require("./ControlTimestamp");
+var applyControlTimestamp = require("./applyControlTimestamp");
+var ControlTimestampGenerator = require("./ControlTimestampGenerator");
+var aggregatePresentationTimestamps = require("./aggregatePresentationTimestamps");
+var timestampFormats = require("./timestampFormats");
+var DriftEstimator = require("./DriftEstimator");
+var TimerScheduler = require("./TimerScheduler");
+var timerBackends = require("./timerBackends");
+var CueScheduler = require("./CueScheduler");
 
 /**
  * @module dvbcss-clocks
@@ -28,10 +46,28 @@ var OffsetClock = require("./OffsetClock");
  *
  * <ul>
  *   <li> dvbcss-clocks.{@link ClockBase} - base class for all clock implementations.
+ *   <li> dvbcss-clocks.{@link RootClockBase} - base class for root clocks based on an underlying system clock.
  *   <li> cdvbcss-locks.{@link DateNowClock} - a root clock based on <tt>Date.now()</tt>
+ *   <li> dvbcss-clocks.{@link PerformanceNowClock} - a root clock based on <tt>performance.now()</tt>
+ *   <li> dvbcss-clocks.{@link MonotonicDateNowClock} - a root clock relative to the <tt>Date.now()</tt> epoch, but progressing monotonically like <tt>performance.now()</tt>
+ *   <li> dvbcss-clocks.{@link HrtimeClock} - a root clock based on <tt>process.hrtime.bigint()</tt> in Node.js
+ *   <li> dvbcss-clocks.{@link VirtualClock} - a root clock whose time only changes when told to, for deterministic testing.
  *   <li> dvbcss-clocks.{@link CorrelatedClock} - a clock based on a parent using a correlation.
  *   <li> dvbcss-clocks.{@link Correlation} - a correlation.
  *   <li> dvbcss-clocks.{@link OffsetClock} - a clock that applies a fixed offset to enable compensating for rendering latency.
+ *   <li> dvbcss-clocks.{@link WallClockMessage} - a DVB CSS Wall Clock protocol message.
+ *   <li> dvbcss-clocks.{@link WallClockCandidate} - the result of a DVB CSS Wall Clock protocol request-response exchange.
+ *   <li> dvbcss-clocks.{@link LowestDispersionAlgorithm} - a DVB CSS Wall Clock protocol client algorithm that adjusts a clock using the candidate with lowest dispersion.
+ *   <li> dvbcss-clocks.{@link WallClockServer} - a DVB CSS Wall Clock protocol server, using any clock as the wall clock.
+ *   <li> dvbcss-clocks.{@link ControlTimestamp} - a DVB CSS Timeline Synchronisation protocol Control Timestamp.
+ *   <li> dvbcss-clocks.{@link applyControlTimestamp} - a function that applies a Control Timestamp to a clock representing a timeline.
+ *   <li> dvbcss-clocks.{@link ControlTimestampGenerator} - generates Control Timestamps from a clock representing a timeline.
+ *   <li> dvbcss-clocks.{@link aggregatePresentationTimestamps} - a function that calculates how to adjust a timeline so a group of devices can present it in sync.
+ *   <li> dvbcss-clocks.{@link timestampFormats} - functions for converting between NTP, PTP and 64-bit nanosecond timestamps and clock ticks.
+ *   <li> dvbcss-clocks.{@link DriftEstimator} - estimates the drift between a clock and its parent from its history of correlations.
+ *   <li> dvbcss-clocks.{@link TimerScheduler} - schedules all the timers in a hierarchy of clocks using a single underlying timer. Used by root clocks.
+ *   <li> dvbcss-clocks.{@link timerBackends} - functions that create backends, with different precision characteristics, to provide the underlying timer for a {@link TimerScheduler}.
+ *   <li> dvbcss-clocks.{@link CueScheduler} - fires events as cues, in a list of cues, become active or inactive as a clock plays.
  * </ul>
  *
  * <p>Clock can be built into hierarchies, where one clock is the root, and other
@@ -50,11 +86,36 @@ module.exports = {
      * @see ClockBase
      */
     ClockBase: ClockBase,
+    /**
+     * base class for root clocks based on an underlying system clock
+     * @see RootClockBase
+     */
+    RootClockBase: RootClockBase,
     /**
      * a root clock based on <tt>Date.now()</tt>
      * @see DateNowClock
      */
     DateNowClock: DateNowClock,
+    /**
+     * a root clock based on <tt>performance.now()</tt>
+     * @see PerformanceNowClock
+     */
+    PerformanceNowClock: PerformanceNowClock,
+    /**
+     * a root clock relative to the <tt>Date.now()</tt> epoch, but progressing monotonically like <tt>performance.now()</tt>
+     * @see MonotonicDateNowClock
+     */
+    MonotonicDateNowClock: MonotonicDateNowClock,
+    /**
+     * a root clock based on <tt>process.hrtime.bigint()</tt> in Node.js
+     * @see HrtimeClock
+     */
+    HrtimeClock: HrtimeClock,
+    /**
+     * a root clock whose time only changes when told to, for deterministic testing.
+     * @see VirtualClock
+     */
+    VirtualClock: VirtualClock,
     /**
      * a clock based on a parent using a correlation.
      * @see CorrelatedClock
@@ -69,5 +130,70 @@ module.exports = {
      * a clock that applies a fixed offset to enable compensating for rendering latency.
      * @see OffsetClock
      */
-    OffsetClock: OffsetClock
+    OffsetClock: OffsetClock,
+    /**
+     * a DVB CSS Wall Clock protocol message.
+     * @see WallClockMessage
+     */
+    WallClockMessage: WallClockMessage,
+    /**
+     * the result of a DVB CSS Wall Clock protocol request-response exchange.
+     * @see WallClockCandidate
+     */
+    WallClockCandidate: WallClockCandidate,
+    /**
+     * a DVB CSS Wall Clock protocol client algorithm that adjusts a clock using the candidate with lowest dispersion.
+     * @see LowestDispersionAlgorithm
+     */
+    LowestDispersionAlgorithm: LowestDispersionAlgorithm,
+    /**
+     * a DVB CSS Wall Clock protocol server, using any clock as the wall clock.
+     * @see WallClockServer
+     */
+    WallClockServer: WallClockServer,
+    /**
+     * a DVB CSS Timeline Synchronisation protocol Control Timestamp.
+     * @see ControlTimestamp
+     */
+    ControlTimestamp: ControlTimestamp,
+    /**
+     * a function that applies a Control Timestamp to a clock representing a timeline.
+     * @see applyControlTimestamp
+     */
+    applyControlTimestamp: applyControlTimestamp,
+    /**
+     * generates Control Timestamps from a clock representing a timeline.
+     * @see ControlTimestampGenerator
+     */
+    ControlTimestampGenerator: ControlTimestampGenerator,
+    /**
+     * a function that calculates how to adjust a timeline so a group of devices can present it in sync.
+     * @see aggregatePresentationTimestamps
+     */
+    aggregatePresentationTimestamps: aggregatePresentationTimestamps,
+    /**
+     * functions for converting between NTP, PTP and 64-bit nanosecond timestamps and clock ticks.
+     * @see timestampFormats
+     */
+    timestampFormats: timestampFormats,
+    /**
+     * estimates the drift between a clock and its parent from its history of correlations.
+     * @see DriftEstimator
+     */
+    DriftEstimator: DriftEstimator,
+    /**
+     * schedules all the timers in a hierarchy of clocks using a single underlying timer. Used by root clocks.
+     * @see TimerScheduler
+     */
+    TimerScheduler: TimerScheduler,
+    /**
+     * functions that create backends, with different precision characteristics, to provide the underlying timer for a {@link TimerScheduler}.
+     * @see timerBackends
+     */
+    timerBackends: timerBackends,
+    /**
+     * fires events as cues, in a list of cues, become active or inactive as a clock plays.
+     * @see CueScheduler
+     */
+    CueScheduler: CueScheduler
 };
@@ -0,0 +1,90 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var measurePrecision = require('./measurePrecision');
+
+var hasPerformanceNow = function() {
+    return typeof performance !== "undefined" && typeof performance.now === "function";
+};
+
+var performanceNow = function() {
+    return performance.now();
+};
+
+// precision of performance.now() is only measured when first needed, because
+// it is not available in all environments
+var PERFNOW_PRECISION;
+
+/**
+ * @exports monotonicTime
+ * @namespace monotonicTime
+ *
+ * @description
+ * Functions for obtaining a monotonic time source (one that is not affected
+ * by the system clock being adjusted), in milliseconds. Where it is available,
+ * this is <tt>performance.now()</tt>.
+ */
+var monotonicTime = {};
+
+/**
+ * Get <tt>performance.now()</tt> as a time source function.
+ * @param {String} optionName The name of the option that can be used to supply a time source instead. Used in the error if <tt>performance.now()</tt> is not available.
+ * @returns {Function} A function that returns <tt>performance.now()</tt>, in milliseconds.
+ * @throws if <tt>performance.now()</tt> is not available.
+ * @memberof monotonicTime
+ */
+monotonicTime.performanceNow = function(optionName) {
+    if (!hasPerformanceNow()) {
+        throw "performance.now() is not available. Specify a "+optionName+" option instead.";
+    }
+    return performanceNow;
+};
+
+/**
+ * Get the best available time source function: <tt>performance.now()</tt>, or <tt>Date.now()</tt> if it is not available.
+ * @returns {Function} A function that returns the time, in milliseconds.
+ * @memberof monotonicTime
+ */
+monotonicTime.bestAvailable = function() {
+    return hasPerformanceNow() ? performanceNow : Date.now.bind(Date);
+};
+
+/**
+ * @returns {Number} The time, in milliseconds, from <tt>performance.now()</tt>, or <tt>Date.now()</tt> if it is not available.
+ * @memberof monotonicTime
+ */
+monotonicTime.millis = function() {
+    return hasPerformanceNow() ? performance.now() : Date.now();
+};
+
+/**
+ * Measure the precision of a time source function. The precision of <tt>performance.now()</tt>
+ * (as returned by [performanceNow()]{@link monotonicTime.performanceNow}) is only measured once.
+ * @param {Function} timeSource A function that returns a time in milliseconds.
+ * @returns {Number} The precision, in seconds.
+ * @memberof monotonicTime
+ */
+monotonicTime.precision = function(timeSource) {
+    if (timeSource !== performanceNow) {
+        return measurePrecision(timeSource, 100) / 1000;
+    }
+    if (PERFNOW_PRECISION === undefined) {
+        PERFNOW_PRECISION = measurePrecision(performanceNow, 100) / 1000;
+    }
+    return PERFNOW_PRECISION;
+};
+
+module.exports = monotonicTime;
@@ -0,0 +1,340 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var TimerList = require('./TimerList');
+var monotonicTime = require('./monotonicTime');
+
+var WORKER_SCRIPT =
+    "var timers = {};\n" +
+    "onmessage = function(event) {\n" +
+    "    var msg = event.data;\n" +
+    "    if (msg.clear) {\n" +
+    "        clearTimeout(timers[msg.id]);\n" +
+    "        delete timers[msg.id];\n" +
+    "    } else {\n" +
+    "        timers[msg.id] = setTimeout(function() {\n" +
+    "            delete timers[msg.id];\n" +
+    "            postMessage({ id: msg.id });\n" +
+    "        }, msg.millis);\n" +
+    "    }\n" +
+    "};\n";
+
+var getTimeSource = function(options) {
+    if (options && (typeof options.timeSource !== "undefined")) {
+        return options.timeSource;
+    } else {
+        return monotonicTime.bestAvailable();
+    }
+};
+
+/**
+ * An object that provides the underlying timer used by a {@link TimerScheduler}.
+ * The functions in {@link timerBackends} create them.
+ *
+ * @typedef {object} timerBackend
+ * @property {String} name The name of the kind of backend.
+ * @property {Number} precisionMillis Approximately how late (in milliseconds) callbacks can be expected to be called.
+ * @property {Function} set Schedule a callback. Takes two arguments: the function to call and a (non-negative) number of milliseconds. Returns a handle.
+ * @property {Function} clear Cancel a callback, given the handle that was returned by <tt>set</tt>.
+ * @property {Function} [terminate] Release any resources held by the backend. Called by a {@link TimerScheduler} when the backend is replaced. Optional.
+ */
+
+/**
+ * @exports timerBackends
+ * @namespace timerBackends
+ *
+ * @description
+ * Functions that create [backends]{@link timerBackend} that a {@link TimerScheduler} can use as its
+ * underlying timer. The backend used by a hierarchy of clocks can be changed using the
+ * [TimerScheduler]{@link ClockBase#getTimerScheduler} of its root clock.
+ *
+ * <p>The backends have different precision characteristics:
+ * <ul>
+ *   <li> [timeout()]{@link timerBackends.timeout} uses <tt>setTimeout()</tt>. This is the default.
+ *        Callbacks are typically a few milliseconds late, and can be much later (a second or more)
+ *        in browser tabs that are in the background.
+ *   <li> [immediate()]{@link timerBackends.immediate} uses <tt>setTimeout()</tt> to wait until shortly before
+ *        the callback is due, then polls using <tt>setImmediate()</tt>. Callbacks are typically a small fraction of
+ *        a millisecond late, but the CPU is kept busy during the final approach.
+ *   <li> [animationFrame()]{@link timerBackends.animationFrame} checks once per frame using <tt>requestAnimationFrame()</tt>,
+ *        so callbacks are called in time to affect the next frame, but can be up to a frame late. Frames are not
+ *        drawn in browser tabs that are in the background, so callbacks can be delayed indefinitely.
+ *   <li> [worker()]{@link timerBackends.worker} runs <tt>setTimeout()</tt> in a Web Worker, which posts a message
+ *        back when the callback is due. This has similar precision to <tt>setTimeout()</tt>, plus the time to pass
+ *        the message, but avoids the throttling of timers in browser tabs that are in the background.
+ *   <li> [fake()]{@link timerBackends.fake} only calls callbacks when it is told to advance. It is intended for testing.
+ * </ul>
+ *
+ * <p>To get closer to the time a callback is due than the backend allows, a
+ * [busy-wait]{@link TimerScheduler#setBusyWaitMillis} can be used for the final approach.
+ *
+ * @example
+ * scheduler = rootClock.getTimerScheduler();
+ * scheduler.setBackend(timerBackends.worker());
+ * scheduler.setBusyWaitMillis(2);
+ */
+var timerBackends = {};
+
+/**
+ * Create a backend that uses <tt>setTimeout()</tt>.
+ * @returns {timerBackend} The backend.
+ * @memberof timerBackends
+ */
+timerBackends.timeout = function() {
+    return {
+        name: "timeout",
+        precisionMillis: 4,
+        set: function(func, millis) {
+            return setTimeout(func, millis);
+        },
+        clear: function(handle) {
+            clearTimeout(handle);
+        }
+    };
+};
+
+/**
+ * Create a backend that uses <tt>setTimeout()</tt> to wait until shortly before the callback is due,
+ * then polls using <tt>setImmediate()</tt> for the final approach.
+ * @param {object} [options] Options for the backend.
+ * @param {Number} [options.approachMillis] How long before the callback is due (in milliseconds) to start polling.
+ * @param {Function} [options.timeSource] Function to use instead of <tt>performance.now()</tt> (or <tt>Date.now()</tt>, if it is not available) to tell when the callback is due. Must return a time in milliseconds.
+ * @default approachMillis: 20
+ * @returns {timerBackend} The backend.
+ * @throws if <tt>setImmediate()</tt> is not available.
+ * @memberof timerBackends
+ */
+timerBackends.immediate = function(options) {
+    if (typeof setImmediate !== "function") {
+        throw "setImmediate() is not available.";
+    }
+
+    var timeSource = getTimeSource(options);
+    var approachMillis = 20;
+    if (options && (typeof options.approachMillis !== "undefined")) {
+        approachMillis = options.approachMillis;
+    }
+
+    return {
+        name: "immediate",
+        precisionMillis: 0.1,
+        set: function(func, millis) {
+            var due = timeSource() + millis;
+            var handle = { timeout: null, immediate: null };
+
+            var poll = function() {
+                handle.timeout = null;
+                if (timeSource() >= due) {
+                    handle.immediate = null;
+                    func();
+                } else {
+                    handle.immediate = setImmediate(poll);
+                }
+            };
+
+            if (millis > approachMillis) {
+                handle.timeout = setTimeout(poll, millis - approachMillis);
+            } else {
+                handle.immediate = setImmediate(poll);
+            }
+            return handle;
+        },
+        clear: function(handle) {
+            if (handle.timeout !== null) {
+                clearTimeout(handle.timeout);
+            }
+            if (handle.immediate !== null) {
+                clearImmediate(handle.immediate);
+            }
+        }
+    };
+};
+
+/**
+ * Create a backend that checks, once per frame, using <tt>requestAnimationFrame()</tt>, whether the callback is due.
+ * @param {object} [options] Options for the backend.
+ * @param {Function} [options.requestAnimationFrame] Function to use instead of the global <tt>requestAnimationFrame()</tt>.
+ * @param {Function} [options.cancelAnimationFrame] Function to use instead of the global <tt>cancelAnimationFrame()</tt>.
+ * @param {Function} [options.timeSource] Function to use instead of <tt>performance.now()</tt> (or <tt>Date.now()</tt>, if it is not available) to tell when the callback is due. Must return a time in milliseconds.
+ * @returns {timerBackend} The backend.
+ * @throws if <tt>requestAnimationFrame()</tt> is not available, and was not passed as an option.
+ * @memberof timerBackends
+ */
+timerBackends.animationFrame = function(options) {
+    var request, cancel;
+
+    if (options && (typeof options.requestAnimationFrame !== "undefined")) {
+        request = options.requestAnimationFrame;
+        cancel = options.cancelAnimationFrame;
+    } else if (typeof requestAnimationFrame === "function") {
+        request = function(func) { return requestAnimationFrame(func); };
+        cancel = function(id) { cancelAnimationFrame(id); };
+    } else {
+        throw "requestAnimationFrame() is not available.";
+    }
+
+    var timeSource = getTimeSource(options);
+
+    return {
+        name: "animationFrame",
+        precisionMillis: 17,
+        set: function(func, millis) {
+            var due = timeSource() + millis;
+            var handle = { id: null };
+
+            var frame = function() {
+                if (timeSource() >= due) {
+                    handle.id = null;
+                    func();
+                } else {
+                    handle.id = request(frame);
+                }
+            };
+
+            handle.id = request(frame);
+            return handle;
+        },
+        clear: function(handle) {
+            if (handle.id !== null) {
+                cancel(handle.id);
+                handle.id = null;
+            }
+        }
+    };
+};
+
+/**
+ * Create a backend that runs <tt>setTimeout()</tt> in a Web Worker, which posts a message back when the callback is due.
+ *
+ * <p>By default, a new Worker is created (from a Blob containing its script). Alternatively, an
+ * existing Worker-like object can be passed. It must post back a message <tt>{ id: id }</tt>
+ * after <tt>millis</tt> milliseconds when it receives a message <tt>{ id: id, millis: millis }</tt>, and not do so if it then
+ * receives a message <tt>{ id: id, clear: true }</tt>. It can have either an <tt>addEventListener()</tt> method (like a Web Worker)
+ * or an <tt>on()</tt> method (like a Node.js <tt>worker_threads</tt> Worker) for listening to messages.
+ *
+ * <p>The backend has a <tt>terminate()</tt> method, which terminates the Worker (and releases the URL of
+ * its script), if the backend created it. A {@link TimerScheduler} calls this when the backend is replaced.
+ *
+ * @param {object} [options] Options for the backend.
+ * @param {object} [options.worker] Worker-like object to use, instead of creating a new Worker.
+ * @returns {timerBackend} The backend.
+ * @throws if Web Workers are not available, and a Worker-like object was not passed as an option.
+ * @memberof timerBackends
+ */
+timerBackends.worker = function(options) {
+    var worker;
+    var scriptUrl = null;
+
+    if (options && (typeof options.worker !== "undefined")) {
+        worker = options.worker;
+    } else if (typeof Worker === "function" && typeof Blob === "function" && typeof URL !== "undefined") {
+        scriptUrl = URL.createObjectURL(new Blob([WORKER_SCRIPT], { type: "text/javascript" }));
+        worker = new Worker(scriptUrl);
+    } else {
+        throw "Web Workers are not available. Specify a worker option instead.";
+    }
+
+    var callbacks = {};
+    var nextId = 0;
+
+    var onMessage = function(msg) {
+        var func = callbacks[msg.id];
+        if (func) {
+            delete callbacks[msg.id];
+            func();
+        }
+    };
+
+    if (typeof worker.addEventListener === "function") {
+        worker.addEventListener("message", function(event) { onMessage(event.data); });
+    } else {
+        worker.on("message", onMessage);
+    }
+
+    return {
+        name: "worker",
+        precisionMillis: 5,
+        set: function(func, millis) {
+            var id = nextId++;
+            callbacks[id] = func;
+            worker.postMessage({ id: id, millis: millis });
+            return id;
+        },
+        clear: function(id) {
+            if (callbacks.hasOwnProperty(id)) {
+                delete callbacks[id];
+                worker.postMessage({ id: id, clear: true });
+            }
+        },
+        terminate: function() {
+            callbacks = {};
+            if (scriptUrl !== null) {
+                worker.terminate();
+                URL.revokeObjectURL(scriptUrl);
+                scriptUrl = null;
+            }
+        }
+    };
+};
+
+/**
+ * Create a backend that only calls callbacks when it is told to advance. Its time starts at zero.
+ *
+ * <p>The backend has the following additional methods:
+ * <ul>
+ *   <li> <tt>now()</tt> returns the time of the backend, in milliseconds.
+ *   <li> <tt>advance(millis)</tt> advances the time of the backend, calling, in order, the callbacks that become due.
+ *   <li> <tt>pending()</tt> returns the number of callbacks that have not yet been called.
+ * </ul>
+ *
+ * <p>The time of the root clock is not affected by the backend, so tests using it will usually also
+ * control the time of the root clock.
+ *
+ * @returns {timerBackend} The backend.
+ * @memberof timerBackends
+ */
+timerBackends.fake = function() {
+    var time = 0;
+    var timers = new TimerList();
+
+    return {
+        name: "fake",
+        precisionMillis: 0,
+        set: function(func, millis) {
+            return timers.add(func, time + millis);
+        },
+        clear: function(timer) {
+            timers.remove(timer);
+        },
+        now: function() {
+            return time;
+        },
+        advance: function(millis) {
+            var target = time + millis;
+            var timer;
+            while ((timer = timers.takeDue(target)) !== null) {
+                time = Math.max(time, timer.due);
+                timer.func();
+            }
+            time = target;
+        },
+        pending: function() {
+            return timers.size();
+        }
+    };
+};
+
+module.exports = timerBackends;
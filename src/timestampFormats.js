@@ -0,0 +1,434 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var Correlation = require('./Correlation');
+
+var NANOS_PER_SEC = 1000000000;
+var TWO_POW_16 = 65536;
+var TWO_POW_32 = 4294967296;
+var TWO_POW_48 = 281474976710656;
+
+var INTEGER_STRING = /^-?[0-9]+$/;
+
+var isInteger = function(value) {
+    return typeof value === "number" && isFinite(value) && Math.floor(value) === value;
+};
+
+/* Calculate n/d rounded to the nearest integer (halves rounded up), exactly,
+ * for non-negative integers n and d where n is less than 2^53.
+ */
+var divRound = function(n, d) {
+    var q = Math.floor(n / d);
+    var r = n - q * d;
+    if (r < 0) {
+        q--;
+        r += d;
+    } else if (r >= d) {
+        q++;
+        r -= d;
+    }
+    return (2 * r >= d) ? q + 1 : q;
+};
+
+/* Convert a 32 bit NTP fraction of a second to nanoseconds, rounded to the nearest
+ * nanosecond. The result can be 1000000000 (if the fraction is close to a whole second).
+ *
+ * fraction * 10^9 / 2^32 would need up to 62 bits, so the fraction is split into
+ * 16 bit halves, keeping every intermediate value exactly representable.
+ */
+var fractionToNanos = function(fraction) {
+    var hi = Math.floor(fraction / TWO_POW_16);
+    var lo = fraction - hi * TWO_POW_16;
+    var a = hi * NANOS_PER_SEC;
+    var a1 = Math.floor(a / TWO_POW_16);
+    var a0 = a - a1 * TWO_POW_16;
+    return a1 + divRound(a0 * TWO_POW_16 + lo * NANOS_PER_SEC, TWO_POW_32);
+};
+
+/* Convert nanoseconds to a 32 bit NTP fraction of a second, rounded to the nearest
+ * fraction. The result can be 2^32 (if the nanoseconds are close to a whole second).
+ *
+ * nanos * 2^32 / 10^9 is simplified to nanos * 2^23 / 5^9, which is exactly representable.
+ */
+var nanosToFraction = function(nanos) {
+    return divRound(nanos * 8388608, 1953125);
+};
+
+var checkTimevalue = function(tv) {
+    if (!tv || !isInteger(tv.secs) || !isInteger(tv.nanos) || tv.nanos < 0 || tv.nanos >= NANOS_PER_SEC) {
+        throw "Invalid timevalue. Must have integer secs, and integer nanos between 0 and 999999999.";
+    }
+};
+
+/**
+ * @exports timestampFormats
+ * @namespace timestampFormats
+ *
+ * @description
+ * Functions for converting between timestamp formats used by time synchronisation protocols,
+ * and the ticks of clocks.
+ *
+ * <p>The supported formats are:
+ * <ul>
+ *   <li> NTP 32.32 fixed point - an object <tt>{ seconds, fraction }</tt> where both are 32 bit unsigned integers, and the fraction is in units of 1/2^32 seconds.
+ *   <li> PTP - an object <tt>{ seconds, nanoseconds }</tt> where the seconds are a 48 bit unsigned integer.
+ *   <li> 64-bit nanoseconds - a whole number of nanoseconds as a <tt>BigInt</tt> or a string of decimal digits (or a Number, if it is small enough to be exact).
+ * </ul>
+ *
+ * <p>Conversions go via a "timevalue". This is an object <tt>{ secs, nanos }</tt> where <tt>secs</tt>
+ * is an integer number of seconds (which can be negative) and <tt>nanos</tt> is an integer
+ * between 0 and 999999999. Because the seconds and nanoseconds are kept separately, a timevalue
+ * can represent times that are too large to be represented exactly as a single Number of nanoseconds,
+ * such as the Number returned by [getNanos()]{@link ClockBase#getNanos}.
+ *
+ * <p>Conversions between NTP fractions and nanoseconds are exact, and then rounded to the nearest
+ * nanosecond or fraction. Conversions to and from the ticks of a clock are equivalent to
+ * [fromNanos()]{@link ClockBase#fromNanos} and [getNanos()]{@link ClockBase#getNanos}, but convert
+ * the seconds and nanoseconds separately, so they lose no more precision than is inevitable
+ * when the result is a Number.
+ *
+ * <p>NTP seconds wrap around every 2^32 seconds (approximately 136 years). Each such period is an "era".
+ * When converting from NTP, a pivot time can be specified, and the era chosen is the one
+ * that results in the time closest to the pivot.
+ *
+ * @example
+ * ntp = timestampFormats.ticksToNtp(clock.now(), clock);
+ * t = timestampFormats.ntpToTicks({ seconds: 3900000000, fraction: 2147483648 }, clock);
+ *
+ * corr = timestampFormats.makeCorrelation(
+ *     wallClock, { seconds: 1500000000, nanoseconds: 250000000 },
+ *     timelineClock, "90000000000"
+ * );
+ */
+var timestampFormats = {};
+
+/**
+ * Number of seconds from the NTP epoch (1 Jan 1900) to the Unix epoch (1 Jan 1970), which is also the epoch of <tt>Date.now()</tt>.
+ * @constant {Number}
+ * @default 2208988800
+ * @memberof timestampFormats
+ */
+timestampFormats.NTP_TO_UNIX_EPOCH_SECS = 2208988800;
+
+/**
+ * Convert an NTP 32.32 timestamp to a timevalue.
+ * @param {object} ntp The NTP timestamp.
+ * @param {Number} ntp.seconds The seconds part (32 bit unsigned integer).
+ * @param {Number} ntp.fraction The fractional part, in units of 1/2^32 seconds (32 bit unsigned integer).
+ * @param {Number} [pivotSecs] If specified, then the era is chosen so that the result is as close as possible to this number of seconds. Otherwise the first era (starting at zero) is used.
+ * @returns {object} The timevalue.
+ * @throws if the NTP timestamp is not valid.
+ * @memberof timestampFormats
+ */
+timestampFormats.ntpToTimevalue = function(ntp, pivotSecs) {
+    if (!ntp || !isInteger(ntp.seconds) || !isInteger(ntp.fraction) ||
+        ntp.seconds < 0 || ntp.seconds >= TWO_POW_32 || ntp.fraction < 0 || ntp.fraction >= TWO_POW_32) {
+        throw "Invalid NTP timestamp. Must have seconds and fraction that are 32 bit unsigned integers.";
+    }
+
+    var secs = ntp.seconds;
+    var nanos = fractionToNanos(ntp.fraction);
+
+    if (typeof pivotSecs !== "undefined") {
+        secs += Math.round((pivotSecs - secs) / TWO_POW_32) * TWO_POW_32;
+    }
+
+    if (nanos === NANOS_PER_SEC) {
+        secs++;
+        nanos = 0;
+    }
+    return { secs: secs, nanos: nanos };
+};
+
+/**
+ * Convert a timevalue to an NTP 32.32 timestamp. The seconds wrap around (losing the era)
+ * and the fraction is rounded to the nearest 1/2^32 seconds.
+ * @param {object} tv The timevalue.
+ * @returns {object} The NTP timestamp <tt>{ seconds, fraction }</tt>.
+ * @throws if the timevalue is not valid.
+ * @memberof timestampFormats
+ */
+timestampFormats.timevalueToNtp = function(tv) {
+    checkTimevalue(tv);
+
+    var secs = tv.secs;
+    var fraction = nanosToFraction(tv.nanos);
+    if (fraction === TWO_POW_32) {
+        secs++;
+        fraction = 0;
+    }
+    return {
+        seconds: ((secs % TWO_POW_32) + TWO_POW_32) % TWO_POW_32,
+        fraction: fraction
+    };
+};
+
+/**
+ * Convert a PTP timestamp to a timevalue.
+ * @param {object} ptp The PTP timestamp.
+ * @param {Number} ptp.seconds The seconds part (48 bit unsigned integer).
+ * @param {Number} ptp.nanoseconds The nanoseconds part (integer between 0 and 999999999).
+ * @returns {object} The timevalue.
+ * @throws if the PTP timestamp is not valid.
+ * @memberof timestampFormats
+ */
+timestampFormats.ptpToTimevalue = function(ptp) {
+    if (!ptp || !isInteger(ptp.seconds) || !isInteger(ptp.nanoseconds) ||
+        ptp.seconds < 0 || ptp.seconds >= TWO_POW_48 || ptp.nanoseconds < 0 || ptp.nanoseconds >= NANOS_PER_SEC) {
+        throw "Invalid PTP timestamp. Must have seconds that are a 48 bit unsigned integer, and nanoseconds between 0 and 999999999.";
+    }
+    return { secs: ptp.seconds, nanos: ptp.nanoseconds };
+};
+
+/**
+ * Convert a timevalue to a PTP timestamp.
+ * @param {object} tv The timevalue.
+ * @returns {object} The PTP timestamp <tt>{ seconds, nanoseconds }</tt>.
+ * @throws if the timevalue is not valid, or cannot be represented as a PTP timestamp.
+ * @memberof timestampFormats
+ */
+timestampFormats.timevalueToPtp = function(tv) {
+    checkTimevalue(tv);
+    if (tv.secs < 0 || tv.secs >= TWO_POW_48) {
+        throw "Cannot represent timevalue as a PTP timestamp. Seconds out of range: "+tv.secs;
+    }
+    return { seconds: tv.secs, nanoseconds: tv.nanos };
+};
+
+/**
+ * Convert a whole number of nanoseconds to a timevalue.
+ * @param {BigInt|String|Number} nanos The number of nanoseconds, as a <tt>BigInt</tt>, a string of decimal digits (optionally preceded by a minus sign), or an integer Number.
+ * @returns {object} The timevalue.
+ * @throws if the number of nanoseconds is not an integer.
+ * @memberof timestampFormats
+ */
+timestampFormats.nanos64ToTimevalue = function(nanos) {
+    var str;
+
+    if (typeof nanos === "bigint") {
+        str = nanos.toString();
+    } else if (isInteger(nanos) && Math.abs(nanos) < 1e21) {
+        str = String(nanos);
+    } else if (typeof nanos === "string" && INTEGER_STRING.test(nanos)) {
+        str = nanos;
+    } else {
+        throw "Invalid number of nanoseconds (must be a BigInt, an integer, or a string of decimal digits): "+nanos;
+    }
+
+    var negative = str.charAt(0) === "-";
+    if (negative) {
+        str = str.substr(1);
+    }
+
+    var whole = str.length > 9 ? Number(str.substr(0, str.length - 9)) : 0;
+    var fraction = Number(str.substr(Math.max(0, str.length - 9)));
+
+    if (!negative) {
+        return { secs: whole, nanos: fraction };
+    } else if (fraction === 0) {
+        return { secs: -whole, nanos: 0 };
+    } else {
+        return { secs: -whole - 1, nanos: NANOS_PER_SEC - fraction };
+    }
+};
+
+/**
+ * Convert a timevalue to a whole number of nanoseconds.
+ * @param {object} tv The timevalue.
+ * @returns {String} The number of nanoseconds, as a string of decimal digits (preceded by a minus sign if negative). Pass it to <tt>BigInt()</tt> if a <tt>BigInt</tt> is needed.
+ * @throws if the timevalue is not valid.
+ * @memberof timestampFormats
+ */
+timestampFormats.timevalueToNanos64 = function(tv) {
+    checkTimevalue(tv);
+
+    var sign = "";
+    var secs = tv.secs;
+    var nanos = tv.nanos;
+
+    if (secs < 0) {
+        sign = "-";
+        if (nanos === 0) {
+            secs = -secs;
+        } else {
+            secs = -secs - 1;
+            nanos = NANOS_PER_SEC - nanos;
+        }
+    }
+
+    if (secs === 0) {
+        return sign + String(nanos);
+    } else {
+        var nanosStr = String(nanos);
+        return sign + String(secs) + "000000000".substr(nanosStr.length) + nanosStr;
+    }
+};
+
+/**
+ * Convert a timevalue to ticks of a clock.
+ * @param {object} tv The timevalue.
+ * @param {ClockBase} clock The clock.
+ * @returns {Number} The time in ticks of the clock.
+ * @throws if the timevalue is not valid.
+ * @memberof timestampFormats
+ */
+timestampFormats.timevalueToTicks = function(tv, clock) {
+    checkTimevalue(tv);
+    var tickRate = clock.getTickRate();
+    return tv.secs * tickRate + tv.nanos * tickRate / NANOS_PER_SEC;
+};
+
+/**
+ * Convert ticks of a clock to a timevalue, rounded to the nearest nanosecond.
+ * @param {Number} ticks A time in ticks of the clock.
+ * @param {ClockBase} clock The clock.
+ * @returns {object} The timevalue.
+ * @memberof timestampFormats
+ */
+timestampFormats.ticksToTimevalue = function(ticks, clock) {
+    var tickRate = clock.getTickRate();
+    var secs = Math.floor(ticks / tickRate);
+    var nanos = Math.round((ticks - secs * tickRate) * NANOS_PER_SEC / tickRate);
+
+    if (nanos >= NANOS_PER_SEC) {
+        secs++;
+        nanos -= NANOS_PER_SEC;
+    } else if (nanos < 0) {
+        secs--;
+        nanos += NANOS_PER_SEC;
+    }
+    return { secs: secs, nanos: nanos };
+};
+
+/**
+ * Convert an NTP 32.32 timestamp to ticks of a clock.
+ * @param {object} ntp The NTP timestamp. See [ntpToTimevalue()]{@link timestampFormats.ntpToTimevalue}.
+ * @param {ClockBase} clock The clock.
+ * @param {Number} [pivotSecs] Used to choose the era. See [ntpToTimevalue()]{@link timestampFormats.ntpToTimevalue}.
+ * @returns {Number} The time in ticks of the clock.
+ * @memberof timestampFormats
+ */
+timestampFormats.ntpToTicks = function(ntp, clock, pivotSecs) {
+    return timestampFormats.timevalueToTicks(timestampFormats.ntpToTimevalue(ntp, pivotSecs), clock);
+};
+
+/**
+ * Convert ticks of a clock to an NTP 32.32 timestamp.
+ * @param {Number} ticks A time in ticks of the clock.
+ * @param {ClockBase} clock The clock.
+ * @returns {object} The NTP timestamp <tt>{ seconds, fraction }</tt>.
+ * @memberof timestampFormats
+ */
+timestampFormats.ticksToNtp = function(ticks, clock) {
+    return timestampFormats.timevalueToNtp(timestampFormats.ticksToTimevalue(ticks, clock));
+};
+
+/**
+ * Convert a PTP timestamp to ticks of a clock.
+ * @param {object} ptp The PTP timestamp. See [ptpToTimevalue()]{@link timestampFormats.ptpToTimevalue}.
+ * @param {ClockBase} clock The clock.
+ * @returns {Number} The time in ticks of the clock.
+ * @memberof timestampFormats
+ */
+timestampFormats.ptpToTicks = function(ptp, clock) {
+    return timestampFormats.timevalueToTicks(timestampFormats.ptpToTimevalue(ptp), clock);
+};
+
+/**
+ * Convert ticks of a clock to a PTP timestamp.
+ * @param {Number} ticks A time in ticks of the clock.
+ * @param {ClockBase} clock The clock.
+ * @returns {object} The PTP timestamp <tt>{ seconds, nanoseconds }</tt>.
+ * @memberof timestampFormats
+ */
+timestampFormats.ticksToPtp = function(ticks, clock) {
+    return timestampFormats.timevalueToPtp(timestampFormats.ticksToTimevalue(ticks, clock));
+};
+
+/**
+ * Convert a whole number of nanoseconds to ticks of a clock.
+ * @param {BigInt|String|Number} nanos The number of nanoseconds. See [nanos64ToTimevalue()]{@link timestampFormats.nanos64ToTimevalue}.
+ * @param {ClockBase} clock The clock.
+ * @returns {Number} The time in ticks of the clock.
+ * @memberof timestampFormats
+ */
+timestampFormats.nanos64ToTicks = function(nanos, clock) {
+    return timestampFormats.timevalueToTicks(timestampFormats.nanos64ToTimevalue(nanos), clock);
+};
+
+/**
+ * Convert ticks of a clock to a whole number of nanoseconds.
+ * @param {Number} ticks A time in ticks of the clock.
+ * @param {ClockBase} clock The clock.
+ * @returns {String} The number of nanoseconds, as a string of decimal digits.
+ * @memberof timestampFormats
+ */
+timestampFormats.ticksToNanos64 = function(ticks, clock) {
+    return timestampFormats.timevalueToNanos64(timestampFormats.ticksToTimevalue(ticks, clock));
+};
+
+/**
+ * Convert a timestamp in any of the supported formats to a timevalue. The format is
+ * determined from the type and properties of the timestamp:
+ * an object with <tt>seconds</tt> and <tt>fraction</tt> is NTP;
+ * an object with <tt>seconds</tt> and <tt>nanoseconds</tt> is PTP;
+ * an object with <tt>secs</tt> and <tt>nanos</tt> is already a timevalue;
+ * anything else is a whole number of nanoseconds.
+ *
+ * @param {object|BigInt|String|Number} timestamp The timestamp.
+ * @returns {object} The timevalue.
+ * @throws if the timestamp is not valid.
+ * @memberof timestampFormats
+ */
+timestampFormats.toTimevalue = function(timestamp) {
+    if (timestamp !== null && typeof timestamp === "object") {
+        if (typeof timestamp.fraction !== "undefined") {
+            return timestampFormats.ntpToTimevalue(timestamp);
+        } else if (typeof timestamp.nanoseconds !== "undefined") {
+            return timestampFormats.ptpToTimevalue(timestamp);
+        } else {
+            checkTimevalue(timestamp);
+            return { secs: timestamp.secs, nanos: timestamp.nanos };
+        }
+    } else {
+        return timestampFormats.nanos64ToTimevalue(timestamp);
+    }
+};
+
+/**
+ * Build a correlation directly from a pair of timestamps, each in any of the supported formats
+ * (see [toTimevalue()]{@link timestampFormats.toTimevalue}).
+ *
+ * @param {ClockBase} parentClock The parent clock, whose ticks the parent time of the correlation will be in.
+ * @param {object|BigInt|String|Number} parentTimestamp The time of the parent clock.
+ * @param {ClockBase} childClock The child clock, whose ticks the child time of the correlation will be in.
+ * @param {object|BigInt|String|Number} childTimestamp The time of the child clock that corresponds to the time of the parent clock.
+ * @param {Number} [initialError] The initial error (in seconds)
+ * @param {Number} [errorGrowthRate] The error growth rate (in seconds per second.)
+ * @returns {Correlation} The correlation.
+ * @throws if either timestamp is not valid.
+ * @memberof timestampFormats
+ */
+timestampFormats.makeCorrelation = function(parentClock, parentTimestamp, childClock, childTimestamp, initialError, errorGrowthRate) {
+    return new Correlation({
+        parentTime: timestampFormats.timevalueToTicks(timestampFormats.toTimevalue(parentTimestamp), parentClock),
+        childTime: timestampFormats.timevalueToTicks(timestampFormats.toTimevalue(childTimestamp), childClock),
+        initialError: initialError,
+        errorGrowthRate: errorGrowthRate
+    });
+};
+
+module.exports = timestampFormats;
@@ -0,0 +1,561 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var VirtualClock = require("VirtualClock");
+var CorrelatedClock = require("CorrelatedClock");
+var OffsetClock = require("OffsetClock");
+var Correlation = require("Correlation");
+
+describe("ClockBase timers - setInterval, clearInterval", function() {
+
+    it("calls the callback, with arguments, every time the clock passes a further number of ticks", function() {
+        var vc = new VirtualClock({time:50});
+        var times = [];
+        var callback = jasmine.createSpy("interval").and.callFake(function() { times.push(vc.now()); });
+
+        vc.setInterval(callback, 100, "hello");
+
+        vc.advance(99);
+        expect(callback).not.toHaveBeenCalled();
+        vc.advance(1);
+        expect(callback).toHaveBeenCalledWith("hello");
+
+        vc.advance(300);
+        expect(times).toEqual([150, 250, 350, 450]);
+    });
+
+    it("calculates due times from when it was started, so they do not drift", function() {
+        var vc = new VirtualClock();
+        var times = [];
+        vc.setInterval(function() {
+            times.push(vc.now());
+            vc.advance(7);   // callback takes some time
+        }, 100);
+
+        vc.advance(350);
+        expect(times).toEqual([100, 200, 300]);
+    });
+
+    it("can be cleared, including from within the callback", function() {
+        var vc = new VirtualClock();
+        var callback1 = jasmine.createSpy("i1");
+        var count = 0;
+        var handle2;
+
+        var handle1 = vc.setInterval(callback1, 100);
+        handle2 = vc.setInterval(function() {
+            count++;
+            if (count === 2) {
+                vc.clearInterval(handle2);
+            }
+        }, {ticks:10, missed:"all"});
+
+        vc.clearInterval(handle1);
+        vc.advance(1000);
+        expect(callback1).not.toHaveBeenCalled();
+        expect(count).toBe(2);
+
+        vc.clearInterval("not-a-handle");
+    });
+
+    it("is rescheduled when the speed or correlation of the clock changes", function() {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {correlation:new Correlation(0, 0)});
+        var times = [];
+        cc.setInterval(function() { times.push([vc.now(), cc.now()]); }, 100);
+
+        vc.advance(150);
+        cc.setCorrelationAndSpeed(new Correlation(150, 150), 2);
+        vc.advance(100);
+        expect(times).toEqual([ [100,100], [175,200], [225,300] ]);
+
+        // jumping back does not repeat due times that have already been passed
+        cc.setCorrelation(new Correlation(250, 150));
+        vc.advance(125);
+        expect(times).toEqual([ [100,100], [175,200], [225,300], [375,400] ]);
+    });
+
+    it("is rescheduled when the parent of the clock changes", function() {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {correlation:new Correlation(0, 0)});
+        var oc = new OffsetClock(vc, {offset:50});
+        var callback = jasmine.createSpy("interval");
+
+        cc.setInterval(callback, 100);
+        cc.setParent(oc);
+        vc.advance(49);
+        expect(callback).not.toHaveBeenCalled();
+        vc.advance(1);
+        expect(callback.calls.count()).toBe(1);
+    });
+
+    it("calls the callback once for a jump past several due times, by default", function() {
+        var vc = new VirtualClock();
+        var callback = jasmine.createSpy("interval");
+        vc.setInterval(callback, 100);
+
+        vc.setTime(450);
+        expect(callback.calls.count()).toBe(1);
+        vc.advance(49);
+        expect(callback.calls.count()).toBe(1);
+        vc.advance(1);
+        expect(callback.calls.count()).toBe(2);
+    });
+
+    it("calls the callback for every due time jumped past, if the policy is 'all'", function() {
+        var vc = new VirtualClock();
+        var callback = jasmine.createSpy("interval");
+        vc.setInterval(callback, {ticks:100, missed:"all"});
+
+        vc.setTime(450);
+        expect(callback.calls.count()).toBe(4);
+        vc.advance(50);
+        expect(callback.calls.count()).toBe(5);
+    });
+
+    it("does not call the callback for due times jumped past, if the policy is 'skip'", function() {
+        var vc = new VirtualClock();
+        var callback = jasmine.createSpy("interval");
+        vc.setInterval(callback, {ticks:100, missed:"skip"});
+
+        vc.advance(100);
+        expect(callback.calls.count()).toBe(1);
+        vc.setTime(450);
+        expect(callback.calls.count()).toBe(1);
+        vc.advance(50);
+        expect(callback.calls.count()).toBe(2);
+    });
+
+    it("calls the callback every time the clock goes back by a further number of ticks, if it is moving backwards", function() {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {correlation:new Correlation(0, 1000), speed:-1});
+        var times = [];
+        cc.setInterval(function() { times.push(cc.now()); }, 10);
+
+        vc.advance(1);
+        expect(times).toEqual([]);
+        vc.advance(34);
+        expect(times).toEqual([990, 980, 970]);
+    });
+
+    it("does not call the callback while the clock is paused, and continues when it moves again", function() {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {correlation:new Correlation(0, 1000), speed:0});
+        var callback = jasmine.createSpy("interval");
+        cc.setInterval(callback, 10);
+
+        vc.advance(1);
+        vc.advance(100);
+        expect(callback).not.toHaveBeenCalled();
+
+        cc.setCorrelationAndSpeed(new Correlation(101, 1000), 1);
+        vc.advance(25);
+        expect(callback.calls.count()).toBe(2);
+    });
+
+    it("follows the clock when it changes direction, without calling the callback for the change", function() {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {correlation:new Correlation(0, 1000)});
+        var times = [];
+        cc.setInterval(function() { times.push(cc.now()); }, 10);
+
+        vc.advance(25);
+        expect(times).toEqual([1010, 1020]);
+
+        cc.setCorrelationAndSpeed(new Correlation(25, 1025), -1);
+        expect(times).toEqual([1010, 1020]);
+        vc.advance(20);
+        expect(times).toEqual([1010, 1020, 1010]);
+    });
+
+    it("throws if the interval is not greater than zero, or the policy is not recognised", function() {
+        var vc = new VirtualClock();
+        expect(function() { vc.setInterval(function() {}, 0); }).toThrow();
+        expect(function() { vc.setInterval(function() {}, -5); }).toThrow();
+        expect(function() { vc.setInterval(function() {}, {ticks:10, missed:"sometimes"}); }).toThrow();
+    });
+});
+
+// Promises are not supported by all environments the tests may be run in
+var describeIfPromise = (typeof Promise === "function") ? describe : xdescribe;
+
+describeIfPromise("ClockBase timers - waitUntil, sleep", function() {
+
+    // minimal equivalent of an AbortController's signal
+    var FakeSignal = function() {
+        this.aborted = false;
+        this.listeners = [];
+    };
+    FakeSignal.prototype.addEventListener = function(event, listener) {
+        this.listeners.push(listener);
+    };
+    FakeSignal.prototype.removeEventListener = function(event, listener) {
+        this.listeners = this.listeners.filter(function(l) { return l !== listener; });
+    };
+    FakeSignal.prototype.abort = function(reason) {
+        this.aborted = true;
+        this.reason = reason;
+        this.listeners.slice().forEach(function(l) { l(); });
+    };
+
+    it("resolves waitUntil() with the time of the clock when it passes the specified time", function(done) {
+        var vc = new VirtualClock();
+        var resolved = false;
+
+        vc.waitUntil(100).then(function(t) {
+            resolved = true;
+            expect(t).toBe(100);
+            done();
+        });
+
+        vc.advance(99);
+        Promise.resolve().then(function() {
+            expect(resolved).toBe(false);
+            vc.advance(1);
+        });
+    });
+
+    it("resolves sleep() when the clock passes the specified number of ticks beyond the current time", function(done) {
+        var vc = new VirtualClock({time:50});
+
+        vc.sleep(100).then(function(t) {
+            expect(t).toBe(150);
+            done();
+        });
+        vc.advance(200);
+    });
+
+    it("respects changes to speed and correlation", function(done) {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {correlation:new Correlation(0, 0)});
+
+        cc.waitUntil(1000).then(function(t) {
+            expect(vc.now()).toBe(600);
+            expect(t).toBe(1000);
+            done();
+        });
+
+        vc.advance(200);
+        cc.setCorrelationAndSpeed(new Correlation(200, 200), 2);
+        vc.advance(400);
+    });
+
+    it("rejects if the clock becomes unavailable, or is already unavailable", function(done) {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc);
+
+        cc.waitUntil(1000).then(function() {
+            done.fail("should not resolve");
+        }, function(reason) {
+            expect(reason).toBe("Clock is unavailable.");
+            return cc.sleep(10).then(function() {
+                done.fail("should not resolve");
+            }, function(reason) {
+                expect(reason).toBe("Clock is unavailable.");
+                done();
+            });
+        });
+
+        vc.setAvailabilityFlag(false);
+    });
+
+    it("rejects, and cancels the underlying timer, if the signal is aborted", function(done) {
+        var vc = new VirtualClock();
+        var signal = new FakeSignal();
+        spyOn(vc, "clearTimeout").and.callThrough();
+
+        vc.waitUntil(1000, {signal:signal}).then(function() {
+            done.fail("should not resolve");
+        }, function(reason) {
+            expect(reason).toBe("stopped");
+            expect(vc.clearTimeout).toHaveBeenCalled();
+            expect(signal.listeners.length).toBe(0);
+            done();
+        });
+
+        signal.abort("stopped");
+        vc.advance(1000);
+    });
+
+    it("rejects immediately if the signal is already aborted", function(done) {
+        var vc = new VirtualClock();
+        var signal = new FakeSignal();
+        signal.abort();
+
+        vc.sleep(10, {signal:signal}).then(function() {
+            done.fail("should not resolve");
+        }, function(reason) {
+            expect(reason).toBe("Wait was aborted.");
+            done();
+        });
+    });
+
+    it("rejects if the clock is disposed", function(done) {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc);
+
+        cc.waitUntil(1000).then(function() {
+            done.fail("should not resolve");
+        }, function(reason) {
+            expect(reason).toBe("Clock has been disposed.");
+            done();
+        });
+
+        cc.dispose();
+        vc.advance(1000);
+    });
+
+    it("stops listening for events once resolved", function(done) {
+        var vc = new VirtualClock();
+        var signal = new FakeSignal();
+
+        vc.waitUntil(10, {signal:signal}).then(function() {
+            expect(signal.listeners.length).toBe(0);
+            expect(vc.listeners("unavailable").length).toBe(0);
+            done();
+        });
+        vc.advance(10);
+    });
+});
+
+describe("ClockBase timers - late and missed timer reporting", function() {
+
+    it("passes timer information after the arguments, if the timer is scheduled with an options object", function() {
+        var vc = new VirtualClock();
+        var callback = jasmine.createSpy("tc");
+
+        vc.setAtTime(callback, {when:100}, "a", "b");
+        vc.advance(100);
+        expect(callback).toHaveBeenCalledWith("a", "b", {scheduledTime:100, actualTime:100, lateTicks:0, discontinuity:false});
+    });
+
+    it("does not pass timer information if the timer is scheduled with a time", function() {
+        var vc = new VirtualClock();
+        var callback = jasmine.createSpy("tc");
+
+        vc.setAtTime(callback, 100, "a");
+        vc.advance(100);
+        expect(callback.calls.argsFor(0)).toEqual(["a"]);
+    });
+
+    it("supports an options object for setTimeout", function() {
+        var vc = new VirtualClock({time:50});
+        var callback = jasmine.createSpy("tc");
+
+        vc.setTimeout(callback, {ticks:100});
+        vc.advance(100);
+        expect(callback).toHaveBeenCalledWith({scheduledTime:150, actualTime:150, lateTicks:0, discontinuity:false});
+    });
+
+    it("reports lateness and a discontinuity if a change causes the clock to jump past the scheduled time", function() {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {correlation:new Correlation(0, 0)});
+        var callback = jasmine.createSpy("tc");
+
+        cc.setAtTime(callback, {when:1000});
+        vc.advance(100);
+        cc.setCorrelation(new Correlation(100, 1250));
+        vc.advance(0);
+
+        expect(callback).toHaveBeenCalledWith({scheduledTime:1000, actualTime:1250, lateTicks:250, discontinuity:true});
+    });
+
+    it("reports a discontinuity if the root clock jumps past the scheduled time", function() {
+        var vc = new VirtualClock();
+        var callback = jasmine.createSpy("tc");
+
+        vc.setAtTime(callback, {when:100});
+        vc.setTime(130);
+        expect(callback).toHaveBeenCalledWith({scheduledTime:100, actualTime:130, lateTicks:30, discontinuity:true});
+    });
+
+    it("drops the timer if it would fire more than the maximum lateness, reporting it to onDropped", function() {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {correlation:new Correlation(0, 0)});
+        var callback1 = jasmine.createSpy("tc1");
+        var callback2 = jasmine.createSpy("tc2");
+        var dropped = jasmine.createSpy("dropped");
+
+        cc.setAtTime(callback1, {when:1000, maxLateness:200, onDropped:dropped});
+        cc.setAtTime(callback2, {when:1000, maxLateness:300});
+        cc.setCorrelation(new Correlation(0, 1250));
+        vc.advance(0);
+
+        expect(callback1).not.toHaveBeenCalled();
+        expect(dropped).toHaveBeenCalledWith({scheduledTime:1000, actualTime:1250, lateTicks:250, discontinuity:true});
+        expect(callback2).toHaveBeenCalled();
+    });
+
+    it("does not report a discontinuity for changes that do not jump past the scheduled time", function() {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {correlation:new Correlation(0, 0)});
+        var callback = jasmine.createSpy("tc");
+
+        cc.setAtTime(callback, {when:1000});
+        cc.setCorrelation(new Correlation(0, 500));
+        vc.advance(500);
+        expect(callback).toHaveBeenCalledWith({scheduledTime:1000, actualTime:1000, lateTicks:0, discontinuity:false});
+    });
+
+    it("does not report a discontinuity for a timer that was reached normally, if a change is made before it fires", function() {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {correlation:new Correlation(0, 0)});
+        var callback = jasmine.createSpy("tc");
+
+        cc.setAtTime(function() {
+            // the same timing, expressed with a different correlation
+            cc.setCorrelation(new Correlation(100, 100));
+        }, 100);
+        cc.setAtTime(callback, {when:100});
+        vc.advance(100);
+        expect(callback).toHaveBeenCalledWith({scheduledTime:100, actualTime:100, lateTicks:0, discontinuity:false});
+    });
+
+    it("takes into account the direction the clock is going, if it is going backwards", function() {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {speed:-1, correlation:new Correlation(0, 1000)});
+        var callback1 = jasmine.createSpy("tc1");
+        var callback2 = jasmine.createSpy("tc2");
+
+        cc.setAtTime(callback1, {when:900});
+        cc.setAtTime(callback2, {when:700});
+        vc.advance(99);
+        expect(callback1).not.toHaveBeenCalled();
+        vc.advance(1);
+        expect(callback1).toHaveBeenCalledWith({scheduledTime:900, actualTime:900, lateTicks:0, discontinuity:false});
+
+        // jumps from 900 to 650, which is past 700 when going backwards
+        cc.setCorrelation(new Correlation(100, 650));
+        vc.advance(0);
+        expect(callback2).toHaveBeenCalledWith({scheduledTime:700, actualTime:650, lateTicks:50, discontinuity:true});
+    });
+});
+
+describe("ClockBase timers - re-arming timers on rewind", function() {
+
+    it("calls the callback again if the clock jumps back before the timer, then passes it again, if rearmOnRewind is set", function() {
+        var vc = new VirtualClock();
+        var callback = jasmine.createSpy("tc");
+
+        vc.setAtTime(callback, {when:100, rearmOnRewind:true}, "a");
+        vc.advance(150);
+        expect(callback.calls.count()).toBe(1);
+
+        vc.setTime(50);
+        expect(callback.calls.count()).toBe(1);
+
+        vc.advance(60);
+        expect(callback.calls.count()).toBe(2);
+        expect(callback.calls.argsFor(1)).toEqual(["a", {scheduledTime:100, actualTime:100, lateTicks:0, discontinuity:false}]);
+    });
+
+    it("does not call the callback again, if rearmOnRewind is not set", function() {
+        var vc = new VirtualClock();
+        var callback = jasmine.createSpy("tc");
+
+        vc.setAtTime(callback, {when:100}, "a");
+        vc.advance(150);
+        vc.setTime(50);
+        vc.advance(60);
+        expect(callback.calls.count()).toBe(1);
+    });
+
+    it("does not re-arm the timer once it has been cleared", function() {
+        var vc = new VirtualClock();
+        var callback = jasmine.createSpy("tc");
+
+        var handle = vc.setAtTime(callback, {when:100, rearmOnRewind:true});
+        vc.advance(150);
+        vc.clearTimeout(handle);
+        vc.setTime(50);
+        vc.advance(60);
+        expect(callback.calls.count()).toBe(1);
+    });
+
+    it("fires a timerRewound event when a timer is re-armed", function() {
+        var vc = new VirtualClock();
+        var callback = jasmine.createSpy("tc");
+        var rewound = jasmine.createSpy("timerRewound");
+
+        vc.on("timerRewound", rewound);
+        var handle = vc.setAtTime(callback, {when:100, rearmOnRewind:true});
+        vc.advance(150);
+        expect(rewound).not.toHaveBeenCalled();
+
+        vc.setTime(50);
+        expect(rewound).toHaveBeenCalledWith(vc, handle, {scheduledTime:100, actualTime:50, rearmed:true});
+    });
+
+    it("fires a timerRewound event when the time of a pending timer moves from the past back into the future", function() {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {correlation:new Correlation(0, 0)});
+        var callback = jasmine.createSpy("tc");
+        var rewound = jasmine.createSpy("timerRewound");
+
+        cc.on("timerRewound", rewound);
+        var handle = cc.setAtTime(callback, 1000);
+
+        // jumps past the timer, but it has not yet fired
+        cc.setCorrelation(new Correlation(0, 1500));
+        expect(rewound).not.toHaveBeenCalled();
+
+        cc.setCorrelation(new Correlation(0, 500));
+        expect(rewound).toHaveBeenCalledWith(cc, handle, {scheduledTime:1000, actualTime:500, rearmed:false});
+
+        vc.advance(499);
+        expect(callback).not.toHaveBeenCalled();
+        vc.advance(1);
+        expect(callback).toHaveBeenCalled();
+    });
+
+    it("does not fire a timerRewound event for timers that are still in the future", function() {
+        var vc = new VirtualClock();
+        var rewound = jasmine.createSpy("timerRewound");
+
+        vc.on("timerRewound", rewound);
+        vc.setAtTime(function() {}, {when:100, rearmOnRewind:true});
+        vc.advance(50);
+        vc.setTime(20);
+        expect(rewound).not.toHaveBeenCalled();
+    });
+
+    it("takes into account the direction the clock is going, if it is going backwards", function() {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {speed:-1, correlation:new Correlation(0, 1000)});
+        var callback = jasmine.createSpy("tc");
+        var rewound = jasmine.createSpy("timerRewound");
+
+        cc.on("timerRewound", rewound);
+        var handle = cc.setAtTime(callback, {when:900, rearmOnRewind:true});
+        vc.advance(150);
+        expect(callback.calls.count()).toBe(1);
+        expect(rewound).not.toHaveBeenCalled();
+
+        // going backwards, a jump from 850 up to 950 is a jump back to before the timer
+        cc.setCorrelation(new Correlation(150, 950));
+        expect(rewound).toHaveBeenCalledWith(cc, handle, {scheduledTime:900, actualTime:950, rearmed:true});
+
+        vc.advance(49);
+        expect(callback.calls.count()).toBe(1);
+        vc.advance(1);
+        expect(callback.calls.count()).toBe(2);
+
+        // and a jump down, past the timer, is not
+        rewound.calls.reset();
+        cc.setCorrelation(new Correlation(200, 800));
+        expect(rewound).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,105 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var ControlTimestamp = require("ControlTimestamp");
+
+describe("ControlTimestamp", function() {
+
+	it("exists", function() {
+		expect(ControlTimestamp).toBeDefined();
+	});
+
+    it("can be constructed with strings or integers for the time values", function() {
+        var ct = new ControlTimestamp({contentTime:"834190", wallClockTime:1255000000, timelineSpeedMultiplier:1.0});
+        expect(ct.contentTime).toBe("834190");
+        expect(ct.wallClockTime).toBe("1255000000");
+        expect(ct.timelineSpeedMultiplier).toBe(1.0);
+        expect(ct.isAvailable()).toBe(true);
+    });
+
+    it("can represent an unavailable timeline", function() {
+        var ct = new ControlTimestamp({contentTime:null, wallClockTime:"1255000000", timelineSpeedMultiplier:null});
+        expect(ct.contentTime).toBeNull();
+        expect(ct.timelineSpeedMultiplier).toBeNull();
+        expect(ct.isAvailable()).toBe(false);
+        expect(ct.getContentTime()).toBeNull();
+    });
+
+    it("throws if values are invalid", function() {
+        expect(function() { new ControlTimestamp({contentTime:"12.5", wallClockTime:"0", timelineSpeedMultiplier:1}); }).toThrow();
+        expect(function() { new ControlTimestamp({contentTime:1.5, wallClockTime:"0", timelineSpeedMultiplier:1}); }).toThrow();
+        expect(function() { new ControlTimestamp({contentTime:"5", wallClockTime:"abc", timelineSpeedMultiplier:1}); }).toThrow();
+        expect(function() { new ControlTimestamp({contentTime:"5", wallClockTime:null, timelineSpeedMultiplier:1}); }).toThrow();
+        expect(function() { new ControlTimestamp({contentTime:"5", wallClockTime:"0", timelineSpeedMultiplier:"1"}); }).toThrow();
+        expect(function() { new ControlTimestamp({contentTime:"5", wallClockTime:"0", timelineSpeedMultiplier:null}); }).toThrow();
+        expect(function() { new ControlTimestamp({contentTime:null, wallClockTime:"0", timelineSpeedMultiplier:1}); }).toThrow();
+    });
+
+    it("is immutable", function() {
+        var ct = new ControlTimestamp({contentTime:"5", wallClockTime:"0", timelineSpeedMultiplier:1});
+        expect(function() { ct.contentTime = "6"; }).toThrow();
+        expect(ct.contentTime).toBe("5");
+    });
+
+    it("can be parsed from a JSON string or object", function() {
+        var ct = ControlTimestamp.parse('{ "contentTime":"834190", "wallClockTime":"1255000000", "timelineSpeedMultiplier":1.0 }');
+        expect(ct.equals(new ControlTimestamp({contentTime:"834190", wallClockTime:"1255000000", timelineSpeedMultiplier:1}))).toBe(true);
+
+        ct = ControlTimestamp.parse({ contentTime:null, wallClockTime:"1255000000", timelineSpeedMultiplier:null });
+        expect(ct.isAvailable()).toBe(false);
+    });
+
+    it("throws when parsing invalid JSON", function() {
+        expect(function() { ControlTimestamp.parse("{ not json"); }).toThrow();
+        expect(function() { ControlTimestamp.parse("5"); }).toThrow();
+        expect(function() { ControlTimestamp.parse('{ "contentTime":"1" }'); }).toThrow();
+    });
+
+    it("preserves big-number strings exactly when parsing and serialising", function() {
+        var json = '{"contentTime":"123456789012345678901","wallClockTime":"98765432109876543210","timelineSpeedMultiplier":0.5}';
+        var ct = ControlTimestamp.parse(json);
+        expect(ct.contentTime).toBe("123456789012345678901");
+        expect(ct.wallClockTime).toBe("98765432109876543210");
+        expect(ct.serialise()).toBe(json);
+        expect(ControlTimestamp.parse(ct.serialise()).equals(ct)).toBe(true);
+    });
+
+    it("can be copied but with changes", function() {
+        var ct = new ControlTimestamp({contentTime:"5", wallClockTime:"0", timelineSpeedMultiplier:1});
+        var ct2 = ct.butWith({contentTime:null, timelineSpeedMultiplier:null});
+        expect(ct2.isAvailable()).toBe(false);
+        expect(ct2.wallClockTime).toBe("0");
+        expect(ct.isAvailable()).toBe(true);
+    });
+
+    it("converts the wall clock time to ticks, converting seconds and fractions of a second separately", function() {
+        var ct = new ControlTimestamp({contentTime:"5", wallClockTime:"9007199254740993", timelineSpeedMultiplier:1});
+        expect(ct.getWallClockTime(1000000)).toBe(9007199000000 + 254740.993);
+        expect(ct.getWallClockTime(1000)).toBe(9007199000 + 254.740993);
+        expect(ct.getWallClockTime(1000000000)).toBe(Number("9007199254740993"));
+
+        ct = ct.butWith({wallClockTime:"-1500000000"});
+        expect(ct.getWallClockTime(1000)).toBe(-1500);
+
+        ct = ct.butWith({wallClockTime:"250000000"});
+        expect(ct.getWallClockTime(1000)).toBe(250);
+    });
+
+    it("converts decimal strings in other units to ticks", function() {
+        expect(ControlTimestamp.convertToTicks("123456", 1000, 90000)).toBe(123*90000 + 456*90);
+        expect(ControlTimestamp.convertToTicks("7", 1000, 1000)).toBe(7);
+    });
+});
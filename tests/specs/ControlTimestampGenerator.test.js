@@ -0,0 +1,200 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var ControlTimestampGenerator = require("ControlTimestampGenerator");
+var ControlTimestamp = require("ControlTimestamp");
+var applyControlTimestamp = require("applyControlTimestamp");
+var VirtualClock = require("VirtualClock");
+var CorrelatedClock = require("CorrelatedClock");
+var Correlation = require("Correlation");
+
+describe("ControlTimestampGenerator", function() {
+
+    var root, wallClock, timelineClock, ctSpy;
+
+    beforeEach(function() {
+        root = new VirtualClock({tickRate:1000000000, time:5000000000});
+        wallClock = new CorrelatedClock(root, {tickRate:1000000000});
+        timelineClock = new CorrelatedClock(wallClock, {tickRate:1000, correlation:new Correlation(5000000000, 100)});
+        ctSpy = jasmine.createSpy("controlTimestamp");
+    });
+
+	it("exists", function() {
+		expect(ControlTimestampGenerator).toBeDefined();
+	});
+
+    it("generates a Control Timestamp for the current relationship between the clocks when created", function() {
+        var generator = new ControlTimestampGenerator(timelineClock, wallClock);
+        var ct = generator.getControlTimestamp();
+        expect(ct.serialise()).toBe('{"contentTime":"100","wallClockTime":"5000000000","timelineSpeedMultiplier":1}');
+    });
+
+    it("uses a whole number of ticks of the timeline, adjusting the wall clock time to match", function() {
+        root.advance(1500000);
+        var generator = new ControlTimestampGenerator(timelineClock, wallClock);
+        var ct = generator.getControlTimestamp();
+        expect(ct.contentTime).toBe("102");
+        expect(ct.wallClockTime).toBe("5002000000");
+    });
+
+    it("works when the timeline clock is not a direct child of the wall clock", function() {
+        var intermediate = new CorrelatedClock(wallClock, {tickRate:1000, speed:2, correlation:new Correlation(5000000000, 0)});
+        var timeline = new CorrelatedClock(intermediate, {tickRate:50, correlation:new Correlation(0, 1000)});
+        var generator = new ControlTimestampGenerator(timeline, wallClock);
+        var ct = generator.getControlTimestamp();
+        expect(ct.contentTime).toBe("1000");
+        expect(ct.wallClockTime).toBe("5000000000");
+        expect(ct.timelineSpeedMultiplier).toBe(2);
+    });
+
+    it("generates a new Control Timestamp when the timeline changes significantly", function() {
+        var generator = new ControlTimestampGenerator(timelineClock, wallClock, {thresholdSecs:0.01});
+        generator.on("controlTimestamp", ctSpy);
+
+        timelineClock.setCorrelation(new Correlation(5000000000, 120));
+        expect(ctSpy.calls.count()).toBe(1);
+
+        var ct = ctSpy.calls.argsFor(0)[0];
+        expect(ct instanceof ControlTimestamp).toBe(true);
+        expect(ct.contentTime).toBe("120");
+        expect(ct.wallClockTime).toBe("5000000000");
+        expect(generator.getControlTimestamp()).toBe(ct);
+    });
+
+    it("does not generate a new Control Timestamp for changes at or below the threshold", function() {
+        var generator = new ControlTimestampGenerator(timelineClock, wallClock, {thresholdSecs:0.01});
+        generator.on("controlTimestamp", ctSpy);
+        var ct = generator.getControlTimestamp();
+
+        timelineClock.setCorrelation(new Correlation(5000000000, 105));
+        expect(ctSpy).not.toHaveBeenCalled();
+        expect(generator.getControlTimestamp()).toBe(ct);
+
+        // compared against the last Control Timestamp, not the last change
+        timelineClock.setCorrelation(new Correlation(5000000000, 115));
+        expect(ctSpy.calls.count()).toBe(1);
+    });
+
+    it("does not generate a new Control Timestamp when the wall clock changes, because the timeline is relative to it", function() {
+        var generator = new ControlTimestampGenerator(timelineClock, wallClock);
+        generator.on("controlTimestamp", ctSpy);
+
+        wallClock.setCorrelation(new Correlation(0, 1000000000));
+        expect(ctSpy).not.toHaveBeenCalled();
+    });
+
+    it("always generates a new Control Timestamp when the speed changes", function() {
+        var generator = new ControlTimestampGenerator(timelineClock, wallClock, {thresholdSecs:1000});
+        generator.on("controlTimestamp", ctSpy);
+
+        timelineClock.setSpeed(0);
+        expect(ctSpy.calls.count()).toBe(1);
+        var ct = ctSpy.calls.argsFor(0)[0];
+        expect(ct.timelineSpeedMultiplier).toBe(0);
+        expect(ct.contentTime).toBe("100");
+    });
+
+    it("compares content times when the timeline is paused", function() {
+        timelineClock.setCorrelationAndSpeed(new Correlation(5000000000, 100), 0);
+        var generator = new ControlTimestampGenerator(timelineClock, wallClock, {thresholdSecs:0.01});
+        generator.on("controlTimestamp", ctSpy);
+
+        root.advance(1000000000);
+        timelineClock.setCorrelationAndSpeed(new Correlation(6000000000, 105), 0);
+        expect(ctSpy).not.toHaveBeenCalled();
+
+        timelineClock.setCorrelationAndSpeed(new Correlation(6000000000, 115), 0);
+        expect(ctSpy.calls.count()).toBe(1);
+    });
+
+    it("does not add any clocks to the hierarchy", function() {
+        var generator = new ControlTimestampGenerator(timelineClock, wallClock, {thresholdSecs:0.01});
+        timelineClock.setCorrelation(new Correlation(5000000000, 105));
+        expect(wallClock.getChildren()).toEqual([timelineClock]);
+    });
+
+    it("generates the unavailable form when the timeline becomes unavailable, and a new Control Timestamp when it becomes available again", function() {
+        var generator = new ControlTimestampGenerator(timelineClock, wallClock, {thresholdSecs:1000});
+        generator.on("controlTimestamp", ctSpy);
+
+        timelineClock.setAvailabilityFlag(false);
+        expect(ctSpy.calls.count()).toBe(1);
+        expect(ctSpy.calls.argsFor(0)[0].serialise()).toBe('{"contentTime":null,"wallClockTime":"5000000000","timelineSpeedMultiplier":null}');
+
+        timelineClock.setCorrelation(new Correlation(5000000000, 200));
+        expect(ctSpy.calls.count()).toBe(1);
+
+        timelineClock.setAvailabilityFlag(true);
+        expect(ctSpy.calls.count()).toBe(2);
+        expect(ctSpy.calls.argsFor(1)[0].contentTime).toBe("200");
+    });
+
+    it("generates the unavailable form when the wall clock becomes unavailable", function() {
+        var generator = new ControlTimestampGenerator(timelineClock, wallClock);
+        generator.on("controlTimestamp", ctSpy);
+
+        wallClock.setAvailabilityFlag(false);
+        expect(ctSpy.calls.count()).toBe(1);
+        expect(ctSpy.calls.argsFor(0)[0].isAvailable()).toBe(false);
+    });
+
+    it("generates the unavailable form while the wall clock is paused, without throwing", function() {
+        var generator = new ControlTimestampGenerator(timelineClock, wallClock);
+        generator.on("controlTimestamp", ctSpy);
+
+        expect(function() { wallClock.setSpeed(0); }).not.toThrow();
+        expect(ctSpy.calls.count()).toBe(1);
+        expect(ctSpy.calls.argsFor(0)[0].isAvailable()).toBe(false);
+
+        wallClock.setSpeed(1);
+        expect(ctSpy.calls.count()).toBe(2);
+        expect(ctSpy.calls.argsFor(1)[0].isAvailable()).toBe(true);
+    });
+
+    it("generates the unavailable form if created while the wall clock is paused", function() {
+        wallClock.setSpeed(0);
+        var generator = new ControlTimestampGenerator(timelineClock, wallClock);
+        expect(generator.getControlTimestamp().isAvailable()).toBe(false);
+    });
+
+    it("produces Control Timestamps that reproduce the timeline when applied by a client", function() {
+        var generator = new ControlTimestampGenerator(timelineClock, wallClock);
+        var clientTimeline = new CorrelatedClock(wallClock, {tickRate:1000});
+
+        timelineClock.setCorrelationAndSpeed(new Correlation(5000000000, 7777), 0.5);
+        applyControlTimestamp(clientTimeline, generator.getControlTimestamp().serialise());
+
+        root.advance(3000000000);
+        expect(clientTimeline.now()).toBeCloseTo(timelineClock.now(), 6);
+    });
+
+    it("stops generating Control Timestamps when stopped", function() {
+        var generator = new ControlTimestampGenerator(timelineClock, wallClock);
+        generator.on("controlTimestamp", ctSpy);
+        generator.stop();
+
+        timelineClock.setCorrelation(new Correlation(5000000000, 1000));
+        timelineClock.setAvailabilityFlag(false);
+        expect(ctSpy).not.toHaveBeenCalled();
+    });
+
+    it("can have its threshold changed", function() {
+        var generator = new ControlTimestampGenerator(timelineClock, wallClock);
+        expect(generator.getThresholdSecs()).toBe(0);
+        generator.setThresholdSecs(0.5);
+        expect(generator.getThresholdSecs()).toBe(0.5);
+    });
+});
@@ -26,6 +26,7 @@
 var CorrelatedClock = require("CorrelatedClock");
 var DateNowClock = require("DateNowClock");
 var Correlation = require("Correlation");
+var VirtualClock = require("VirtualClock");
 
 describe("CorrelatedClock", function() {
 	it("exists", function() {
@@ -104,15 +105,15 @@ describe("CorrelatedClock", function() {
         expect(callback).not.toHaveBeenCalled();
         
         c.correlation = new Correlation(1,2);
-        expect(callback).toHaveBeenCalledWith(c);
+        expect(callback).toHaveBeenCalledWith(c, jasmine.objectContaining({ cause: "correlation" }));
         callback.calls.reset();
 
         c.speed = 5.0;
-        expect(callback).toHaveBeenCalledWith(c);
+        expect(callback).toHaveBeenCalledWith(c, jasmine.objectContaining({ cause: "speed" }));
         callback.calls.reset();
 
         c.tickRate = 999;
-        expect(callback).toHaveBeenCalledWith(c);
+        expect(callback).toHaveBeenCalledWith(c, jasmine.objectContaining({ cause: "tickRate" }));
         callback.calls.reset();
 
     });
@@ -131,8 +132,8 @@ describe("CorrelatedClock", function() {
         
         root.emit("change",root);
         expect(callback0).toHaveBeenCalledWith(root);
-        expect(callback1).toHaveBeenCalledWith(c);
-        expect(callback2).toHaveBeenCalledWith(cc);
+        expect(callback1).toHaveBeenCalledWith(c, jasmine.objectContaining({ cause: "ancestor", origin: root }));
+        expect(callback2).toHaveBeenCalledWith(cc, jasmine.objectContaining({ cause: "ancestor", origin: root }));
         callback0.calls.reset();
         callback1.calls.reset();
         callback2.calls.reset();
@@ -140,7 +141,7 @@ describe("CorrelatedClock", function() {
         c.emit("change",c);
         expect(callback0).not.toHaveBeenCalled();
         expect(callback1).toHaveBeenCalledWith(c);
-        expect(callback2).toHaveBeenCalledWith(cc);
+        expect(callback2).toHaveBeenCalledWith(cc, jasmine.objectContaining({ cause: "ancestor", origin: c }));
         callback0.calls.reset();
         callback1.calls.reset();
         callback2.calls.reset();
@@ -428,3 +429,157 @@ describe("CorrelatedClock - setTimeout, clearTimeout", function() {
 	});
 });
 
+
+describe("CorrelatedClock - change descriptors", function() {
+
+    var root, clock, changes;
+
+    beforeEach(function() {
+        root = new VirtualClock({tickRate:1000, time:5000});
+        clock = new CorrelatedClock(root, {tickRate:100, correlation:new Correlation(5000, 0)});
+        changes = [];
+        clock.on("change", function(source, change) { changes.push(change); });
+    });
+
+    it("describes a change of correlation, with the signed discontinuity in seconds", function() {
+        var oldCorrelation = clock.correlation;
+        var newCorrelation = new Correlation(5000, 250);
+        clock.setCorrelation(newCorrelation);
+
+        expect(changes.length).toBe(1);
+        expect(changes[0].cause).toBe("correlation");
+        expect(changes[0].clock).toBe(clock);
+        expect(changes[0].origin).toBe(clock);
+        expect(changes[0].originChange).toBe(changes[0]);
+        expect(changes[0].oldValue).toEqual(oldCorrelation);
+        expect(changes[0].newValue).toEqual(newCorrelation);
+        expect(changes[0].discontinuitySecs).toBeCloseTo(2.5, 9);
+
+        clock.setCorrelation(new Correlation(6000, 250));
+        expect(changes[1].discontinuitySecs).toBeCloseTo(-1, 9);
+    });
+
+    it("describes a change of speed by how far it made the time jump", function() {
+        root.advance(1000);
+        clock.setSpeed(2);
+        expect(changes[0].cause).toBe("speed");
+        expect(changes[0].oldValue).toBe(1);
+        expect(changes[0].newValue).toBe(2);
+        expect(changes[0].discontinuitySecs).toBeCloseTo(1, 9);
+
+        clock.setCorrelationAndSpeed(new Correlation(6000, 200), 0);
+        expect(changes[1].cause).toBe("correlationAndSpeed");
+        expect(changes[1].oldValue.speed).toBe(2);
+        expect(changes[1].newValue).toEqual({ correlation: new Correlation(6000, 200), speed: 0 });
+        expect(changes[1].discontinuitySecs).toBe(0);
+    });
+
+    it("describes a change of tick rate", function() {
+        clock.setCorrelation(new Correlation(5000, 100));
+        clock.setTickRate(50);
+        expect(changes[1].cause).toBe("tickRate");
+        expect(changes[1].oldValue).toBe(100);
+        expect(changes[1].newValue).toBe(50);
+        expect(changes[1].discontinuitySecs).toBeCloseTo(1, 9);
+    });
+
+    it("describes a change of parent", function() {
+        var otherRoot = new VirtualClock({tickRate:1000, time:7000});
+        clock.setParent(otherRoot);
+        expect(changes[0].cause).toBe("parent");
+        expect(changes[0].oldValue).toBe(root);
+        expect(changes[0].newValue).toBe(otherRoot);
+        expect(changes[0].discontinuitySecs).toBeCloseTo(2, 9);
+    });
+
+    it("propagates changes to descendants, identifying the clock that was changed", function() {
+        var child = new CorrelatedClock(clock, {tickRate:1000, speed:0.5});
+        var childChanges = [];
+        child.on("change", function(source, change) { childChanges.push(change); });
+
+        clock.setCorrelation(new Correlation(5000, 100));
+
+        expect(childChanges.length).toBe(1);
+        expect(childChanges[0].cause).toBe("ancestor");
+        expect(childChanges[0].clock).toBe(child);
+        expect(childChanges[0].origin).toBe(clock);
+        expect(childChanges[0].originChange).toBe(changes[0]);
+        expect(childChanges[0].discontinuitySecs).toBeCloseTo(0.5, 9);
+
+        root.setTime(3000);
+        expect(changes[1].cause).toBe("ancestor");
+        expect(changes[1].origin).toBe(root);
+        expect(changes[1].originChange.cause).toBe("time");
+        expect(changes[1].discontinuitySecs).toBeCloseTo(-2, 9);
+        expect(childChanges[1].origin).toBe(root);
+        expect(childChanges[1].discontinuitySecs).toBeCloseTo(-1, 9);
+    });
+});
+
+describe("CorrelatedClock - dispose", function() {
+
+    var root, clock;
+
+    beforeEach(function() {
+        root = new VirtualClock({tickRate:1000});
+        clock = new CorrelatedClock(root, {correlation:new Correlation(0, 0)});
+    });
+
+    it("detaches from its parent", function() {
+        var listenersBefore = root.listeners("change").length;
+
+        clock.dispose();
+        expect(root.listeners("change").length).toBe(listenersBefore - 1);
+        expect(root.listeners("available").length).toBe(0);
+        expect(root.listeners("unavailable").length).toBe(0);
+    });
+
+    it("cancels pending timers and intervals", function() {
+        var timeout = jasmine.createSpy("timeout");
+        var interval = jasmine.createSpy("interval");
+
+        clock.setTimeout(timeout, 100);
+        clock.setInterval(interval, 50);
+        clock.dispose();
+
+        root.advance(1000);
+        expect(timeout).not.toHaveBeenCalled();
+        expect(interval).not.toHaveBeenCalled();
+    });
+
+    it("fires a 'disposed' event, then removes all listeners", function() {
+        var disposed = jasmine.createSpy("disposed");
+        clock.on("disposed", disposed);
+        clock.on("change", function() {});
+
+        clock.dispose();
+        expect(disposed).toHaveBeenCalledWith(clock);
+        expect(clock.listeners("disposed").length).toBe(0);
+        expect(clock.listeners("change").length).toBe(0);
+    });
+
+    it("makes subsequent calls fail, except to dispose() and isDisposed()", function() {
+        expect(clock.isDisposed()).toBe(false);
+        clock.dispose();
+        expect(clock.isDisposed()).toBe(true);
+
+        expect(function() { clock.now(); }).toThrow("Cannot call now() because the clock has been disposed.");
+        expect(function() { clock.setCorrelation(new Correlation(1, 2)); }).toThrow();
+        expect(function() { clock.setTimeout(function() {}, 10); }).toThrow();
+        expect(function() { return clock.speed; }).toThrow();
+        expect(function() { clock.dispose(); }).not.toThrow();
+        expect(typeof clock.toString()).toBe("string");
+    });
+
+    it("does not affect other clocks with the same parent", function() {
+        var other = new CorrelatedClock(root, {correlation:new Correlation(0, 0)});
+        var callback = jasmine.createSpy("callback");
+        other.setTimeout(callback, 100);
+
+        clock.dispose();
+        root.setTime(50);
+        expect(other.now()).toBe(50);
+        root.advance(50);
+        expect(callback).toHaveBeenCalled();
+    });
+});
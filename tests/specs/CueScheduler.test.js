@@ -0,0 +1,209 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var CueScheduler = require("CueScheduler");
+var VirtualClock = require("VirtualClock");
+var CorrelatedClock = require("CorrelatedClock");
+var Correlation = require("Correlation");
+
+describe("CueScheduler", function() {
+
+    var root, timeline, cueA, cueB, cueC, events;
+
+    beforeEach(function() {
+        root = new VirtualClock({tickRate:1000});
+        timeline = new CorrelatedClock(root, {tickRate:1000, correlation:new Correlation(0, 0)});
+
+        cueA = { start: 1000, end: 3000, payload: "A" };
+        cueB = { start: 2000, end: 4000, payload: "B" };
+        cueC = { start: 5000, payload: "C" };
+
+        events = [];
+    });
+
+    var record = function(scheduler) {
+        scheduler.on("enter", function(cue) { events.push("enter " + cue.payload); });
+        scheduler.on("exit", function(cue) { events.push("exit " + cue.payload); });
+        return scheduler;
+    };
+
+    it("exists", function() {
+        expect(CueScheduler).toBeDefined();
+    });
+
+    it("fires enter and exit events as the clock plays", function() {
+        var scheduler = record(new CueScheduler(timeline, [cueC, cueB, cueA]));
+
+        root.advance(999);
+        expect(events).toEqual([]);
+
+        root.advance(1);
+        expect(events).toEqual(["enter A"]);
+        expect(scheduler.getActiveCues()).toEqual([cueA]);
+
+        root.advance(1000);
+        expect(events).toEqual(["enter A", "enter B"]);
+        expect(scheduler.getActiveCues()).toEqual([cueA, cueB]);
+
+        root.advance(1000);
+        expect(events).toEqual(["enter A", "enter B", "exit A"]);
+        expect(scheduler.getActiveCues()).toEqual([cueB]);
+
+        root.advance(5000);
+        expect(events).toEqual(["enter A", "enter B", "exit A", "exit B", "enter C"]);
+        expect(scheduler.getActiveCues()).toEqual([cueC]);
+        expect(scheduler.isActive(cueC)).toBe(true);
+    });
+
+    it("makes cues that are already active when it is created active immediately", function() {
+        timeline.setCorrelation(new Correlation(0, 2500));
+
+        var scheduler = new CueScheduler(timeline, [cueA, cueB, cueC]);
+        expect(scheduler.getActiveCues()).toEqual([cueA, cueB]);
+    });
+
+    it("handles seeking forwards and backwards", function() {
+        var scheduler = record(new CueScheduler(timeline, [cueA, cueB, cueC]));
+
+        timeline.setCorrelation(new Correlation(0, 2500));
+        expect(events).toEqual(["enter A", "enter B"]);
+
+        timeline.setCorrelation(new Correlation(0, 6000));
+        expect(events).toEqual(["enter A", "enter B", "exit A", "exit B", "enter C"]);
+
+        events = [];
+        timeline.setCorrelation(new Correlation(0, 1500));
+        expect(events).toEqual(["exit C", "enter A"]);
+        expect(scheduler.getActiveCues()).toEqual([cueA]);
+
+        // still fires events as the clock plays on from the new position
+        root.advance(500);
+        expect(events).toEqual(["exit C", "enter A", "enter B"]);
+    });
+
+    it("fires no events, and keeps no timer, while the clock is paused", function() {
+        var scheduler = record(new CueScheduler(timeline, [cueA, cueB, cueC]));
+
+        root.advance(500);
+        timeline.setCorrelationAndSpeed(new Correlation(root.now(), 500), 0);
+        root.advance(10000);
+        expect(events).toEqual([]);
+        expect(scheduler.getActiveCues()).toEqual([]);
+
+        timeline.setCorrelationAndSpeed(new Correlation(root.now(), 500), 1);
+        root.advance(500);
+        expect(events).toEqual(["enter A"]);
+    });
+
+    it("takes account of changes of speed", function() {
+        record(new CueScheduler(timeline, [cueA, cueB, cueC]));
+
+        timeline.setSpeed(2);
+        root.advance(499);
+        expect(events).toEqual([]);
+        root.advance(1);
+        expect(events).toEqual(["enter A"]);
+    });
+
+    it("fires events as cues are crossed when the clock plays backwards", function() {
+        var scheduler = record(new CueScheduler(timeline, [cueA, cueB, cueC]));
+
+        timeline.setCorrelationAndSpeed(new Correlation(0, 4500), -1);
+        expect(events).toEqual([]);
+
+        root.advance(500);
+        expect(events).toEqual(["enter B"]);
+
+        root.advance(1000);
+        expect(events).toEqual(["enter B", "enter A"]);
+
+        root.advance(1000);
+        expect(events).toEqual(["enter B", "enter A", "exit B"]);
+
+        root.advance(1000);
+        expect(events).toEqual(["enter B", "enter A", "exit B", "exit A"]);
+        expect(scheduler.getActiveCues()).toEqual([]);
+    });
+
+    it("makes all cues inactive when the clock becomes unavailable, and active again when it becomes available", function() {
+        var scheduler = record(new CueScheduler(timeline, [cueA, cueB, cueC]));
+
+        root.advance(2500);
+        events = [];
+
+        timeline.setAvailabilityFlag(false);
+        expect(events).toEqual(["exit A", "exit B"]);
+        expect(scheduler.getActiveCues()).toEqual([]);
+
+        root.advance(1000);
+        expect(events).toEqual(["exit A", "exit B"]);
+
+        timeline.setAvailabilityFlag(true);
+        expect(events).toEqual(["exit A", "exit B", "enter B"]);
+    });
+
+    it("fires events for cues that are added or removed while active", function() {
+        var scheduler = record(new CueScheduler(timeline, [cueA]));
+
+        root.advance(2500);
+        scheduler.addCue(cueB);
+        expect(events).toEqual(["enter A", "enter B"]);
+
+        expect(scheduler.removeCue(cueA)).toBe(true);
+        expect(events).toEqual(["enter A", "enter B", "exit A"]);
+        expect(scheduler.removeCue(cueA)).toBe(false);
+        expect(scheduler.getCues()).toEqual([cueB]);
+    });
+
+    it("gives a consistent set of active cues when a handler seeks the clock", function() {
+        var scheduler = new CueScheduler(timeline, [cueA, cueB, cueC]);
+
+        scheduler.on("enter", function(cue) {
+            if (cue === cueA) {
+                timeline.setCorrelation(new Correlation(timeline.getParent().now(), 5500));
+            }
+        });
+
+        root.advance(1000);
+        expect(scheduler.getActiveCues()).toEqual([cueC]);
+    });
+
+    it("rejects invalid cues", function() {
+        expect(function() { new CueScheduler(timeline, [{ end: 100 }]); }).toThrow();
+        expect(function() { new CueScheduler(timeline, [{ start: 100, end: 100 }]); }).toThrow();
+
+        var scheduler = new CueScheduler(timeline);
+        expect(function() { scheduler.addCue({ start: 100, end: 50 }); }).toThrow();
+    });
+
+    it("stops when the clock is disposed", function() {
+        record(new CueScheduler(timeline, [cueA, cueB, cueC]));
+
+        timeline.dispose();
+        root.advance(2000);
+        expect(events).toEqual([]);
+        expect(root.listeners("change").length).toBe(1);
+    });
+
+    it("stops firing events when stopped", function() {
+        var scheduler = record(new CueScheduler(timeline, [cueA, cueB, cueC]));
+
+        scheduler.stop();
+        root.advance(2000);
+        timeline.setCorrelation(new Correlation(0, 6000));
+        expect(events).toEqual([]);
+    });
+});
@@ -209,3 +209,163 @@ describe("DateNowClock - setTimeout, clearTimeout", function() {
 
 
 });
+
+describe("DateNowClock - jump detection", function() {
+
+    var dateNowSpy;
+    var monotonicTimeSource;
+
+    beforeEach(function() {
+        jasmine.clock().install();
+        dateNowSpy = spyOn(Date, 'now');
+        monotonicTimeSource = jasmine.createSpy("monotonic");
+    });
+
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+
+    it("does not detect jumps unless asked to", function() {
+        var callback = jasmine.createSpy("change");
+
+        dateNowSpy.and.returnValue(1000);
+        var dnc = new DateNowClock();
+        dnc.on("change", callback);
+
+        dateNowSpy.and.returnValue(1000000);
+        expect(dnc.now()).toBe(1000000);
+        expect(dnc.checkForJump()).toBe(0);
+        expect(callback).not.toHaveBeenCalled();
+    });
+
+    it("emits a 'change' event, with the size of the jump in seconds, when checkForJump() is called and Date.now() has jumped relative to the monotonic time source", function() {
+        var callback = jasmine.createSpy("change");
+
+        dateNowSpy.and.returnValue(1000);
+        monotonicTimeSource.and.returnValue(50);
+        var dnc = new DateNowClock({detectJumps:true, monotonicTimeSource:monotonicTimeSource});
+        dnc.on("change", callback);
+
+        dateNowSpy.and.returnValue(2000);
+        monotonicTimeSource.and.returnValue(1050);
+        expect(dnc.checkForJump()).toBe(0);
+        expect(callback).not.toHaveBeenCalled();
+
+        dateNowSpy.and.returnValue(7000);
+        monotonicTimeSource.and.returnValue(2050);
+        expect(dnc.checkForJump()).toBe(4);
+        expect(callback).toHaveBeenCalledWith(dnc, jasmine.objectContaining({ cause: "time", discontinuitySecs: 4 }));
+
+        callback.calls.reset();
+        dateNowSpy.and.returnValue(5500);
+        monotonicTimeSource.and.returnValue(3050);
+        expect(dnc.checkForJump()).toBe(-2.5);
+        expect(callback).toHaveBeenCalledWith(dnc, jasmine.objectContaining({ cause: "time", discontinuitySecs: -2.5 }));
+    });
+
+    it("ignores discrepancies smaller than the threshold", function() {
+        var callback = jasmine.createSpy("change");
+
+        dateNowSpy.and.returnValue(1000);
+        monotonicTimeSource.and.returnValue(0);
+        var dnc = new DateNowClock({detectJumps:true, jumpThresholdSecs:0.5, maxFreqErrorPpm:0, monotonicTimeSource:monotonicTimeSource});
+        dnc.on("change", callback);
+
+        dateNowSpy.and.returnValue(2400);
+        monotonicTimeSource.and.returnValue(1000);
+        expect(dnc.checkForJump()).toBe(0);
+
+        dateNowSpy.and.returnValue(3900);
+        monotonicTimeSource.and.returnValue(2000);
+        expect(dnc.checkForJump()).toBe(0.5);
+        expect(callback.calls.count()).toBe(1);
+    });
+
+    it("does not check for jumps when now() is called", function() {
+        var callback = jasmine.createSpy("change");
+
+        dateNowSpy.and.returnValue(1000);
+        monotonicTimeSource.and.returnValue(0);
+        var dnc = new DateNowClock({detectJumps:true, monotonicTimeSource:monotonicTimeSource});
+        dnc.on("change", callback);
+
+        dateNowSpy.and.returnValue(60000);
+        monotonicTimeSource.and.returnValue(1000);
+        expect(dnc.now()).toBe(60000);
+        expect(callback).not.toHaveBeenCalled();
+        expect(monotonicTimeSource.calls.count()).toBe(1);
+    });
+
+    it("allows for drift, at the maximum frequency error, over the time since the last check", function() {
+        var callback = jasmine.createSpy("change");
+
+        dateNowSpy.and.returnValue(0);
+        monotonicTimeSource.and.returnValue(0);
+        var dnc = new DateNowClock({detectJumps:true, jumpThresholdSecs:0.1, maxFreqErrorPpm:50, monotonicTimeSource:monotonicTimeSource});
+        dnc.on("change", callback);
+
+        // an hour later, 50ppm of drift is 0.18 seconds
+        dateNowSpy.and.returnValue(3600000 + 250);
+        monotonicTimeSource.and.returnValue(3600000);
+        expect(dnc.checkForJump()).toBe(0);
+        expect(callback).not.toHaveBeenCalled();
+
+        dateNowSpy.and.returnValue(3601000 + 250 + 150);
+        monotonicTimeSource.and.returnValue(3601000);
+        expect(dnc.checkForJump()).toBeCloseTo(0.15, 9);
+        expect(callback).toHaveBeenCalled();
+    });
+
+    it("checks periodically, if asked to", function() {
+        var callback = jasmine.createSpy("change");
+
+        dateNowSpy.and.returnValue(1000);
+        monotonicTimeSource.and.returnValue(0);
+        var dnc = new DateNowClock({detectJumps:true, jumpCheckIntervalMillis:500, monotonicTimeSource:monotonicTimeSource});
+        dnc.on("change", callback);
+
+        dateNowSpy.and.returnValue(60000);
+        monotonicTimeSource.and.returnValue(400);
+        jasmine.clock().tick(499);
+        expect(callback).not.toHaveBeenCalled();
+
+        jasmine.clock().tick(1);
+        expect(callback).toHaveBeenCalledWith(dnc, jasmine.objectContaining({ cause: "time", discontinuitySecs: 58.6 }));
+    });
+
+    it("stops checking periodically when disposed", function() {
+        var checkForJump = spyOn(DateNowClock.prototype, "checkForJump");
+
+        var dnc = new DateNowClock({detectJumps:true, jumpCheckIntervalMillis:500, monotonicTimeSource:monotonicTimeSource});
+        jasmine.clock().tick(500);
+        expect(checkForJump.calls.count()).toBe(1);
+
+        dnc.dispose();
+        jasmine.clock().tick(5000);
+        expect(checkForJump.calls.count()).toBe(1);
+    });
+
+    it("causes pending timers to be rescheduled when a jump is detected", function() {
+        var callback = jasmine.createSpy("tc");
+
+        dateNowSpy.and.returnValue(500);
+        monotonicTimeSource.and.returnValue(0);
+        var dnc = new DateNowClock({detectJumps:true, monotonicTimeSource:monotonicTimeSource});
+
+        dnc.setTimeout(callback, 1000);
+
+        dateNowSpy.and.returnValue(1400);
+        monotonicTimeSource.and.returnValue(100);
+        dnc.checkForJump();
+
+        dateNowSpy.and.returnValue(1499);
+        monotonicTimeSource.and.returnValue(199);
+        jasmine.clock().tick(99);
+        expect(callback).not.toHaveBeenCalled();
+
+        dateNowSpy.and.returnValue(1500);
+        monotonicTimeSource.and.returnValue(200);
+        jasmine.clock().tick(1);
+        expect(callback).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,174 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var DriftEstimator = require("DriftEstimator");
+var VirtualClock = require("VirtualClock");
+var CorrelatedClock = require("CorrelatedClock");
+var Correlation = require("Correlation");
+
+describe("DriftEstimator", function() {
+
+    var root, clock;
+
+    // the clock gains 50 microseconds per second relative to its parent (50 ppm),
+    // with an optional error in each measurement (in seconds)
+    var correlationAt = function(secs, errorSecs) {
+        return new Correlation({
+            parentTime: 1000000000000 + secs * 1000,
+            childTime: 5000000 + (secs + secs * 50/1000000 + (errorSecs || 0)) * 1000,
+            initialError: 0.001,
+            errorGrowthRate: 0.0001
+        });
+    };
+
+    beforeEach(function() {
+        root = new VirtualClock({tickRate:1000});
+        clock = new CorrelatedClock(root, {tickRate:1000});
+    });
+
+	it("exists", function() {
+		expect(DriftEstimator).toBeDefined();
+	});
+
+    it("has no estimate until there are two correlations", function() {
+        var estimator = new DriftEstimator(clock);
+        expect(estimator.getEstimate()).toBeNull();
+        clock.setCorrelation(correlationAt(0));
+        expect(estimator.getEstimate()).toBeNull();
+        clock.setCorrelation(correlationAt(10));
+
+        var estimate = estimator.getEstimate();
+        expect(estimate.ppm).toBeCloseTo(50, 6);
+        expect(estimate.intervalPpm).toBe(Number.POSITIVE_INFINITY);
+        expect(estimate.samples).toBe(2);
+    });
+
+    it("estimates the drift from the correlations the clock is given", function() {
+        var estimator = new DriftEstimator(clock);
+        for (var i = 0; i < 10; i++) {
+            clock.setCorrelation(correlationAt(i * 10));
+        }
+        var estimate = estimator.getEstimate();
+        expect(estimate.ppm).toBeCloseTo(50, 6);
+        expect(estimate.intervalPpm).toBeCloseTo(0, 6);
+        expect(estimate.samples).toBe(10);
+    });
+
+    it("estimates a confidence interval that reflects errors in the measurements", function() {
+        var estimator = new DriftEstimator(clock);
+        var errors = [0.0002, -0.0001, 0.0003, -0.0002, 0, 0.0001, -0.0003, 0.0002];
+        errors.forEach(function(err, i) {
+            clock.setCorrelation(correlationAt(i * 10, err));
+        });
+
+        var estimate = estimator.getEstimate();
+        expect(estimate.intervalPpm).toBeGreaterThan(0);
+        expect(estimate.lowerPpm).toBeLessThan(50);
+        expect(estimate.upperPpm).toBeGreaterThan(50);
+        expect(estimate.lowerPpm).toBeCloseTo(estimate.ppm - estimate.intervalPpm, 9);
+        expect(estimate.upperPpm).toBeCloseTo(estimate.ppm + estimate.intervalPpm, 9);
+
+        // a wider confidence factor gives a wider interval
+        var wide = new DriftEstimator(clock, {confidenceFactor:3});
+        errors.forEach(function(err, i) {
+            wide.addCorrelation(correlationAt(i * 10, err));
+        });
+        expect(wide.getEstimate().intervalPpm).toBeCloseTo(estimate.intervalPpm * 3 / 1.96, 6);
+    });
+
+    it("ignores changes that do not change the point of correlation", function() {
+        var estimator = new DriftEstimator(clock);
+        clock.setCorrelation(correlationAt(0));
+        clock.setCorrelation(correlationAt(0).butWith({initialError:5}));
+        clock.setSpeed(2);
+        root.setTime(100);
+        clock.setCorrelation(correlationAt(10));
+        expect(estimator.getEstimate().samples).toBe(2);
+    });
+
+    it("only keeps the most recent correlations", function() {
+        var estimator = new DriftEstimator(clock, {maxSamples:4});
+        for (var i = 0; i < 10; i++) {
+            clock.setCorrelation(correlationAt(i * 10));
+        }
+        expect(estimator.getEstimate().samples).toBe(4);
+    });
+
+    it("can have its history reset", function() {
+        var estimator = new DriftEstimator(clock);
+        clock.setCorrelation(correlationAt(0));
+        clock.setCorrelation(correlationAt(10));
+        estimator.reset();
+        expect(estimator.getEstimate()).toBeNull();
+    });
+
+    it("does not change the clock unless asked to", function() {
+        var estimator = new DriftEstimator(clock);
+        for (var i = 0; i < 10; i++) {
+            clock.setCorrelation(correlationAt(i * 10));
+        }
+        expect(clock.getSpeed()).toBe(1);
+        expect(clock.getCorrelation()).toEqual(correlationAt(90));
+    });
+
+    it("adjusts the speed of the clock once there are enough correlations, if asked to", function() {
+        var estimator = new DriftEstimator(clock, {adjustSpeed:true, minSamples:3});
+        clock.setCorrelation(correlationAt(0));
+        clock.setCorrelation(correlationAt(10));
+        expect(clock.getSpeed()).toBe(1);
+        clock.setCorrelation(correlationAt(20));
+        expect(clock.getSpeed()).toBeCloseTo(1.00005, 12);
+    });
+
+    it("replaces the error growth rate of new correlations, if asked to", function() {
+        var estimator = new DriftEstimator(clock, {adjustErrorGrowthRate:true, minSamples:3});
+        var errors = [0.0002, -0.0001, 0.0003, -0.0002];
+        var changeSpy = jasmine.createSpy("change");
+        clock.on("change", changeSpy);
+
+        clock.setCorrelation(correlationAt(0, errors[0]));
+        clock.setCorrelation(correlationAt(10, errors[1]));
+        expect(clock.getCorrelation().errorGrowthRate).toBe(0.0001);
+
+        clock.setCorrelation(correlationAt(20, errors[2]));
+        clock.setCorrelation(correlationAt(30, errors[3]));
+        var estimate = estimator.getEstimate();
+        expect(estimate.samples).toBe(4);
+        expect(clock.getCorrelation().errorGrowthRate).toBeCloseTo((Math.abs(estimate.ppm) + estimate.intervalPpm) / 1000000, 12);
+        expect(clock.getCorrelation().parentTime).toBe(correlationAt(30).parentTime);
+        expect(estimator.getErrorGrowthRate()).toBe(clock.getCorrelation().errorGrowthRate);
+    });
+
+    it("uses only the confidence interval for the error growth rate if the speed is being adjusted", function() {
+        var estimator = new DriftEstimator(clock, {adjustSpeed:true, adjustErrorGrowthRate:true, minSamples:3});
+        [0.0002, -0.0001, 0.0003, -0.0002].forEach(function(err, i) {
+            clock.setCorrelation(correlationAt(i * 10, err));
+        });
+        expect(clock.getCorrelation().errorGrowthRate).toBeCloseTo(estimator.getEstimate().intervalPpm / 1000000, 12);
+    });
+
+    it("throws if minSamples is less than 3", function() {
+        expect(function() { new DriftEstimator(clock, {minSamples:2}); }).toThrow();
+    });
+
+    it("stops watching the clock when stopped", function() {
+        var estimator = new DriftEstimator(clock);
+        estimator.stop();
+        clock.setCorrelation(correlationAt(0));
+        clock.setCorrelation(correlationAt(10));
+        expect(estimator.getEstimate()).toBeNull();
+    });
+});
@@ -0,0 +1,120 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var HrtimeClock = require("HrtimeClock");
+
+// BigInt is not supported by all environments the tests may be run in
+var describeIfBigInt = (typeof BigInt === "function") ? describe : xdescribe;
+
+describeIfBigInt("HrtimeClock", function() {
+
+    var fakeTime;
+    var fakeTimeSource;
+
+    beforeEach(function() {
+        fakeTime = BigInt("123456789000000000");
+        // each call moves time forward by 100 nanoseconds, so precision can be measured
+        fakeTimeSource = jasmine.createSpy("timeSource").and.callFake(function() {
+            fakeTime = fakeTime + BigInt(100);
+            return fakeTime;
+        });
+    });
+
+	it("exists", function() {
+		expect(HrtimeClock).toBeDefined();
+	});
+
+    it("can be created with no arguments, defaulting to 1GHz tickrate", function() {
+        var hc = new HrtimeClock({timeSource:fakeTimeSource});
+        expect(hc.tickRate).toBe(1000000000);
+    });
+
+    it("can be created with an object argument with a tickRate property", function() {
+        var hc = new HrtimeClock({tickRate:5000, timeSource:fakeTimeSource});
+        expect(hc.tickRate).toBe(5000);
+    });
+
+    it("starts at time zero and reflects the nanoseconds elapsed since, scaled to the tickrate", function() {
+        fakeTimeSource.and.returnValue(BigInt("123456789000000000"));
+        var hc = new HrtimeClock({tickRate:1000000, timeSource:fakeTimeSource, precision:0.000000001});
+        expect(hc.now()).toBe(0);
+
+        fakeTimeSource.and.returnValue(BigInt("123456789005001000"));
+        expect(hc.now()).toBe(5001);
+        expect(hc.getExactNanos()).toEqual(BigInt(5001000));
+    });
+
+    it("does not lose precision when the underlying time source has very large values", function() {
+        var start = BigInt("9000000000000000001");
+        fakeTimeSource.and.returnValue(start);
+        var hc = new HrtimeClock({timeSource:fakeTimeSource, precision:0.000000001});
+
+        fakeTimeSource.and.returnValue(start + BigInt("86400000000001"));
+        expect(hc.now()).toBe(86400000000001);
+        expect(hc.getNanos()).toBe(86400000000001);
+    });
+
+    it("measures the precision of the time source and uses it as the dispersion, irrespective of the time", function() {
+        var hc = new HrtimeClock({timeSource:fakeTimeSource});
+
+        var now = hc.now();
+        expect(hc.dispersionAtTime(now)).toBeCloseTo(0.0000001, 12);
+        expect(hc.dispersionAtTime(now+1000*hc.tickRate)).toBeCloseTo(0.0000001, 12);
+    });
+
+    it("uses the precision specified as an option instead of measuring it", function() {
+        fakeTimeSource.and.returnValue(BigInt(0));
+        var hc = new HrtimeClock({timeSource:fakeTimeSource, precision:0.0001});
+
+        expect(hc.dispersionAtTime(hc.now())).toBe(0.0001);
+    });
+
+    it("reports the maximum frequency error, defaulting to 50ppm", function() {
+        var hc1 = new HrtimeClock({timeSource:fakeTimeSource});
+        var hc2 = new HrtimeClock({timeSource:fakeTimeSource, maxFreqErrorPpm:10});
+
+        expect(hc1.getRootMaxFreqError()).toBe(50);
+        expect(hc2.getRootMaxFreqError()).toBe(10);
+    });
+
+    it("can calculate the underlying time source time from a clock time", function() {
+        fakeTimeSource.and.returnValue(BigInt(1000000));
+        var hc = new HrtimeClock({tickRate:1000, timeSource:fakeTimeSource, precision:0.000000001});
+
+        expect(hc.calcWhen(5)).toBe(6000000);
+    });
+
+    it("calculates when it reaches a time without losing precision to a large epoch", function() {
+        fakeTimeSource.and.returnValue(BigInt("7640170945090"));
+        var hc = new HrtimeClock({tickRate:30000, timeSource:fakeTimeSource, precision:0.000000001});
+
+        // 269913224088 ticks at 30kHz is exactly 8997107469600000 ns
+        expect(hc.calcWhen(269913224088)).toBe(9004747640545090);
+    });
+
+    it("is a root clock that has no parent, speed 1.0 and is always available", function() {
+        var hc = new HrtimeClock({timeSource:fakeTimeSource});
+
+        expect(hc.parent).toBeNull();
+        expect(hc.getRoot()).toBe(hc);
+        expect(hc.speed).toBe(1);
+        expect(hc.isAvailable()).toBeTruthy();
+        expect(function() { hc.toParentTime(5000); }).toThrow();
+        expect(function() { hc.fromParentTime(5000); }).toThrow();
+        expect(function() { hc.speed = 1.5; }).toThrow();
+        expect(function() { hc.availabilityFlag = false; }).toThrow();
+    });
+});
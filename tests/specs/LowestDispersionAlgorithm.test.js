@@ -0,0 +1,117 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var LowestDispersionAlgorithm = require("LowestDispersionAlgorithm");
+var WallClockCandidate = require("WallClockCandidate");
+var VirtualClock = require("VirtualClock");
+var CorrelatedClock = require("CorrelatedClock");
+
+describe("LowestDispersionAlgorithm", function() {
+
+    var local, wallClock;
+
+    // make a candidate for an exchange starting at local time t1, where the
+    // wall clock is 5 seconds ahead of the local clock
+    var candidate = function(t1, rttNanos) {
+        return new WallClockCandidate({
+            t1: t1,
+            t2: t1 + 5000000000 + rttNanos/2,
+            t3: t1 + 5000000000 + rttNanos/2,
+            t4: t1 + rttNanos,
+            precision: 0.001,
+            maxFreqError: 50
+        });
+    };
+
+    beforeEach(function() {
+        local = new VirtualClock({tickRate:1000000000, maxFreqErrorPpm:50});
+        wallClock = new CorrelatedClock(local, {tickRate:1000000000});
+    });
+
+	it("exists", function() {
+		expect(LowestDispersionAlgorithm).toBeDefined();
+	});
+
+    it("always uses the first candidate", function() {
+        var algorithm = new LowestDispersionAlgorithm(wallClock);
+        var c = candidate(1000000000, 20000000);
+        var changeSpy = jasmine.createSpy("change");
+        wallClock.on("change", changeSpy);
+
+        expect(algorithm.getBestCandidate()).toBeNull();
+        expect(algorithm.getDispersionAt(0)).toBe(Number.POSITIVE_INFINITY);
+
+        expect(algorithm.onCandidate(c)).toBeTruthy();
+        expect(algorithm.getBestCandidate()).toBe(c);
+        expect(wallClock.correlation).toEqual(c.calcCorrelationFor(wallClock));
+        expect(wallClock.toParentTime(6000000000)).toBe(1000000000);
+        expect(changeSpy).toHaveBeenCalled();
+    });
+
+    it("uses a later candidate only if it results in lower dispersion", function() {
+        var algorithm = new LowestDispersionAlgorithm(wallClock);
+        var c1 = candidate(1000000000, 20000000);
+        var c2 = candidate(2000000000, 30000000);
+        var c3 = candidate(3000000000, 10000000);
+
+        algorithm.onCandidate(c1);
+        expect(algorithm.onCandidate(c2)).toBeFalsy();
+        expect(algorithm.getBestCandidate()).toBe(c1);
+        expect(wallClock.correlation).toEqual(c1.calcCorrelationFor(wallClock));
+
+        expect(algorithm.onCandidate(c3)).toBeTruthy();
+        expect(algorithm.getBestCandidate()).toBe(c3);
+        expect(wallClock.correlation).toEqual(c3.calcCorrelationFor(wallClock));
+    });
+
+    it("eventually uses a candidate with a higher initial error, because the error of the current correlation grows", function() {
+        var algorithm = new LowestDispersionAlgorithm(wallClock);
+        var c1 = candidate(1000000000, 10000000);
+        var c2 = candidate(1000000000 + 1000000000, 11000000);
+        var c3 = candidate(1000000000 + 100*1000000000, 11000000);
+
+        algorithm.onCandidate(c1);
+        expect(algorithm.onCandidate(c2)).toBeFalsy();
+        expect(algorithm.onCandidate(c3)).toBeTruthy();
+    });
+
+    it("ignores candidates with a negative round-trip time", function() {
+        var algorithm = new LowestDispersionAlgorithm(wallClock);
+        var c = new WallClockCandidate({t1:1000, t2:5000, t3:9000, t4:2000});
+
+        expect(algorithm.onCandidate(c)).toBeFalsy();
+        expect(algorithm.getBestCandidate()).toBeNull();
+    });
+
+    it("can be told the maximum frequency error of the local clock", function() {
+        var algorithm = new LowestDispersionAlgorithm(wallClock, {localMaxFreqErrorPpm:5});
+        var c = candidate(1000000000, 20000000);
+
+        algorithm.onCandidate(c);
+        expect(wallClock.correlation).toEqual(c.calcCorrelationFor(wallClock, 5));
+    });
+
+    it("reports the dispersion of the current correlation, which grows with distance from the point of correlation", function() {
+        var algorithm = new LowestDispersionAlgorithm(wallClock);
+        var c = candidate(1000000000, 20000000);
+        algorithm.onCandidate(c);
+
+        var pt = wallClock.correlation.parentTime;
+        expect(algorithm.getDispersionAt(pt)).toBeCloseTo(c.calcError(50), 12);
+        expect(algorithm.getDispersionAt(pt + 1000000000)).toBeCloseTo(c.calcError(50) + 100/1000000, 12);
+        expect(algorithm.getDispersionAt(pt - 1000000000)).toBeCloseTo(c.calcError(50) + 100/1000000, 12);
+    });
+});
@@ -0,0 +1,119 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var MonotonicDateNowClock = require("MonotonicDateNowClock");
+
+describe("MonotonicDateNowClock", function() {
+
+    var dateNowSpy;
+    var monotonicTimeSource;
+
+    beforeEach(function() {
+        dateNowSpy = spyOn(Date, 'now');
+        monotonicTimeSource = jasmine.createSpy("monotonic");
+    });
+
+	it("exists", function() {
+		expect(MonotonicDateNowClock).toBeDefined();
+	});
+
+    it("can be created with no arguments, defaulting to 1kHz tickrate", function() {
+        dateNowSpy.and.callThrough();
+        var mdnc = new MonotonicDateNowClock();
+        expect(mdnc.tickRate).toBe(1000);
+    });
+
+    it("agrees with Date.now() when created, then progresses according to the monotonic time source, scaled to the tickrate", function() {
+        dateNowSpy.and.returnValue(1500000000000);
+        monotonicTimeSource.and.returnValue(20.5);
+        var mdnc = new MonotonicDateNowClock({tickRate:1000000, monotonicTimeSource:monotonicTimeSource, precision:0.000001});
+
+        expect(mdnc.getEpochOffset()).toBe(1500000000000-20.5);
+        expect(mdnc.now()).toBe(1500000000000000);
+
+        dateNowSpy.and.returnValue(1400000000000);
+        monotonicTimeSource.and.returnValue(1020.75);
+        expect(mdnc.now()).toBe(1500000001000250);
+    });
+
+    it("can be re-anchored to Date.now(), emitting a 'change' event with the size of the jump in seconds", function() {
+        var callback = jasmine.createSpy("change");
+
+        dateNowSpy.and.returnValue(1000000);
+        monotonicTimeSource.and.returnValue(0);
+        var mdnc = new MonotonicDateNowClock({monotonicTimeSource:monotonicTimeSource, precision:0.000001});
+        mdnc.on("change", callback);
+
+        dateNowSpy.and.returnValue(1002500);
+        monotonicTimeSource.and.returnValue(2000);
+        expect(mdnc.reanchor()).toBe(0.5);
+        expect(callback).toHaveBeenCalledWith(mdnc, jasmine.objectContaining({ cause: "time", discontinuitySecs: 0.5 }));
+        expect(mdnc.getEpochOffset()).toBe(1000500);
+        expect(mdnc.now()).toBe(1002500);
+    });
+
+    it("can be re-anchored to a specified epoch time", function() {
+        var callback = jasmine.createSpy("change");
+
+        dateNowSpy.and.returnValue(1000000);
+        monotonicTimeSource.and.returnValue(0);
+        var mdnc = new MonotonicDateNowClock({monotonicTimeSource:monotonicTimeSource, precision:0.000001});
+        mdnc.on("change", callback);
+
+        monotonicTimeSource.and.returnValue(100);
+        expect(mdnc.reanchor(999100)).toBe(-1);
+        expect(callback).toHaveBeenCalledWith(mdnc, jasmine.objectContaining({ cause: "time", discontinuitySecs: -1 }));
+        expect(mdnc.now()).toBe(999100);
+    });
+
+    it("does not emit a 'change' event if re-anchoring does not change the epoch offset", function() {
+        var callback = jasmine.createSpy("change");
+
+        dateNowSpy.and.returnValue(1000000);
+        monotonicTimeSource.and.returnValue(0);
+        var mdnc = new MonotonicDateNowClock({monotonicTimeSource:monotonicTimeSource, precision:0.000001});
+        mdnc.on("change", callback);
+
+        dateNowSpy.and.returnValue(1000200);
+        monotonicTimeSource.and.returnValue(200);
+        expect(mdnc.reanchor()).toBe(0);
+        expect(callback).not.toHaveBeenCalled();
+    });
+
+    it("measures the precision of the monotonic time source and uses it as the dispersion", function() {
+        var t = 0;
+        monotonicTimeSource.and.callFake(function() { t += 0.01; return t; });
+        var mdnc = new MonotonicDateNowClock({monotonicTimeSource:monotonicTimeSource});
+
+        expect(mdnc.dispersionAtTime(mdnc.now())).toBeCloseTo(0.00001, 9);
+    });
+
+    it("is a root clock that has no parent, speed 1.0 and is always available", function() {
+        monotonicTimeSource.and.returnValue(0);
+        var mdnc = new MonotonicDateNowClock({monotonicTimeSource:monotonicTimeSource, precision:0.000001, maxFreqErrorPpm:20});
+
+        expect(mdnc.getRootMaxFreqError()).toBe(20);
+        expect(mdnc.calcWhen(5000)).toBe(5000);
+        expect(mdnc.parent).toBeNull();
+        expect(mdnc.getRoot()).toBe(mdnc);
+        expect(mdnc.speed).toBe(1);
+        expect(mdnc.isAvailable()).toBeTruthy();
+        expect(function() { mdnc.toParentTime(5000); }).toThrow();
+        expect(function() { mdnc.fromParentTime(5000); }).toThrow();
+        expect(function() { mdnc.speed = 1.5; }).toThrow();
+        expect(function() { mdnc.availabilityFlag = false; }).toThrow();
+    });
+});
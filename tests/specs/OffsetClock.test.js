@@ -17,6 +17,7 @@
 var OffsetClock = require("OffsetClock");
 var CorrelatedClock = require("CorrelatedClock");
 var DateNowClock = require("DateNowClock");
+var VirtualClock = require("VirtualClock");
 
 describe("OffsetClock", function() {
     
@@ -166,7 +167,7 @@ describe("OffsetClock", function() {
             oc.on("change", dep);
             expect(dep).not.toHaveBeenCalled();
             oc.setParent(altParent);
-            expect(dep).toHaveBeenCalledWith(oc);
+            expect(dep).toHaveBeenCalledWith(oc, jasmine.objectContaining({ cause: "parent", oldValue: parent, newValue: altParent }));
         });
         
         it("correctly applies the offset if it is negative", function() {
@@ -203,4 +204,34 @@ describe("OffsetClock", function() {
         
     });
     
+    it("detaches from its parent when disposed", function() {
+        var root = new VirtualClock({tickRate:1000});
+        var oc = new OffsetClock(root, {offset:40});
+        var listenersBefore = root.listeners("change").length;
+
+        oc.dispose();
+        expect(root.listeners("change").length).toBe(listenersBefore - 1);
+        expect(oc.isDisposed()).toBe(true);
+        expect(function() { oc.setOffset(10); }).toThrow();
+    });
+
+    it("describes a change of offset, and propagates changes of its parent", function() {
+        var root = new VirtualClock({tickRate:1000, time:5000});
+        var oc = new OffsetClock(root, {offset:40});
+        var changes = [];
+        oc.on("change", function(source, change) { changes.push(change); });
+
+        oc.offset = 90;
+        expect(changes[0].cause).toBe("offset");
+        expect(changes[0].origin).toBe(oc);
+        expect(changes[0].oldValue).toBe(40);
+        expect(changes[0].newValue).toBe(90);
+        expect(changes[0].discontinuitySecs).toBeCloseTo(0.05, 9);
+
+        root.setTime(6000);
+        expect(changes[1].cause).toBe("ancestor");
+        expect(changes[1].origin).toBe(root);
+        expect(changes[1].discontinuitySecs).toBeCloseTo(1, 9);
+    });
+
 });
\ No newline at end of file
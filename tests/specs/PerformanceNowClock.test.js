@@ -0,0 +1,135 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var PerformanceNowClock = require("PerformanceNowClock");
+
+describe("PerformanceNowClock", function() {
+
+    var fakeTime;
+    var fakeTimeSource;
+
+    beforeEach(function() {
+        fakeTime = 0;
+        // each call moves time forward by 5 microseconds, so precision can be measured
+        fakeTimeSource = jasmine.createSpy("timeSource").and.callFake(function() {
+            fakeTime += 0.005;
+            return fakeTime;
+        });
+    });
+
+	it("exists", function() {
+		expect(PerformanceNowClock).toBeDefined();
+	});
+
+    it("can be created with no arguments, defaulting to 1kHz tickrate", function() {
+        var pnc = new PerformanceNowClock();
+        expect(pnc.tickRate).toBe(1000);
+    });
+
+    it("can be created with an object argument with a tickRate property", function() {
+        var pnc = new PerformanceNowClock({tickRate:5000});
+        expect(pnc.tickRate).toBe(5000);
+    });
+
+    it("uses performance.now() by default", function() {
+        var pnc = new PerformanceNowClock({tickRate:1000000});
+        var perfNowSpy = spyOn(performance, 'now');
+
+        perfNowSpy.and.returnValue(5001.5);
+        expect(pnc.now()).toBe(5001500);
+    });
+
+    it("reflects the time source scaled to the clock tickrate when now() is called", function() {
+        var pnc = new PerformanceNowClock({tickRate:1000000, timeSource:fakeTimeSource});
+
+        fakeTimeSource.and.returnValue(5001.25);
+        expect(pnc.now()).toBe(5001250);
+
+        fakeTimeSource.and.returnValue(6001.5);
+        expect(pnc.now()).toBe(6001500);
+    });
+
+    it("can calculate the underlying time source time from a clock time", function() {
+        var pnc = new PerformanceNowClock({tickRate:1000000, timeSource:fakeTimeSource});
+
+        expect(pnc.calcWhen(5000)).toBe(5);
+    });
+
+    it("measures the precision of the time source and uses it as the dispersion, irrespective of the time", function() {
+        var pnc = new PerformanceNowClock({tickRate:1000000, timeSource:fakeTimeSource});
+
+        var now = pnc.now();
+        expect(pnc.dispersionAtTime(now)).toBeCloseTo(0.000005, 9);
+        expect(pnc.dispersionAtTime(now+1000*pnc.tickRate)).toBeCloseTo(0.000005, 9);
+    });
+
+    it("uses the precision specified as an option instead of measuring it", function() {
+        fakeTimeSource.and.returnValue(0);
+        var pnc = new PerformanceNowClock({timeSource:fakeTimeSource, precision:0.0001});
+
+        expect(pnc.dispersionAtTime(pnc.now())).toBe(0.0001);
+    });
+
+    it("reports the maximum frequency error, defaulting to 50ppm", function() {
+        var pnc1 = new PerformanceNowClock({timeSource:fakeTimeSource});
+        var pnc2 = new PerformanceNowClock({timeSource:fakeTimeSource, maxFreqErrorPpm:10});
+
+        expect(pnc1.getRootMaxFreqError()).toBe(50);
+        expect(pnc2.getRootMaxFreqError()).toBe(10);
+    });
+
+    it("is a root clock that has no parent, speed 1.0 and is always available", function() {
+        var pnc = new PerformanceNowClock({timeSource:fakeTimeSource});
+
+        expect(pnc.parent).toBeNull();
+        expect(pnc.getRoot()).toBe(pnc);
+        expect(pnc.speed).toBe(1);
+        expect(pnc.isAvailable()).toBeTruthy();
+        expect(function() { pnc.toParentTime(5000); }).toThrow();
+        expect(function() { pnc.fromParentTime(5000); }).toThrow();
+        expect(function() { pnc.speed = 1.5; }).toThrow();
+        expect(function() { pnc.availabilityFlag = false; }).toThrow();
+    });
+});
+
+describe("PerformanceNowClock - setTimeout, clearTimeout", function() {
+
+    beforeEach(function() {
+        jasmine.clock().install();
+    });
+
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+
+    it("Can schedule a timeout callback with arguments", function() {
+        var timeSource = jasmine.createSpy("timeSource");
+        var callback = jasmine.createSpy("tc");
+
+        var pnc = new PerformanceNowClock({timeSource:timeSource, precision:0.000001});
+
+        timeSource.and.returnValue(500.5);
+        pnc.setTimeout(callback, 1000, "hello");
+
+        timeSource.and.returnValue(500.5+999);
+        jasmine.clock().tick(999);
+        expect(callback).not.toHaveBeenCalled();
+
+        timeSource.and.returnValue(500.5+1000);
+        jasmine.clock().tick(1);
+        expect(callback).toHaveBeenCalledWith("hello");
+    });
+});
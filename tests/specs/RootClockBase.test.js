@@ -0,0 +1,82 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var inherits = require('inherits');
+var RootClockBase = require("RootClockBase");
+var ClockBase = require("ClockBase");
+
+describe("RootClockBase", function() {
+
+    var TestClock = function(options) {
+        RootClockBase.call(this, options, 100, 0.002);
+    };
+
+    inherits(TestClock, RootClockBase);
+
+    TestClock.prototype.now = function() {
+        return 5000;
+    };
+
+    it("exists", function() {
+        expect(RootClockBase).toBeDefined();
+    });
+
+    it("is a subclass of ClockBase", function() {
+        expect(new TestClock() instanceof ClockBase).toBeTruthy();
+    });
+
+    it("uses the default tick rate and a maximum frequency error of 50ppm if they are not specified", function() {
+        var clock = new TestClock();
+        expect(clock.getTickRate()).toBe(100);
+        expect(clock.getRootMaxFreqError()).toBe(50);
+    });
+
+    it("uses the tick rate and maximum frequency error specified as options", function() {
+        var clock = new TestClock({ tickRate: 1000, maxFreqErrorPpm: 10 });
+        expect(clock.getTickRate()).toBe(1000);
+        expect(clock.getRootMaxFreqError()).toBe(10);
+    });
+
+    it("throws an error if the tick rate is zero or less", function() {
+        expect(function() { new TestClock({ tickRate: 0 }); }).toThrow();
+        expect(function() { new TestClock({ tickRate: -1 }); }).toThrow();
+    });
+
+    it("reports the precision it was given as its dispersion", function() {
+        var clock = new TestClock();
+        expect(clock.dispersionAtTime(5000)).toBe(0.002);
+    });
+
+    it("calculates when, in milliseconds, it reaches a time", function() {
+        var clock = new TestClock();
+        expect(clock.calcWhen(250)).toBe(2500);
+    });
+
+    it("has no parent, and one cannot be set", function() {
+        var clock = new TestClock();
+        expect(clock.getParent()).toBe(null);
+        expect(function() { clock.setParent(new TestClock()); }).toThrow();
+        expect(function() { clock.toParentTime(5); }).toThrow();
+        expect(function() { clock.fromParentTime(5); }).toThrow();
+    });
+
+    it("is always available", function() {
+        var clock = new TestClock();
+        expect(clock.isAvailable()).toBeTruthy();
+        clock.setAvailabilityFlag(true);
+        expect(function() { clock.setAvailabilityFlag(false); }).toThrow();
+    });
+});
@@ -0,0 +1,66 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var TimerList = require("TimerList");
+
+describe("TimerList", function() {
+
+    it("exists", function() {
+        expect(TimerList).toBeDefined();
+    });
+
+    it("takes callbacks in the order they are due, and only once they are due", function() {
+        var list = new TimerList();
+        var a = function() {};
+        var b = function() {};
+
+        list.add(b, 20);
+        list.add(a, 10);
+        expect(list.size()).toBe(2);
+
+        expect(list.takeDue(5)).toBe(null);
+        expect(list.takeDue(25).func).toBe(a);
+        expect(list.takeDue(25).func).toBe(b);
+        expect(list.takeDue(25)).toBe(null);
+        expect(list.size()).toBe(0);
+    });
+
+    it("keeps callbacks due at the same time in the order they were added", function() {
+        var list = new TimerList();
+        var a = function() {};
+        var b = function() {};
+
+        list.add(a, 10);
+        list.add(b, 10);
+        expect(list.takeDue(10).func).toBe(a);
+        expect(list.takeDue(10).func).toBe(b);
+    });
+
+    it("can have callbacks removed, or be cleared", function() {
+        var list = new TimerList();
+        var a = function() {};
+
+        var handle = list.add(a, 10);
+        list.add(a, 20);
+        list.remove(handle);
+        list.remove(handle);
+        expect(list.size()).toBe(1);
+        expect(list.takeDue(10)).toBe(null);
+
+        list.clear();
+        expect(list.size()).toBe(0);
+    });
+});
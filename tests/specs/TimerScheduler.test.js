@@ -0,0 +1,280 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var TimerScheduler = require("TimerScheduler");
+var timerBackends = require("timerBackends");
+var VirtualClock = require("VirtualClock");
+var DateNowClock = require("DateNowClock");
+var CorrelatedClock = require("CorrelatedClock");
+var Correlation = require("Correlation");
+
+var globalObject = (function() { return this; })();
+
+describe("TimerScheduler", function() {
+
+    var root, mockSetTimeout, setTimeoutCount;
+
+    beforeEach(function() {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(1000));
+        root = new DateNowClock();
+
+        // count calls to the (mock) global setTimeout, without replacing it with
+        // a spy, because the mock clock cannot then be uninstalled
+        mockSetTimeout = globalObject.setTimeout;
+        setTimeoutCount = 0;
+        globalObject.setTimeout = function() {
+            setTimeoutCount++;
+            return mockSetTimeout.apply(globalObject, arguments);
+        };
+    });
+
+    afterEach(function() {
+        globalObject.setTimeout = mockSetTimeout;
+        jasmine.clock().uninstall();
+    });
+
+    it("exists", function() {
+        expect(TimerScheduler).toBeDefined();
+    });
+
+    it("cancels all callbacks, and the underlying timer, when cleared", function() {
+        var scheduler = new TimerScheduler(root);
+        var callback = jasmine.createSpy("callback");
+
+        var handle = scheduler.add(callback, 1100);
+        scheduler.add(callback, 1200);
+        scheduler.clear();
+        expect(scheduler.size()).toBe(0);
+        expect(jasmine.clock().tick.bind(null, 500)).not.toThrow();
+        expect(callback).not.toHaveBeenCalled();
+
+        // removing a handle that was cleared does nothing
+        scheduler.remove(handle);
+        expect(scheduler.size()).toBe(0);
+    });
+
+    it("calls callbacks in order of when they are due, and in the order they were added if due at the same time", function() {
+        var scheduler = new TimerScheduler(root);
+        var order = [];
+
+        scheduler.add(function() { order.push("c"); }, 1300);
+        scheduler.add(function() { order.push("a"); }, 1100);
+        scheduler.add(function() { order.push("b1"); }, 1200);
+        scheduler.add(function() { order.push("b2"); }, 1200);
+        expect(scheduler.size()).toBe(4);
+        expect(scheduler.getNextRootTime()).toBe(1100);
+
+        jasmine.clock().tick(120);
+        expect(order).toEqual(["a"]);
+
+        jasmine.clock().tick(200);
+        expect(order).toEqual(["a", "b1", "b2", "c"]);
+        expect(scheduler.size()).toBe(0);
+    });
+
+    it("uses only one underlying timer, set for the earliest callback", function() {
+        var scheduler = new TimerScheduler(root);
+        var callback = jasmine.createSpy("callback");
+
+        for(var i=0; i<100; i++) {
+            scheduler.add(callback, 2000 + i);
+        }
+        expect(setTimeoutCount).toBe(1);
+
+        scheduler.add(callback, 1500);
+        expect(setTimeoutCount).toBe(2);
+
+        jasmine.clock().tick(500);
+        expect(callback.calls.count()).toBe(1);
+    });
+
+    it("does not call a callback that has been removed", function() {
+        var scheduler = new TimerScheduler(root);
+        var callback1 = jasmine.createSpy("callback1");
+        var callback2 = jasmine.createSpy("callback2");
+
+        var handle = scheduler.add(callback1, 1100);
+        scheduler.add(callback2, 1200);
+        scheduler.remove(handle);
+        expect(scheduler.size()).toBe(1);
+
+        // removing again does nothing
+        scheduler.remove(handle);
+        expect(scheduler.size()).toBe(1);
+
+        jasmine.clock().tick(150);
+        expect(callback1).not.toHaveBeenCalled();
+        expect(callback2).not.toHaveBeenCalled();
+
+        jasmine.clock().tick(50);
+        expect(callback2).toHaveBeenCalled();
+    });
+
+    it("sets the underlying timer again when the root clock changes", function() {
+        var scheduler = new TimerScheduler(root);
+        var callback = jasmine.createSpy("callback");
+
+        scheduler.add(callback, 2000);
+
+        // Date.now() jumps forward
+        jasmine.clock().mockDate(new Date(1900));
+        root.emit("change", root);
+
+        jasmine.clock().tick(99);
+        expect(callback).not.toHaveBeenCalled();
+        jasmine.clock().tick(1);
+        expect(callback).toHaveBeenCalled();
+    });
+
+    it("does not call callbacks added by a callback until the underlying timer next fires, even if they are due", function() {
+        var scheduler = new TimerScheduler(root);
+        var callback2 = jasmine.createSpy("callback2");
+
+        scheduler.add(function() {
+            scheduler.add(callback2, 1000);
+            expect(callback2).not.toHaveBeenCalled();
+        }, 1100);
+
+        jasmine.clock().tick(100);
+        expect(callback2).not.toHaveBeenCalled();
+        jasmine.clock().tick(0);
+        expect(callback2).toHaveBeenCalled();
+    });
+
+    it("still calls other callbacks that are due, if a callback throws an exception", function() {
+        var scheduler = new TimerScheduler(root);
+        var callback = jasmine.createSpy("callback");
+
+        scheduler.add(function() { throw "Oops"; }, 1100);
+        scheduler.add(callback, 1100);
+
+        expect(function() { jasmine.clock().tick(100); }).toThrow("Oops");
+        jasmine.clock().tick(0);
+        expect(callback).toHaveBeenCalled();
+    });
+
+    it("is shared by timers on all clocks in a hierarchy", function() {
+        var cc1 = new CorrelatedClock(root, {tickRate:1000, correlation:new Correlation(1000, 0)});
+        var cc2 = new CorrelatedClock(cc1, {tickRate:100, correlation:new Correlation(0, 0)});
+        var order = [];
+
+        root.setAtTime(function() { order.push("root"); }, 1100);
+        cc1.setAtTime(function() { order.push("cc1"); }, 200);
+        cc2.setAtTime(function() { order.push("cc2"); }, 30);
+        expect(setTimeoutCount).toBe(1);
+
+        // cc2 timer is now due at the same time as the root clock timer
+        cc2.setCorrelation(new Correlation(0, 20));
+
+        jasmine.clock().tick(500);
+        expect(order).toEqual(["root", "cc2", "cc1"]);
+    });
+});
+
+describe("TimerScheduler - backends and busy-waiting", function() {
+
+    var time, root;
+
+    beforeEach(function() {
+        time = 1000;
+        root = new DateNowClock();
+        spyOn(root, "now").and.callFake(function() { return time; });
+    });
+
+    it("uses the setTimeout backend by default", function() {
+        var scheduler = new TimerScheduler(root);
+        expect(scheduler.getBackend().name).toBe("timeout");
+        expect(scheduler.getBusyWaitMillis()).toBe(0);
+    });
+
+    it("uses the backend passed as an option", function() {
+        var backend = timerBackends.fake();
+        var scheduler = new TimerScheduler(root, { backend: backend });
+        var callback = jasmine.createSpy("callback");
+
+        scheduler.add(callback, 1100);
+        expect(backend.pending()).toBe(1);
+
+        time = 1100;
+        backend.advance(100);
+        expect(callback).toHaveBeenCalled();
+    });
+
+    it("moves waiting callbacks to a new backend when it is changed", function() {
+        var backend1 = timerBackends.fake();
+        var backend2 = timerBackends.fake();
+        var scheduler = new TimerScheduler(root, { backend: backend1 });
+        var callback = jasmine.createSpy("callback");
+
+        scheduler.add(callback, 1100);
+        scheduler.setBackend(backend2);
+        expect(scheduler.getBackend()).toBe(backend2);
+        expect(backend1.pending()).toBe(0);
+        expect(backend2.pending()).toBe(1);
+
+        time = 1100;
+        backend2.advance(100);
+        expect(callback).toHaveBeenCalled();
+    });
+
+    it("terminates the old backend when it is replaced", function() {
+        var backend1 = timerBackends.fake();
+        var backend2 = timerBackends.fake();
+        backend1.terminate = jasmine.createSpy("terminate");
+        var scheduler = new TimerScheduler(root, { backend: backend1 });
+
+        scheduler.setBackend(backend1);
+        expect(backend1.terminate).not.toHaveBeenCalled();
+
+        scheduler.setBackend(backend2);
+        expect(backend1.terminate).toHaveBeenCalled();
+    });
+
+    it("sets the underlying timer early, then busy-waits until the callback is due", function() {
+        var backend = timerBackends.fake();
+        var scheduler = new TimerScheduler(root, { backend: backend, busyWaitMillis: 5 });
+        var calledAt = null;
+
+        scheduler.add(function() { calledAt = time; }, 1100);
+
+        // the root clock progresses each time it is checked while busy-waiting
+        time = 1095;
+        root.now.and.callFake(function() { return time++; });
+
+        backend.advance(95);
+        expect(calledAt).not.toBeLessThan(1100);
+        expect(calledAt).toBeLessThan(1105);
+    });
+
+    it("is used by the root clock of a hierarchy, and can be obtained from any clock in the hierarchy", function() {
+        var child = new CorrelatedClock(root);
+        var grandchild = new CorrelatedClock(child);
+        var scheduler = grandchild.getTimerScheduler();
+
+        expect(scheduler instanceof TimerScheduler).toBe(true);
+        expect(child.getTimerScheduler()).toBe(scheduler);
+        expect(root.getTimerScheduler()).toBe(scheduler);
+
+        grandchild.setTimeout(function() {}, 100);
+        expect(scheduler.size()).toBe(1);
+    });
+
+    it("is not used by a VirtualClock", function() {
+        var vc = new VirtualClock();
+        expect(new CorrelatedClock(vc).getTimerScheduler()).toBe(null);
+    });
+});
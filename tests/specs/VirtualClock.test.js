@@ -0,0 +1,272 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var VirtualClock = require("VirtualClock");
+var CorrelatedClock = require("CorrelatedClock");
+var OffsetClock = require("OffsetClock");
+var Correlation = require("Correlation");
+
+describe("VirtualClock", function() {
+	it("exists", function() {
+		expect(VirtualClock).toBeDefined();
+	});
+
+    it("can be created with no arguments, defaulting to 1kHz tickrate and time zero", function() {
+        var vc = new VirtualClock();
+        expect(vc.tickRate).toBe(1000);
+        expect(vc.now()).toBe(0);
+    });
+
+    it("can be created with an object argument with tickRate and time properties", function() {
+        var vc = new VirtualClock({tickRate:5000, time:1234});
+        expect(vc.tickRate).toBe(5000);
+        expect(vc.now()).toBe(1234);
+    });
+
+    it("does not change its time unless advance() or setTime() is called", function() {
+        jasmine.clock().install();
+        jasmine.clock().mockDate();
+        var vc = new VirtualClock({time:50});
+
+        jasmine.clock().tick(1000);
+        expect(vc.now()).toBe(50);
+
+        vc.advance(25);
+        expect(vc.now()).toBe(75);
+
+        vc.setTime(10);
+        expect(vc.now()).toBe(10);
+        jasmine.clock().uninstall();
+    });
+
+    it("throws an error if asked to advance by a negative amount", function() {
+        var vc = new VirtualClock();
+        expect(function() { vc.advance(-1); }).toThrow();
+    });
+
+    it("emits a 'change' event when setTime() changes its time, but not when advance() is called", function() {
+        var vc = new VirtualClock();
+        var callback = jasmine.createSpy("change");
+        vc.on("change", callback);
+
+        vc.advance(100);
+        expect(callback).not.toHaveBeenCalled();
+
+        vc.setTime(100);
+        expect(callback).not.toHaveBeenCalled();
+
+        vc.setTime(5);
+        expect(callback).toHaveBeenCalledWith(vc, jasmine.objectContaining({ cause: "time", oldValue: 100, newValue: 5, discontinuitySecs: -0.095 }));
+    });
+
+    it("can calculate the equivalent number of milliseconds from a clock time", function() {
+        var vc = new VirtualClock({tickRate:1000000});
+        expect(vc.calcWhen(5000)).toBe(5);
+    });
+
+    it("has no parent, and cannot have one set", function() {
+        var vc = new VirtualClock();
+        expect(vc.parent).toBeNull();
+        expect(vc.getRoot()).toBe(vc);
+        expect(function() { vc.parent = new VirtualClock(); }).toThrow();
+        expect(function() { vc.toParentTime(5); }).toThrow();
+        expect(function() { vc.fromParentTime(5); }).toThrow();
+    });
+
+    it("reports the precision and maximum frequency error that it was configured with", function() {
+        var vc = new VirtualClock({precision:0.002, maxFreqErrorPpm:20});
+        expect(vc.dispersionAtTime(vc.now())).toBe(0.002);
+        expect(vc.getRootMaxFreqError()).toBe(20);
+
+        var vc2 = new VirtualClock();
+        expect(vc2.dispersionAtTime(vc2.now())).toBe(0);
+        expect(vc2.getRootMaxFreqError()).toBe(0);
+    });
+});
+
+describe("VirtualClock - setTimeout, setAtTime, clearTimeout", function() {
+
+    beforeEach(function() {
+        jasmine.clock().install();
+    });
+
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+
+    it("calls a timeout callback, with arguments, when advanced to when it is due and without the global timer being involved", function() {
+        var vc = new VirtualClock({time:500});
+        var callback = jasmine.createSpy("tc");
+
+        vc.setTimeout(callback, 1000, "hello");
+
+        jasmine.clock().tick(5000);
+        expect(callback).not.toHaveBeenCalled();
+
+        vc.advance(999);
+        expect(callback).not.toHaveBeenCalled();
+
+        vc.advance(1);
+        expect(callback).toHaveBeenCalledWith("hello");
+        expect(callback.calls.count()).toBe(1);
+    });
+
+    it("calls callbacks in the order they are due, with the time set to when each is due", function() {
+        var vc = new VirtualClock();
+        var order = [];
+        var record = function(name) { order.push([name, vc.now()]); };
+
+        vc.setAtTime(record, 300, "c");
+        vc.setAtTime(record, 100, "a");
+        vc.setAtTime(record, 200, "b1");
+        vc.setAtTime(record, 200, "b2");
+
+        vc.advance(1000);
+        expect(order).toEqual([ ["a",100], ["b1",200], ["b2",200], ["c",300] ]);
+        expect(vc.now()).toBe(1000);
+    });
+
+    it("calls callbacks that are scheduled by other callbacks if they become due during the same advance", function() {
+        var vc = new VirtualClock();
+        var callback = jasmine.createSpy("tc2");
+
+        vc.setAtTime(function() {
+            vc.setTimeout(callback, 50, "second");
+        }, 100);
+
+        vc.advance(149);
+        expect(callback).not.toHaveBeenCalled();
+        vc.advance(1);
+        expect(callback).toHaveBeenCalledWith("second");
+    });
+
+    it("can have a timer cleared", function() {
+        var vc = new VirtualClock();
+        var callback1 = jasmine.createSpy("tc1");
+        var callback2 = jasmine.createSpy("tc2");
+
+        var handle1 = vc.setTimeout(callback1, 100);
+        vc.setTimeout(callback2, 200);
+        vc.clearTimeout(handle1);
+
+        vc.advance(500);
+        expect(callback1).not.toHaveBeenCalled();
+        expect(callback2).toHaveBeenCalled();
+    });
+
+    it("calls any callbacks that a forward jump using setTime() has passed", function() {
+        var vc = new VirtualClock();
+        var callback1 = jasmine.createSpy("tc1");
+        var callback2 = jasmine.createSpy("tc2");
+
+        vc.setAtTime(callback1, 100);
+        vc.setAtTime(callback2, 1000);
+
+        vc.setTime(500);
+        expect(callback1).toHaveBeenCalled();
+        expect(callback2).not.toHaveBeenCalled();
+    });
+
+    it("fires timers of descendant clocks, taking into account their correlation and speed", function() {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {tickRate:25, speed:2, correlation:new Correlation(0, 100)});
+        var callback = jasmine.createSpy("tc");
+
+        cc.setAtTime(callback, 150);  // 50 ticks of cc at 25 ticks/sec and speed 2 = 1 second
+
+        vc.advance(999);
+        expect(callback).not.toHaveBeenCalled();
+        vc.advance(1);
+        expect(callback).toHaveBeenCalled();
+        expect(cc.now()).toBe(150);
+    });
+
+    it("reschedules timers of descendant clocks when there is a change in the hierarchy", function() {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {correlation:new Correlation(0, 0)});
+        var oc = new OffsetClock(cc, {offset:100});
+        var callback1 = jasmine.createSpy("tc1");
+        var callback2 = jasmine.createSpy("tc2");
+
+        cc.setAtTime(callback1, 1000);
+        oc.setAtTime(callback2, 1000);
+
+        vc.advance(850);
+        expect(callback1).not.toHaveBeenCalled();
+        expect(callback2).not.toHaveBeenCalled();
+
+        cc.correlation = new Correlation(850, 950);
+        expect(callback1).not.toHaveBeenCalled();
+        expect(callback2).not.toHaveBeenCalled();
+
+        vc.advance(0);
+        expect(callback2).toHaveBeenCalled();
+        expect(callback1).not.toHaveBeenCalled();
+
+        vc.advance(49);
+        expect(callback1).not.toHaveBeenCalled();
+        vc.advance(1);
+        expect(callback1).toHaveBeenCalled();
+    });
+
+    it("does not call overdue timers until the next advance() or setTime(), which can be by zero", function() {
+        var vc = new VirtualClock({time:500});
+        var cc = new CorrelatedClock(vc, {correlation:new Correlation(0, 0)});
+        var callback1 = jasmine.createSpy("tc1");
+        var callback2 = jasmine.createSpy("tc2");
+        var callback3 = jasmine.createSpy("tc3");
+
+        // already passed when scheduled
+        cc.setAtTime(callback1, 400);
+        expect(callback1).not.toHaveBeenCalled();
+
+        // passed because of a change to the correlation
+        cc.setAtTime(callback2, 600);
+        cc.setAtTime(callback3, 700);
+        cc.setCorrelation(new Correlation(0, 150));
+        expect(callback2).not.toHaveBeenCalled();
+
+        vc.advance(0);
+        expect(vc.now()).toBe(500);
+        expect(callback1).toHaveBeenCalled();
+        expect(callback2).toHaveBeenCalled();
+        expect(callback3).not.toHaveBeenCalled();
+
+        cc.setCorrelation(new Correlation(0, 250));
+        expect(callback3).not.toHaveBeenCalled();
+        vc.setTime(500);
+        expect(callback3).toHaveBeenCalled();
+    });
+
+    it("does not fire timers of a paused descendant clock until it is unpaused", function() {
+        var vc = new VirtualClock();
+        var cc = new CorrelatedClock(vc, {correlation:new Correlation(0, 0)});
+        var callback = jasmine.createSpy("tc");
+
+        cc.setAtTime(callback, 1000);
+        vc.advance(500);
+
+        cc.setCorrelationAndSpeed(new Correlation(500, 500), 0);
+        vc.advance(10000);
+        expect(callback).not.toHaveBeenCalled();
+
+        cc.setCorrelationAndSpeed(new Correlation(10500, 500), 1);
+        vc.advance(499);
+        expect(callback).not.toHaveBeenCalled();
+        vc.advance(1);
+        expect(callback).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,99 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var WallClockCandidate = require("WallClockCandidate");
+var WallClockMessage = require("WallClockMessage");
+var VirtualClock = require("VirtualClock");
+var CorrelatedClock = require("CorrelatedClock");
+
+describe("WallClockCandidate", function() {
+
+    var FIELDS = {
+        t1: 1000000000,
+        t2: 6004000000,
+        t3: 6005000000,
+        t4: 1010000000,
+        precision: 0.001,
+        maxFreqError: 20
+    };
+
+	it("exists", function() {
+		expect(WallClockCandidate).toBeDefined();
+	});
+
+    it("calculates the offset and round-trip time", function() {
+        var c = new WallClockCandidate(FIELDS);
+        expect(c.offset).toBe(4999500000);
+        expect(c.rtt).toBe(9000000);
+        expect(c.toJSON()).toEqual(FIELDS);
+    });
+
+    it("is immutable", function() {
+        var c = new WallClockCandidate(FIELDS);
+        expect(function() { c.t1 = 5; }).toThrow();
+        expect(function() { c.offset = 5; }).toThrow();
+    });
+
+    it("defaults to zero precision and maximum frequency error", function() {
+        var c = new WallClockCandidate({t1:0, t2:10, t3:10, t4:20});
+        expect(c.precision).toBe(0);
+        expect(c.maxFreqError).toBe(0);
+    });
+
+    it("can be created from a response message", function() {
+        var msg = new WallClockMessage({
+            type: WallClockMessage.TYPE_RESPONSE,
+            precision: -10,
+            maxFreqError: 256*20,
+            originateSecs: 1, originateNanos: 0,
+            receiveSecs: 6, receiveNanos: 4000000,
+            transmitSecs: 6, transmitNanos: 5000000
+        });
+        var c = WallClockCandidate.fromMessage(msg, 1010000000);
+        expect(c.t1).toBe(1000000000);
+        expect(c.t2).toBe(6004000000);
+        expect(c.t3).toBe(6005000000);
+        expect(c.t4).toBe(1010000000);
+        expect(c.precision).toBe(0.0009765625);
+        expect(c.maxFreqError).toBe(20);
+    });
+
+    it("cannot be created from a request message", function() {
+        var msg = new WallClockMessage({type: WallClockMessage.TYPE_REQUEST});
+        expect(function() { WallClockCandidate.fromMessage(msg, 0); }).toThrow();
+    });
+
+    it("calculates the error from the round-trip time, precision and maximum frequency errors", function() {
+        var c = new WallClockCandidate(FIELDS);
+        expect(c.calcError(50)).toBeCloseTo(0.0045 + 0.001 + 0.01*50/1000000 + 0.001*20/1000000, 12);
+    });
+
+    it("calculates a correlation for a clock whose parent is the local clock", function() {
+        var local = new VirtualClock({tickRate:1000000000, maxFreqErrorPpm:50});
+        var wallClock = new CorrelatedClock(local, {tickRate:1000});
+        var c = new WallClockCandidate(FIELDS);
+
+        var corr = c.calcCorrelationFor(wallClock);
+        expect(corr.parentTime).toBe(1005000000);
+        expect(corr.childTime).toBe(6004.5);
+        expect(corr.initialError).toBeCloseTo(c.calcError(50), 12);
+        expect(corr.errorGrowthRate).toBeCloseTo(70/1000000, 12);
+
+        corr = c.calcCorrelationFor(wallClock, 10);
+        expect(corr.initialError).toBeCloseTo(c.calcError(10), 12);
+        expect(corr.errorGrowthRate).toBeCloseTo(30/1000000, 12);
+    });
+});
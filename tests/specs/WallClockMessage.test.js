@@ -0,0 +1,208 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var WallClockMessage = require("WallClockMessage");
+var VirtualClock = require("VirtualClock");
+var CorrelatedClock = require("CorrelatedClock");
+var Correlation = require("Correlation");
+
+describe("WallClockMessage", function() {
+
+    var FIELDS = {
+        type: 2,
+        precision: -10,
+        maxFreqError: 12800,
+        originateSecs: 4294967295,
+        originateNanos: 999999999,
+        receiveSecs: 1500000000,
+        receiveNanos: 123456789,
+        transmitSecs: 1500000001,
+        transmitNanos: 5
+    };
+
+    var ENCODED = [
+        0, 2, 0xf6, 0,
+        0x00, 0x00, 0x32, 0x00,
+        0xff, 0xff, 0xff, 0xff,
+        0x3b, 0x9a, 0xc9, 0xff,
+        0x59, 0x68, 0x2f, 0x00,
+        0x07, 0x5b, 0xcd, 0x15,
+        0x59, 0x68, 0x2f, 0x01,
+        0x00, 0x00, 0x00, 0x05
+    ];
+
+	it("exists", function() {
+		expect(WallClockMessage).toBeDefined();
+	});
+
+    it("defaults all fields to zero", function() {
+        var msg = new WallClockMessage();
+        expect(msg.type).toBe(WallClockMessage.TYPE_REQUEST);
+        expect(msg.precision).toBe(0);
+        expect(msg.maxFreqError).toBe(0);
+        expect(msg.originateSecs).toBe(0);
+        expect(msg.originateNanos).toBe(0);
+        expect(msg.receiveSecs).toBe(0);
+        expect(msg.receiveNanos).toBe(0);
+        expect(msg.transmitSecs).toBe(0);
+        expect(msg.transmitNanos).toBe(0);
+    });
+
+    it("is immutable, but new variants can be built using butWith()", function() {
+        var msg = new WallClockMessage(FIELDS);
+        expect(function() { msg.type = 1; }).toThrow();
+        expect(function() { msg.receiveNanos = 1; }).toThrow();
+
+        var msg2 = msg.butWith({type:WallClockMessage.TYPE_FOLLOWUP, transmitNanos:6});
+        expect(msg2.type).toBe(WallClockMessage.TYPE_FOLLOWUP);
+        expect(msg2.transmitNanos).toBe(6);
+        expect(msg2.receiveSecs).toBe(1500000000);
+        expect(msg.type).toBe(2);
+        expect(msg.butWith()).toBe(msg);
+    });
+
+    it("can be compared for by-value equality using the equals() method", function() {
+        var msg = new WallClockMessage(FIELDS);
+        expect(msg.equals(new WallClockMessage(FIELDS))).toBeTruthy();
+        expect(msg.equals(msg.butWith({precision:-9}))).toBeFalsy();
+    });
+
+    it("identifies requests, responses and follow-ups", function() {
+        var req = new WallClockMessage({type:WallClockMessage.TYPE_REQUEST});
+        var resp = req.butWith({type:WallClockMessage.TYPE_RESPONSE});
+        var respF = req.butWith({type:WallClockMessage.TYPE_RESPONSE_WITH_FOLLOWUP});
+        var followUp = req.butWith({type:WallClockMessage.TYPE_FOLLOWUP});
+
+        expect([req.isRequest(), req.isResponse(), req.isFollowUpExpected(), req.isFollowUp()]).toEqual([true, false, false, false]);
+        expect([resp.isRequest(), resp.isResponse(), resp.isFollowUpExpected(), resp.isFollowUp()]).toEqual([false, true, false, false]);
+        expect([respF.isRequest(), respF.isResponse(), respF.isFollowUpExpected(), respF.isFollowUp()]).toEqual([false, true, true, false]);
+        expect([followUp.isRequest(), followUp.isResponse(), followUp.isFollowUpExpected(), followUp.isFollowUp()]).toEqual([false, true, false, true]);
+    });
+
+    it("encodes to the 32 byte format", function() {
+        var bytes = new WallClockMessage(FIELDS).encode();
+        expect(bytes.length).toBe(32);
+        expect(Array.prototype.slice.call(bytes)).toEqual(ENCODED);
+    });
+
+    it("decodes from the 32 byte format, given as a Uint8Array or ArrayBuffer", function() {
+        var msg = WallClockMessage.decode(new Uint8Array(ENCODED));
+        expect(msg.toJSON()).toEqual(FIELDS);
+
+        msg = WallClockMessage.decode(new Uint8Array(ENCODED).buffer);
+        expect(msg.toJSON()).toEqual(FIELDS);
+    });
+
+    it("decodes from a view onto part of a larger buffer", function() {
+        var larger = new Uint8Array(40);
+        larger.set(ENCODED, 4);
+        var msg = WallClockMessage.decode(new Uint8Array(larger.buffer, 4, 32));
+        expect(msg.toJSON()).toEqual(FIELDS);
+    });
+
+    it("round trips exactly when encoded then decoded", function() {
+        var msg = new WallClockMessage(FIELDS);
+        expect(WallClockMessage.decode(msg.encode()).equals(msg)).toBeTruthy();
+
+        msg = msg.butWith({precision:-128, maxFreqError:4294967295, transmitSecs:0, transmitNanos:0});
+        expect(WallClockMessage.decode(msg.encode()).equals(msg)).toBeTruthy();
+
+        msg = msg.butWith({precision:127, maxFreqError:0});
+        expect(WallClockMessage.decode(msg.encode()).equals(msg)).toBeTruthy();
+    });
+
+    it("throws an error if decoding a message of the wrong length or version", function() {
+        expect(function() { WallClockMessage.decode(new Uint8Array(31)); }).toThrow();
+        expect(function() { WallClockMessage.decode(new Uint8Array(33)); }).toThrow();
+        expect(function() { WallClockMessage.decode("hello"); }).toThrow();
+
+        var bytes = new Uint8Array(ENCODED);
+        bytes[0] = 1;
+        expect(function() { WallClockMessage.decode(bytes); }).toThrow();
+    });
+
+    it("throws an error if decoding a message with an invalid type or nanoseconds value", function() {
+        var bytes = new Uint8Array(ENCODED);
+        bytes[1] = 4;
+        expect(function() { WallClockMessage.decode(bytes); }).toThrow();
+
+        bytes = new Uint8Array(ENCODED);
+        bytes.set([0x3b, 0x9a, 0xca, 0x00], 20);
+        expect(function() { WallClockMessage.decode(bytes); }).toThrow();
+    });
+
+    it("decodes a message with any originate nanoseconds value, so that a server can echo it back", function() {
+        var bytes = new Uint8Array(ENCODED);
+        bytes[1] = WallClockMessage.TYPE_REQUEST;
+        bytes.set([0xff, 0xff, 0xff, 0xff], 12);
+
+        var request = WallClockMessage.decode(bytes);
+        expect(request.originateNanos).toBe(4294967295);
+
+        var response = request.butWith({ type: WallClockMessage.TYPE_RESPONSE });
+        expect(response.originateNanos).toBe(4294967295);
+        expect(WallClockMessage.decode(response.encode()).equals(response)).toBeTruthy();
+    });
+
+    it("only checks the originate nanoseconds value is less than 1000000000 when building a request", function() {
+        expect(function() { new WallClockMessage({type:0, originateNanos:1000000000}); }).toThrow();
+        expect(function() { new WallClockMessage({type:1, originateNanos:1000000000}); }).not.toThrow();
+        expect(function() { new WallClockMessage({type:1, originateNanos:4294967296}); }).toThrow();
+        expect(function() { new WallClockMessage({type:1, originateNanos:-1}); }).toThrow();
+    });
+
+    it("throws an error if created with invalid field values", function() {
+        expect(function() { new WallClockMessage({type:-1}); }).toThrow();
+        expect(function() { new WallClockMessage({type:1.5}); }).toThrow();
+        expect(function() { new WallClockMessage({precision:128}); }).toThrow();
+        expect(function() { new WallClockMessage({precision:-129}); }).toThrow();
+        expect(function() { new WallClockMessage({maxFreqError:-1}); }).toThrow();
+        expect(function() { new WallClockMessage({maxFreqError:4294967296}); }).toThrow();
+        expect(function() { new WallClockMessage({originateSecs:4294967296}); }).toThrow();
+        expect(function() { new WallClockMessage({receiveNanos:1000000000}); }).toThrow();
+        expect(function() { new WallClockMessage({transmitNanos:"5"}); }).toThrow();
+        expect(function() { new WallClockMessage({transmitSecs:NaN}); }).toThrow();
+    });
+
+    it("can encode and decode precision values", function() {
+        expect(WallClockMessage.encodePrecision(0.001)).toBe(-9);
+        expect(WallClockMessage.encodePrecision(0.0009765625)).toBe(-10);
+        expect(WallClockMessage.encodePrecision(0.125)).toBe(-3);
+        expect(WallClockMessage.encodePrecision(3)).toBe(2);
+        expect(WallClockMessage.encodePrecision(0)).toBe(-128);
+        expect(WallClockMessage.encodePrecision(1e300)).toBe(127);
+        expect(WallClockMessage.decodePrecision(-3)).toBe(0.125);
+        expect(new WallClockMessage({precision:-1}).getPrecisionSecs()).toBe(0.5);
+    });
+
+    it("can encode and decode max frequency error values", function() {
+        expect(WallClockMessage.encodeMaxFreqError(50)).toBe(12800);
+        expect(WallClockMessage.encodeMaxFreqError(0.001)).toBe(1);
+        expect(WallClockMessage.encodeMaxFreqError(-5)).toBe(0);
+        expect(WallClockMessage.decodeMaxFreqError(12800)).toBe(50);
+        expect(new WallClockMessage({maxFreqError:128}).getMaxFreqErrorPpm()).toBe(0.5);
+    });
+
+    it("can take its precision and max frequency error from a clock", function() {
+        var root = new VirtualClock({precision:0.0001, maxFreqErrorPpm:20});
+        var wallClock = new CorrelatedClock(root, {correlation:new Correlation(0, 0, 0.0003, 0)});
+
+        var msg = new WallClockMessage(FIELDS).butWithErrorsFromClock(wallClock);
+        expect(msg.precision).toBe(WallClockMessage.encodePrecision(0.0004));
+        expect(msg.maxFreqError).toBe(20*256);
+        expect(msg.receiveNanos).toBe(123456789);
+    });
+});
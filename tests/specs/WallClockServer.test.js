@@ -0,0 +1,162 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var WallClockServer = require("WallClockServer");
+var WallClockMessage = require("WallClockMessage");
+var VirtualClock = require("VirtualClock");
+var CorrelatedClock = require("CorrelatedClock");
+var Correlation = require("Correlation");
+var EventEmitter = require("events");
+
+describe("WallClockServer", function() {
+
+    var socket, root, wallClock, rinfo, request;
+
+    // pretend socket that records what is sent, and advances the clock
+    // by 1 millisecond whenever a message is sent
+    var FakeSocket = function() {
+        EventEmitter.call(this);
+        this.sent = [];
+        this.callbacks = [];
+    };
+    FakeSocket.prototype = Object.create(EventEmitter.prototype);
+    FakeSocket.prototype.send = function(bytes, offset, length, port, address, callback) {
+        this.sent.push({
+            msg: WallClockMessage.decode(bytes.slice(offset, offset+length)),
+            port: port,
+            address: address
+        });
+        root.advance(1000000);
+        if (callback) {
+            this.callbacks.push(callback);
+        }
+    };
+    FakeSocket.prototype.completeSend = function(err) {
+        this.callbacks.shift()(err);
+    };
+
+    beforeEach(function() {
+        socket = new FakeSocket();
+        root = new VirtualClock({tickRate:1000000000, time:5000000000, maxFreqErrorPpm:20, precision:0.001});
+        wallClock = new CorrelatedClock(root, {tickRate:1000, correlation:new Correlation(0, 0)});
+        rinfo = { port: 1234, address: "127.0.0.1" };
+        request = new WallClockMessage({
+            type: WallClockMessage.TYPE_REQUEST,
+            originateSecs: 17,
+            originateNanos: 123456789
+        });
+    });
+
+	it("exists", function() {
+		expect(WallClockServer).toBeDefined();
+	});
+
+    it("responds to a request with the receive and transmit times of the wall clock", function() {
+        var server = new WallClockServer(socket, wallClock);
+        socket.emit("message", request.encode(), rinfo);
+
+        expect(socket.sent.length).toBe(1);
+        expect(socket.sent[0].port).toBe(1234);
+        expect(socket.sent[0].address).toBe("127.0.0.1");
+
+        var response = socket.sent[0].msg;
+        expect(response.type).toBe(WallClockMessage.TYPE_RESPONSE);
+        expect(response.originateSecs).toBe(17);
+        expect(response.originateNanos).toBe(123456789);
+        expect(response.receiveSecs).toBe(5);
+        expect(response.receiveNanos).toBe(0);
+        expect(response.transmitSecs).toBe(5);
+        expect(response.transmitNanos).toBe(0);
+        expect(response.getPrecisionSecs()).toBe(WallClockMessage.decodePrecision(WallClockMessage.encodePrecision(wallClock.dispersionAtTime(wallClock.now()))));
+        expect(response.getMaxFreqErrorPpm()).toBe(20);
+    });
+
+    it("does not send a follow-up by default", function() {
+        var server = new WallClockServer(socket, wallClock);
+        expect(server.isFollowUpEnabled()).toBe(false);
+        socket.emit("message", request.encode(), rinfo);
+        socket.completeSend();
+        expect(socket.sent.length).toBe(1);
+    });
+
+    it("sends a follow-up, with a later transmit time, after the response has been sent, if enabled", function() {
+        var server = new WallClockServer(socket, wallClock, {followup:true});
+        expect(server.isFollowUpEnabled()).toBe(true);
+        socket.emit("message", request.encode(), rinfo);
+
+        expect(socket.sent.length).toBe(1);
+        expect(socket.sent[0].msg.type).toBe(WallClockMessage.TYPE_RESPONSE_WITH_FOLLOWUP);
+
+        socket.completeSend();
+        expect(socket.sent.length).toBe(2);
+
+        var followup = socket.sent[1].msg;
+        expect(followup.type).toBe(WallClockMessage.TYPE_FOLLOWUP);
+        expect(followup.originateSecs).toBe(17);
+        expect(followup.originateNanos).toBe(123456789);
+        expect(followup.receiveSecs).toBe(5);
+        expect(followup.receiveNanos).toBe(0);
+        expect(followup.transmitSecs).toBe(5);
+        expect(followup.transmitNanos).toBe(1000000);
+        expect(socket.sent[1].port).toBe(1234);
+        expect(socket.sent[1].address).toBe("127.0.0.1");
+    });
+
+    it("does not send a follow-up if sending the response failed", function() {
+        var server = new WallClockServer(socket, wallClock, {followup:true});
+        socket.emit("message", request.encode(), rinfo);
+        socket.completeSend("error");
+        expect(socket.sent.length).toBe(1);
+    });
+
+    it("reads the receive time before the transmit time", function() {
+        var server = new WallClockServer(socket, wallClock);
+        var times = [6000000000, 6000000500];
+        spyOn(wallClock, "getNanos").and.callFake(function() { return times.shift(); });
+
+        socket.emit("message", request.encode(), rinfo);
+        var response = socket.sent[0].msg;
+        expect(response.receiveSecs).toBe(6);
+        expect(response.receiveNanos).toBe(0);
+        expect(response.transmitSecs).toBe(6);
+        expect(response.transmitNanos).toBe(500);
+    });
+
+    it("accepts a request that is a view onto part of a larger buffer, as a Node.js socket provides", function() {
+        var server = new WallClockServer(socket, wallClock);
+        var larger = new Uint8Array(64);
+        larger.set(request.encode(), 16);
+
+        socket.emit("message", new Uint8Array(larger.buffer, 16, 32), rinfo);
+        expect(socket.sent.length).toBe(1);
+        expect(socket.sent[0].msg.originateSecs).toBe(17);
+        expect(socket.sent[0].msg.originateNanos).toBe(123456789);
+    });
+
+    it("ignores messages that are not requests, or cannot be decoded", function() {
+        var server = new WallClockServer(socket, wallClock);
+        socket.emit("message", request.butWith({type:WallClockMessage.TYPE_RESPONSE}).encode(), rinfo);
+        socket.emit("message", new Uint8Array(5), rinfo);
+        expect(socket.sent.length).toBe(0);
+    });
+
+    it("stops responding when stopped", function() {
+        var server = new WallClockServer(socket, wallClock);
+        server.stop();
+        socket.emit("message", request.encode(), rinfo);
+        expect(socket.sent.length).toBe(0);
+    });
+});
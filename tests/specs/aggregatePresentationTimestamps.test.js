@@ -0,0 +1,136 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var aggregatePresentationTimestamps = require("aggregatePresentationTimestamps");
+var VirtualClock = require("VirtualClock");
+var CorrelatedClock = require("CorrelatedClock");
+var Correlation = require("Correlation");
+
+describe("aggregatePresentationTimestamps", function() {
+
+    var root, wallClock, timelineClock;
+
+    beforeEach(function() {
+        root = new VirtualClock({tickRate:1000000000});
+        wallClock = new CorrelatedClock(root, {tickRate:1000000000});
+        timelineClock = new CorrelatedClock(wallClock, {tickRate:1000, correlation:new Correlation(5000000000, 0, 0.01, 0.0001)});
+    });
+
+	it("exists", function() {
+		expect(aggregatePresentationTimestamps).toBeDefined();
+	});
+
+    it("intersects the windows, and adjusts the timeline by the smallest amount needed to bring it within", function() {
+        var result = aggregatePresentationTimestamps(timelineClock, [
+            { earliest: new Correlation(5100000000, 0), latest: new Correlation(5300000000, 0) },
+            { earliest: [5200000000, 0], latest: {parentTime:5500000000, childTime:0} }
+        ]);
+
+        expect(result.overlap).toBe(true);
+        expect(result.earliestSecs).toBeCloseTo(0.2, 9);
+        expect(result.latestSecs).toBeCloseTo(0.3, 9);
+        expect(result.offsetSecs).toBeCloseTo(0.2, 9);
+        expect(result.correlation.parentTime).toBeCloseTo(5200000000, 0);
+        expect(result.correlation.childTime).toBe(0);
+        expect(result.correlation.initialError).toBe(0.01);
+        expect(result.correlation.errorGrowthRate).toBe(0.0001);
+    });
+
+    it("takes into account the content times and tick rate of the timeline", function() {
+        var result = aggregatePresentationTimestamps(timelineClock, [
+            { earliest: new Correlation(5000000000, 500), latest: new Correlation(5000000000, 100) }
+        ]);
+
+        // presenting content time 500 at wall time 5s is 0.5s early; content time 100 is 0.1s early
+        expect(result.earliestSecs).toBeCloseTo(-0.5, 9);
+        expect(result.latestSecs).toBeCloseTo(-0.1, 9);
+        expect(result.offsetSecs).toBeCloseTo(-0.1, 9);
+        expect(result.correlation.parentTime).toBeCloseTo(4900000000, 0);
+    });
+
+    it("does not adjust the timeline if it is already within the window", function() {
+        var result = aggregatePresentationTimestamps(timelineClock, [
+            { earliest: new Correlation(4900000000, 0), latest: new Correlation(5100000000, 0) }
+        ]);
+        expect(result.overlap).toBe(true);
+        expect(result.offsetSecs).toBe(0);
+        expect(result.correlation).toEqual(timelineClock.getCorrelation());
+    });
+
+    it("treats missing earliest or latest timestamps as unbounded", function() {
+        var result = aggregatePresentationTimestamps(timelineClock, [
+            { earliest: new Correlation(5100000000, 0) },
+            { latest: new Correlation(5400000000, 0), earliest: null }
+        ]);
+        expect(result.overlap).toBe(true);
+        expect(result.offsetSecs).toBeCloseTo(0.1, 9);
+
+        result = aggregatePresentationTimestamps(timelineClock, [ {} ]);
+        expect(result.earliestSecs).toBe(Number.NEGATIVE_INFINITY);
+        expect(result.latestSecs).toBe(Number.POSITIVE_INFINITY);
+        expect(result.offsetSecs).toBe(0);
+
+        result = aggregatePresentationTimestamps(timelineClock, []);
+        expect(result.overlap).toBe(true);
+        expect(result.offsetSecs).toBe(0);
+    });
+
+    it("reports when the windows do not overlap, and compromises half way between them", function() {
+        var result = aggregatePresentationTimestamps(timelineClock, [
+            { earliest: new Correlation(5100000000, 0), latest: new Correlation(5200000000, 0) },
+            { earliest: new Correlation(5400000000, 0), latest: new Correlation(5500000000, 0) }
+        ]);
+        expect(result.overlap).toBe(false);
+        expect(result.earliestSecs).toBeCloseTo(0.4, 9);
+        expect(result.latestSecs).toBeCloseTo(0.2, 9);
+        expect(result.offsetSecs).toBeCloseTo(0.3, 9);
+    });
+
+    it("reports the offsets of actual presentation timestamps", function() {
+        var result = aggregatePresentationTimestamps(timelineClock, [
+            { actual: new Correlation(5250000000, 0) },
+            { earliest: new Correlation(5000000000, 0) }
+        ]);
+        expect(result.actualSecs.length).toBe(2);
+        expect(result.actualSecs[0]).toBeCloseTo(0.25, 9);
+        expect(result.actualSecs[1]).toBeNull();
+    });
+
+    it("takes into account the speed of the timeline", function() {
+        timelineClock.setSpeed(2);
+        var result = aggregatePresentationTimestamps(timelineClock, [
+            { earliest: new Correlation(5000000000, 1000) }
+        ]);
+        // at double speed, content time 1000 is reached at wall time 5.5s
+        expect(result.earliestSecs).toBeCloseTo(-0.5, 9);
+    });
+
+    it("produces a correlation that, when adopted, brings the timeline within the window", function() {
+        var ts = [
+            { earliest: new Correlation(5100000000, 0), latest: new Correlation(5300000000, 0) }
+        ];
+        var result = aggregatePresentationTimestamps(timelineClock, ts);
+        timelineClock.setCorrelation(result.correlation);
+
+        result = aggregatePresentationTimestamps(timelineClock, ts);
+        expect(result.offsetSecs).toBeCloseTo(0, 9);
+    });
+
+    it("throws if the timeline is paused", function() {
+        timelineClock.setSpeed(0);
+        expect(function() { aggregatePresentationTimestamps(timelineClock, []); }).toThrow();
+    });
+});
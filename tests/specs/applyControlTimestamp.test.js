@@ -0,0 +1,92 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var applyControlTimestamp = require("applyControlTimestamp");
+var ControlTimestamp = require("ControlTimestamp");
+var VirtualClock = require("VirtualClock");
+var CorrelatedClock = require("CorrelatedClock");
+var Correlation = require("Correlation");
+
+describe("applyControlTimestamp", function() {
+
+    var root, wallClock, timelineClock;
+
+    beforeEach(function() {
+        root = new VirtualClock({tickRate:1000000000});
+        wallClock = new CorrelatedClock(root, {tickRate:1000000000});
+        timelineClock = new CorrelatedClock(wallClock, {tickRate:90000, correlation:new Correlation(0, 0, 0.01, 0.0001)});
+    });
+
+	it("exists", function() {
+		expect(applyControlTimestamp).toBeDefined();
+	});
+
+    it("sets the correlation and speed in a single change, keeping the error information", function() {
+        var changeSpy = jasmine.createSpy("change");
+        timelineClock.on("change", changeSpy);
+
+        var ct = new ControlTimestamp({contentTime:"834190", wallClockTime:"1255000000", timelineSpeedMultiplier:2.0});
+        expect(applyControlTimestamp(timelineClock, ct)).toBe(ct);
+
+        expect(timelineClock.getCorrelation()).toEqual(new Correlation(1255000000, 834190, 0.01, 0.0001));
+        expect(timelineClock.getSpeed()).toBe(2.0);
+        expect(changeSpy.calls.count()).toBe(1);
+    });
+
+    it("converts the wall clock time to ticks of the wall clock", function() {
+        wallClock.setTickRate(1000);
+        applyControlTimestamp(timelineClock, new ControlTimestamp({contentTime:"5", wallClockTime:"1255000000", timelineSpeedMultiplier:1}));
+        expect(timelineClock.getCorrelation().parentTime).toBe(1255);
+    });
+
+    it("accepts a JSON message", function() {
+        var ct = applyControlTimestamp(timelineClock, '{ "contentTime":"834190", "wallClockTime":"1255000000", "timelineSpeedMultiplier":1.0 }');
+        expect(ct instanceof ControlTimestamp).toBe(true);
+        expect(timelineClock.getCorrelation().parentTime).toBe(1255000000);
+        expect(timelineClock.getCorrelation().childTime).toBe(834190);
+        expect(timelineClock.getSpeed()).toBe(1.0);
+    });
+
+    it("flags the clock unavailable, without changing correlation or speed, if the timeline is unavailable", function() {
+        var unavailSpy = jasmine.createSpy("unavailable");
+        timelineClock.on("unavailable", unavailSpy);
+        var corr = timelineClock.getCorrelation();
+
+        applyControlTimestamp(timelineClock, { contentTime:null, wallClockTime:"1255000000", timelineSpeedMultiplier:null });
+
+        expect(timelineClock.getAvailabilityFlag()).toBe(false);
+        expect(timelineClock.getCorrelation()).toEqual(corr);
+        expect(timelineClock.getSpeed()).toBe(1.0);
+        expect(unavailSpy).toHaveBeenCalled();
+    });
+
+    it("flags the clock available again when the timeline becomes available", function() {
+        var availSpy = jasmine.createSpy("available");
+        timelineClock.on("available", availSpy);
+
+        applyControlTimestamp(timelineClock, { contentTime:null, wallClockTime:"0", timelineSpeedMultiplier:null });
+        applyControlTimestamp(timelineClock, { contentTime:"10", wallClockTime:"0", timelineSpeedMultiplier:1 });
+
+        expect(timelineClock.getAvailabilityFlag()).toBe(true);
+        expect(availSpy).toHaveBeenCalled();
+    });
+
+    it("throws, without changing the clock, if the Control Timestamp is invalid", function() {
+        var corr = timelineClock.getCorrelation();
+        expect(function() { applyControlTimestamp(timelineClock, '{ "contentTime":"abc" }'); }).toThrow();
+        expect(timelineClock.getCorrelation()).toEqual(corr);
+    });
+});
@@ -17,6 +17,9 @@
 var CorrelatedClock = require("CorrelatedClock");
 var DateNowClock = require("DateNowClock");
 var Correlation = require("Correlation");
+var OffsetClock = require("OffsetClock");
+var VirtualClock = require("VirtualClock");
+var ClockBase = require("ClockBase");
 
 describe("For hierarchies of clocks", function() {
     
@@ -276,3 +279,323 @@ describe("For hierarchies of clocks", function() {
         expect(b.clockDiff(c)).toEqual(Number.POSITIVE_INFINITY);
     });
 });
+
+describe("For hierarchies of clocks - batched changes", function() {
+
+    var root, timeline, offset, events;
+
+    beforeEach(function() {
+        root = new VirtualClock({tickRate:1000, time:5000});
+        timeline = new CorrelatedClock(root, {tickRate:1000, correlation:new Correlation(5000, 0)});
+        offset = new OffsetClock(timeline, {offset:0});
+        events = [];
+
+        [root, timeline, offset].forEach(function(clock) {
+            ["change", "available", "unavailable"].forEach(function(event) {
+                clock.on(event, function(source, change) {
+                    events.push({ clock: source, event: event, change: change });
+                });
+            });
+        });
+    });
+
+    it("fires no events until the batch is committed, then one per affected clock, parents first", function() {
+        var result = ClockBase.batch(function() {
+            timeline.setCorrelation(new Correlation(5000, 1000));
+            timeline.setSpeed(2);
+            offset.setOffset(100);
+            expect(events).toEqual([]);
+            return "done";
+        });
+
+        expect(result).toBe("done");
+        expect(events.map(function(e) { return e.clock; })).toEqual([timeline, offset]);
+
+        expect(events[0].change.cause).toBe("batch");
+        expect(events[0].change.changes.map(function(c) { return c.cause; })).toEqual(["correlation", "speed"]);
+
+        expect(events[1].change.cause).toBe("batch");
+        expect(events[1].change.changes.map(function(c) { return c.cause; })).toEqual(["offset", "ancestor"]);
+        expect(events[1].change.changes[1].originChange).toBe(events[0].change);
+    });
+
+    it("passes on a single change without wrapping it", function() {
+        ClockBase.batch(function() {
+            timeline.setCorrelation(new Correlation(5000, 1000));
+        });
+
+        expect(events.length).toBe(2);
+        expect(events[0].change.cause).toBe("correlation");
+        expect(events[1].change.cause).toBe("ancestor");
+    });
+
+    it("only fires availability events for clocks whose availability is different at the end of the batch", function() {
+        ClockBase.batch(function() {
+            timeline.setAvailabilityFlag(false);
+            timeline.setAvailabilityFlag(true);
+            root.setAvailabilityFlag(false);
+        });
+
+        expect(events.map(function(e) { return e.event + " " + e.clock.id; })).toEqual([
+            "unavailable " + root.id,
+            "unavailable " + timeline.id,
+            "unavailable " + offset.id
+        ]);
+    });
+
+    it("reschedules timers once, based on the state at the end of the batch", function() {
+        var callback = jasmine.createSpy("callback");
+        offset.setAtTime(callback, 3000);
+
+        ClockBase.batch(function() {
+            timeline.setSpeed(0);
+            timeline.setCorrelationAndSpeed(new Correlation(5000, 2000), 1);
+        });
+        expect(events.filter(function(e) { return e.clock === offset; }).length).toBe(1);
+
+        root.advance(999);
+        expect(callback).not.toHaveBeenCalled();
+        root.advance(1);
+        expect(callback).toHaveBeenCalled();
+    });
+
+    it("rolls back, without firing events, if the function throws", function() {
+        var otherRoot = new VirtualClock({tickRate:1000, time:0});
+        var oldCorrelation = timeline.getCorrelation();
+
+        expect(function() {
+            ClockBase.batch(function() {
+                timeline.setCorrelationAndSpeed(new Correlation(5000, 1000), 3);
+                timeline.setTickRate(50);
+                offset.setOffset(100);
+                offset.setParent(otherRoot);
+                root.setTime(8000);
+                timeline.setAvailabilityFlag(false);
+                throw "Oops";
+            });
+        }).toThrow("Oops");
+
+        expect(events).toEqual([]);
+        expect(timeline.getCorrelation()).toEqual(oldCorrelation);
+        expect(timeline.getSpeed()).toBe(1);
+        expect(timeline.getTickRate()).toBe(1000);
+        expect(offset.getOffset()).toBe(0);
+        expect(offset.getParent()).toBe(timeline);
+        expect(root.now()).toBe(5000);
+        expect(timeline.getAvailabilityFlag()).toBe(true);
+
+        // and events are fired normally afterwards
+        timeline.setAvailabilityFlag(false);
+        expect(events.map(function(e) { return e.event; })).toEqual(["unavailable", "unavailable"]);
+    });
+
+    it("includes changes made by nested batches in the outer batch", function() {
+        ClockBase.batch(function() {
+            timeline.setSpeed(2);
+            ClockBase.batch(function() {
+                timeline.setSpeed(3);
+            });
+            expect(events).toEqual([]);
+        });
+
+        expect(events[0].change.changes.length).toBe(2);
+    });
+
+    it("fires the events of every clock even if a listener throws, then re-throws the first exception", function() {
+        timeline.on("change", function() { throw "Oops"; });
+        offset.on("change", function() { throw "Another"; });
+
+        expect(function() {
+            ClockBase.batch(function() {
+                timeline.setCorrelation(new Correlation(5000, 1000));
+                root.setAvailabilityFlag(false);
+            });
+        }).toThrow("Oops");
+
+        expect(events.map(function(e) { return e.event + " " + e.clock.id; })).toEqual([
+            "unavailable " + root.id,
+            "change " + timeline.id,
+            "unavailable " + timeline.id,
+            "change " + offset.id,
+            "unavailable " + offset.id
+        ]);
+
+        // the transaction has finished
+        events = [];
+        root.setAvailabilityFlag(true);
+        expect(events.length).toBe(3);
+    });
+});
+
+describe("For hierarchies of clocks - discontinuity events", function() {
+
+    var root, timeline, child, jumps;
+
+    beforeEach(function() {
+        root = new VirtualClock({tickRate:1000, time:5000});
+        timeline = new CorrelatedClock(root, {tickRate:1000, correlation:new Correlation(5000, 0)});
+        child = new CorrelatedClock(timeline, {tickRate:1000, speed:0.5});
+        jumps = [];
+
+        [root, timeline, child].forEach(function(clock) {
+            clock.on("discontinuity", function(source, jumpSecs, change) {
+                jumps.push({ clock: source, jumpSecs: jumpSecs, change: change });
+            });
+        });
+    });
+
+    var jumpFor = function(clock) {
+        return jumps.filter(function(j) { return j.clock === clock; })[0];
+    };
+
+    it("fires when a change moves the time of a clock by more than its threshold", function() {
+        timeline.setDiscontinuityThreshold(0.5);
+        child.setDiscontinuityThreshold(0.5);
+
+        timeline.setCorrelation(new Correlation(5000, 800));
+        expect(jumps.length).toBe(1);
+        expect(jumps[0].clock).toBe(timeline);
+        expect(jumps[0].jumpSecs).toBeCloseTo(0.8, 9);
+        expect(jumps[0].change.cause).toBe("correlation");
+
+        jumps = [];
+        timeline.setCorrelation(new Correlation(5000, 1400));
+        expect(jumps.map(function(j) { return j.clock; })).toEqual([timeline]);
+
+        jumps = [];
+        timeline.setCorrelation(new Correlation(5000, 1600));
+        expect(jumps).toEqual([]);
+    });
+
+    it("fires for changes inherited from ancestors, with the direction of the jump", function() {
+        root.setTime(4000);
+
+        expect(jumpFor(root).jumpSecs).toBeCloseTo(-1, 9);
+        expect(jumpFor(timeline).jumpSecs).toBeCloseTo(-1, 9);
+        expect(jumpFor(child).jumpSecs).toBeCloseTo(-0.5, 9);
+        expect(jumpFor(child).change.cause).toBe("ancestor");
+        expect(jumpFor(child).change.origin).toBe(root);
+    });
+
+    it("does not fire when a clock is paused at its current time", function() {
+        root.advance(2000);
+        timeline.setCorrelationAndSpeed(new Correlation(root.now(), timeline.now()), 0);
+
+        expect(timeline.now()).toBe(2000);
+        expect(jumps).toEqual([]);
+    });
+
+    it("fires for a change of speed only if it makes the time jump", function() {
+        root.advance(2000);
+        timeline.setSpeed(0);
+
+        expect(jumpFor(timeline).jumpSecs).toBeCloseTo(-2, 9);
+        expect(jumpFor(child).jumpSecs).toBeCloseTo(-1, 9);
+    });
+
+    it("fires for descendants when the tick rate of their parent changes", function() {
+        root.advance(2000);
+        var grandchild = new CorrelatedClock(child, {tickRate:1000, correlation:new Correlation(500, 0)});
+        grandchild.on("discontinuity", function(source, jumpSecs) {
+            jumps.push({ clock: source, jumpSecs: jumpSecs });
+        });
+        child.setTickRate(500);
+
+        expect(grandchild.now()).toBe(0);
+        expect(jumpFor(child)).toBeUndefined();
+        expect(jumpFor(grandchild).jumpSecs).toBeCloseTo(-0.5, 9);
+    });
+
+    it("fires once for a batch of changes, for the combined jump", function() {
+        ClockBase.batch(function() {
+            timeline.setCorrelation(new Correlation(5000, 1000));
+            timeline.setCorrelation(new Correlation(5000, 3000));
+        });
+
+        expect(jumps.length).toBe(2);
+        expect(jumpFor(timeline).jumpSecs).toBeCloseTo(3, 9);
+        expect(jumpFor(child).jumpSecs).toBeCloseTo(1.5, 9);
+    });
+
+    it("fires for the overall jump of a batch, even if the speed was changed and then changed back", function() {
+        root.advance(2000);
+        ClockBase.batch(function() {
+            timeline.setCorrelation(new Correlation(5000, 500));
+            child.setSpeed(2);
+            child.setSpeed(0.5);
+        });
+
+        expect(jumpFor(timeline).jumpSecs).toBeCloseTo(0.5, 9);
+        expect(jumpFor(child).jumpSecs).toBeCloseTo(0.25, 9);
+        expect(jumpFor(child).change.cause).toBe("batch");
+        expect(jumpFor(child).change.changes.map(function(c) { return c.cause; })).toEqual(["speed", "speed", "ancestor"]);
+    });
+
+    it("allows for a jump in the time of the root when working out the overall jump of a batch", function() {
+        ClockBase.batch(function() {
+            root.setTime(6000);
+            timeline.setCorrelation(new Correlation(6000, 0));
+        });
+
+        expect(jumpFor(root).jumpSecs).toBeCloseTo(1, 9);
+        expect(jumpFor(timeline)).toBeUndefined();
+        expect(jumpFor(child)).toBeUndefined();
+    });
+
+    it("rejects a negative threshold", function() {
+        expect(function() { timeline.setDiscontinuityThreshold(-1); }).toThrow();
+        expect(timeline.getDiscontinuityThreshold()).toBe(0);
+    });
+});
+
+describe("For hierarchies of clocks - children and traversal", function() {
+
+    var root, a, b, a1, a2;
+
+    beforeEach(function() {
+        root = new VirtualClock();
+        a = new CorrelatedClock(root);
+        b = new OffsetClock(root);
+        a1 = new CorrelatedClock(a);
+        a2 = new OffsetClock(a);
+    });
+
+    it("knows the children of each clock", function() {
+        expect(root.getChildren()).toEqual([a, b]);
+        expect(a.getChildren()).toEqual([a1, a2]);
+        expect(b.getChildren()).toEqual([]);
+    });
+
+    it("lists descendants in depth-first order", function() {
+        expect(root.getDescendants()).toEqual([a, a1, a2, b]);
+        expect(a.getDescendants()).toEqual([a1, a2]);
+        expect(a1.getDescendants()).toEqual([]);
+    });
+
+    it("updates the children when parents are changed", function() {
+        a2.setParent(b);
+        a1.setParent(null);
+
+        expect(a.getChildren()).toEqual([]);
+        expect(b.getChildren()).toEqual([a2]);
+        expect(root.getDescendants()).toEqual([a, b, a2]);
+
+        a1.setParent(a);
+        expect(a.getChildren()).toEqual([a1]);
+    });
+
+    it("does not include clocks that have been disposed", function() {
+        a1.dispose();
+        expect(a.getChildren()).toEqual([a2]);
+    });
+
+    it("visits each clock with its depth, and skips the descendants of a clock if the visitor returns false", function() {
+        var visited = [];
+
+        root.traverse(function(clock, depth) {
+            visited.push([clock, depth]);
+            return clock !== a;
+        });
+        expect(visited).toEqual([[root, 0], [a, 1], [b, 1]]);
+    });
+});
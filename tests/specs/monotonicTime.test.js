@@ -0,0 +1,46 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var monotonicTime = require("monotonicTime");
+
+describe("monotonicTime", function() {
+
+    it("exists", function() {
+        expect(monotonicTime).toBeDefined();
+    });
+
+    it("provides performance.now() as a time source", function() {
+        spyOn(performance, "now").and.returnValue(1234.5);
+        expect(monotonicTime.performanceNow("timeSource")()).toBe(1234.5);
+        expect(monotonicTime.bestAvailable()()).toBe(1234.5);
+        expect(monotonicTime.millis()).toBe(1234.5);
+    });
+
+    it("measures the precision of a time source, in seconds", function() {
+        var time = 0;
+        var timeSource = function() { time += 0.5; return time; };
+        expect(monotonicTime.precision(timeSource)).toBe(0.0005);
+    });
+
+    it("only measures the precision of performance.now() once", function() {
+        var timeSource = monotonicTime.performanceNow("timeSource");
+        var precision = monotonicTime.precision(timeSource);
+
+        spyOn(performance, "now").and.callThrough();
+        expect(monotonicTime.precision(timeSource)).toBe(precision);
+        expect(performance.now).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,269 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var timerBackends = require("timerBackends");
+
+describe("timerBackends", function() {
+    it("exists", function() {
+        expect(timerBackends).toBeDefined();
+    });
+});
+
+describe("timerBackends - timeout", function() {
+
+    beforeEach(function() {
+        jasmine.clock().install();
+    });
+
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+
+    it("calls the callback after the specified number of milliseconds", function() {
+        var backend = timerBackends.timeout();
+        var callback = jasmine.createSpy("callback");
+
+        expect(backend.name).toBe("timeout");
+        backend.set(callback, 100);
+        jasmine.clock().tick(99);
+        expect(callback).not.toHaveBeenCalled();
+        jasmine.clock().tick(1);
+        expect(callback).toHaveBeenCalled();
+    });
+
+    it("does not call the callback if cleared", function() {
+        var backend = timerBackends.timeout();
+        var callback = jasmine.createSpy("callback");
+
+        var handle = backend.set(callback, 100);
+        backend.clear(handle);
+        jasmine.clock().tick(200);
+        expect(callback).not.toHaveBeenCalled();
+    });
+});
+
+describe("timerBackends - immediate", function() {
+
+    var itIfSetImmediate = (typeof setImmediate === "function") ? it : xit;
+
+    itIfSetImmediate("polls until the time source reaches when the callback is due", function(done) {
+        var time = 0;
+        var timeSource = function() { return time; };
+        var backend = timerBackends.immediate({ timeSource: timeSource, approachMillis: 20 });
+        var callback = jasmine.createSpy("callback");
+
+        backend.set(callback, 5);
+        setTimeout(function() {
+            expect(callback).not.toHaveBeenCalled();
+            time = 5;
+            setTimeout(function() {
+                expect(callback).toHaveBeenCalled();
+                done();
+            }, 10);
+        }, 10);
+    });
+
+    itIfSetImmediate("does not call the callback if cleared", function(done) {
+        var time = 0;
+        var backend = timerBackends.immediate({ timeSource: function() { return time; } });
+        var callback = jasmine.createSpy("callback");
+
+        var handle = backend.set(callback, 5);
+        backend.clear(handle);
+        time = 10;
+        setTimeout(function() {
+            expect(callback).not.toHaveBeenCalled();
+            done();
+        }, 10);
+    });
+});
+
+describe("timerBackends - animationFrame", function() {
+
+    var frames, time, backend;
+
+    beforeEach(function() {
+        frames = [];
+        time = 0;
+        backend = timerBackends.animationFrame({
+            requestAnimationFrame: function(func) { frames.push(func); return func; },
+            cancelAnimationFrame: function(func) { frames.splice(frames.indexOf(func), 1); },
+            timeSource: function() { return time; }
+        });
+    });
+
+    var nextFrame = function() {
+        time += 16;
+        var funcs = frames;
+        frames = [];
+        funcs.forEach(function(func) { func(); });
+    };
+
+    it("calls the callback on the first frame after it is due", function() {
+        var callback = jasmine.createSpy("callback");
+
+        backend.set(callback, 40);
+        nextFrame();
+        nextFrame();
+        expect(callback).not.toHaveBeenCalled();
+        nextFrame();
+        expect(callback).toHaveBeenCalled();
+        expect(frames.length).toBe(0);
+    });
+
+    it("does not call the callback if cleared", function() {
+        var callback = jasmine.createSpy("callback");
+
+        var handle = backend.set(callback, 40);
+        nextFrame();
+        backend.clear(handle);
+        expect(frames.length).toBe(0);
+    });
+});
+
+describe("timerBackends - worker", function() {
+
+    var FakeWorker = function() {
+        this.listeners = [];
+        this.messages = [];
+    };
+
+    FakeWorker.prototype.addEventListener = function(type, func) {
+        this.listeners.push(func);
+    };
+
+    FakeWorker.prototype.postMessage = function(msg) {
+        this.messages.push(msg);
+    };
+
+    FakeWorker.prototype.reply = function(msg) {
+        this.listeners.forEach(function(func) { func({ data: msg }); });
+    };
+
+    it("posts a message to the worker, and calls the callback when it posts one back", function() {
+        var worker = new FakeWorker();
+        var backend = timerBackends.worker({ worker: worker });
+        var callback = jasmine.createSpy("callback");
+
+        backend.set(callback, 100);
+        expect(worker.messages.length).toBe(1);
+        expect(worker.messages[0].millis).toBe(100);
+
+        worker.reply({ id: worker.messages[0].id });
+        expect(callback).toHaveBeenCalled();
+    });
+
+    it("posts a message to the worker if cleared, and does not then call the callback", function() {
+        var worker = new FakeWorker();
+        var backend = timerBackends.worker({ worker: worker });
+        var callback = jasmine.createSpy("callback");
+
+        var handle = backend.set(callback, 100);
+        backend.clear(handle);
+        expect(worker.messages[1]).toEqual({ id: worker.messages[0].id, clear: true });
+
+        worker.reply({ id: worker.messages[0].id });
+        expect(callback).not.toHaveBeenCalled();
+    });
+
+    it("supports workers with an on() method for listening to messages", function() {
+        var listener;
+        var worker = {
+            on: function(type, func) { listener = func; },
+            postMessage: jasmine.createSpy("postMessage")
+        };
+        var backend = timerBackends.worker({ worker: worker });
+        var callback = jasmine.createSpy("callback");
+
+        backend.set(callback, 100);
+        listener({ id: worker.postMessage.calls.argsFor(0)[0].id });
+        expect(callback).toHaveBeenCalled();
+    });
+
+    it("does not terminate a Worker that was passed as an option", function() {
+        var worker = new FakeWorker();
+        worker.terminate = jasmine.createSpy("terminate");
+        var backend = timerBackends.worker({ worker: worker });
+
+        backend.terminate();
+        expect(worker.terminate).not.toHaveBeenCalled();
+    });
+
+    describe("when it creates the Worker", function() {
+
+        var globalObject = Function("return this")();
+        var originalWorker, originalBlob, created;
+
+        beforeEach(function() {
+            originalWorker = globalObject.Worker;
+            originalBlob = globalObject.Blob;
+            created = [];
+
+            globalObject.Worker = function(url) {
+                FakeWorker.call(this);
+                this.url = url;
+                this.terminate = jasmine.createSpy("terminate");
+                created.push(this);
+            };
+            globalObject.Worker.prototype = Object.create(FakeWorker.prototype);
+            globalObject.Blob = function() {};
+
+            spyOn(URL, "createObjectURL").and.returnValue("blob:script");
+            spyOn(URL, "revokeObjectURL");
+        });
+
+        afterEach(function() {
+            globalObject.Worker = originalWorker;
+            globalObject.Blob = originalBlob;
+        });
+
+        it("terminates the Worker, and revokes the URL of its script, when terminated", function() {
+            var backend = timerBackends.worker();
+            expect(created.length).toBe(1);
+            expect(created[0].url).toBe("blob:script");
+
+            backend.terminate();
+            expect(created[0].terminate).toHaveBeenCalled();
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:script");
+
+            backend.terminate();
+            expect(created[0].terminate.calls.count()).toBe(1);
+            expect(URL.revokeObjectURL.calls.count()).toBe(1);
+        });
+    });
+});
+
+describe("timerBackends - fake", function() {
+
+    it("calls callbacks in order when advanced", function() {
+        var backend = timerBackends.fake();
+        var order = [];
+
+        backend.set(function() { order.push(backend.now()); }, 30);
+        backend.set(function() { order.push(backend.now()); }, 10);
+        var handle = backend.set(function() { order.push("cleared"); }, 20);
+        backend.clear(handle);
+        expect(backend.pending()).toBe(2);
+
+        backend.advance(25);
+        expect(order).toEqual([10]);
+        expect(backend.now()).toBe(25);
+
+        backend.advance(25);
+        expect(order).toEqual([10, 30]);
+        expect(backend.pending()).toBe(0);
+    });
+});
@@ -0,0 +1,210 @@
+/****************************************************************************
+ * Copyright 2017 British Broadcasting Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*****************************************************************************/
+
+var timestampFormats = require("timestampFormats");
+var VirtualClock = require("VirtualClock");
+var Correlation = require("Correlation");
+
+// BigInt is not supported by all environments the tests may be run in
+var itIfBigInt = (typeof BigInt === "function") ? it : xit;
+
+describe("timestampFormats", function() {
+
+    var msClock, nsClock, clock90k;
+
+    beforeEach(function() {
+        msClock = new VirtualClock({tickRate:1000});
+        nsClock = new VirtualClock({tickRate:1000000000});
+        clock90k = new VirtualClock({tickRate:90000});
+    });
+
+	it("exists", function() {
+		expect(timestampFormats).toBeDefined();
+	});
+
+    describe("NTP", function() {
+
+        it("converts the fraction to the nearest nanosecond", function() {
+            expect(timestampFormats.ntpToTimevalue({seconds:5, fraction:0})).toEqual({secs:5, nanos:0});
+            expect(timestampFormats.ntpToTimevalue({seconds:5, fraction:2147483648})).toEqual({secs:5, nanos:500000000});
+            expect(timestampFormats.ntpToTimevalue({seconds:5, fraction:1})).toEqual({secs:5, nanos:0});
+            expect(timestampFormats.ntpToTimevalue({seconds:5, fraction:3})).toEqual({secs:5, nanos:1});
+            expect(timestampFormats.ntpToTimevalue({seconds:5, fraction:4294967290})).toEqual({secs:5, nanos:999999999});
+        });
+
+        it("carries into the seconds if the fraction rounds up to a whole second", function() {
+            expect(timestampFormats.ntpToTimevalue({seconds:5, fraction:4294967295})).toEqual({secs:6, nanos:0});
+        });
+
+        it("converts nanoseconds to the nearest fraction", function() {
+            expect(timestampFormats.timevalueToNtp({secs:5, nanos:500000000})).toEqual({seconds:5, fraction:2147483648});
+            expect(timestampFormats.timevalueToNtp({secs:5, nanos:1})).toEqual({seconds:5, fraction:4});
+            expect(timestampFormats.timevalueToNtp({secs:5, nanos:999999999})).toEqual({seconds:5, fraction:4294967292});
+        });
+
+        it("round trips nanoseconds exactly", function() {
+            [0, 1, 2, 3, 123456789, 499999999, 500000000, 999999998, 999999999].forEach(function(nanos) {
+                var ntp = timestampFormats.timevalueToNtp({secs:100, nanos:nanos});
+                expect(timestampFormats.ntpToTimevalue(ntp)).toEqual({secs:100, nanos:nanos});
+            });
+        });
+
+        itIfBigInt("matches exact arbitrary precision arithmetic", function() {
+            var fractions = [1, 2, 3, 65535, 65536, 65537, 1234567890, 2147483647, 2147483649, 3000000001, 4294967290];
+            fractions.forEach(function(f) {
+                var scaled = BigInt(f) * BigInt(1000000000) * BigInt(2);
+                var rounded = (scaled / BigInt(4294967296) + BigInt(1)) / BigInt(2);
+                expect(timestampFormats.ntpToTimevalue({seconds:0, fraction:f}).nanos).toBe(Number(rounded));
+            });
+        });
+
+        it("wraps the seconds when converting to NTP, losing the era", function() {
+            expect(timestampFormats.timevalueToNtp({secs:4294967296 + 7, nanos:0})).toEqual({seconds:7, fraction:0});
+            expect(timestampFormats.timevalueToNtp({secs:-1, nanos:0})).toEqual({seconds:4294967295, fraction:0});
+            expect(timestampFormats.timevalueToNtp({secs:4294967295, nanos:999999999})).toEqual({seconds:4294967295, fraction:4294967292});
+        });
+
+        it("chooses the era closest to a pivot", function() {
+            var era1 = 4294967296;
+            expect(timestampFormats.ntpToTimevalue({seconds:10, fraction:0}, era1 + 100).secs).toBe(era1 + 10);
+            expect(timestampFormats.ntpToTimevalue({seconds:4294967290, fraction:0}, era1 + 100).secs).toBe(4294967290);
+            expect(timestampFormats.ntpToTimevalue({seconds:10, fraction:0}, 100).secs).toBe(10);
+            expect(timestampFormats.ntpToTimevalue({seconds:10, fraction:0}).secs).toBe(10);
+        });
+
+        it("throws for invalid NTP timestamps", function() {
+            expect(function() { timestampFormats.ntpToTimevalue({seconds:4294967296, fraction:0}); }).toThrow();
+            expect(function() { timestampFormats.ntpToTimevalue({seconds:0, fraction:-1}); }).toThrow();
+            expect(function() { timestampFormats.ntpToTimevalue({seconds:0.5, fraction:0}); }).toThrow();
+            expect(function() { timestampFormats.ntpToTimevalue(null); }).toThrow();
+        });
+
+        it("converts to and from clock ticks", function() {
+            expect(timestampFormats.ntpToTicks({seconds:3, fraction:2147483648}, msClock)).toBe(3500);
+            expect(timestampFormats.ticksToNtp(3500, msClock)).toEqual({seconds:3, fraction:2147483648});
+            expect(timestampFormats.ticksToNtp(45000, clock90k)).toEqual({seconds:0, fraction:2147483648});
+        });
+    });
+
+    describe("PTP", function() {
+
+        it("converts to and from timevalues", function() {
+            expect(timestampFormats.ptpToTimevalue({seconds:1500000000, nanoseconds:250000000})).toEqual({secs:1500000000, nanos:250000000});
+            expect(timestampFormats.timevalueToPtp({secs:1500000000, nanos:250000000})).toEqual({seconds:1500000000, nanoseconds:250000000});
+        });
+
+        it("supports 48 bit seconds", function() {
+            var secs = 281474976710655;
+            expect(timestampFormats.timevalueToPtp(timestampFormats.ptpToTimevalue({seconds:secs, nanoseconds:999999999}))).toEqual({seconds:secs, nanoseconds:999999999});
+        });
+
+        it("throws for invalid or unrepresentable values", function() {
+            expect(function() { timestampFormats.ptpToTimevalue({seconds:281474976710656, nanoseconds:0}); }).toThrow();
+            expect(function() { timestampFormats.ptpToTimevalue({seconds:0, nanoseconds:1000000000}); }).toThrow();
+            expect(function() { timestampFormats.timevalueToPtp({secs:-1, nanos:0}); }).toThrow();
+        });
+
+        it("converts to and from clock ticks", function() {
+            expect(timestampFormats.ptpToTicks({seconds:2, nanoseconds:500000000}, clock90k)).toBe(225000);
+            expect(timestampFormats.ticksToPtp(225000, clock90k)).toEqual({seconds:2, nanoseconds:500000000});
+        });
+    });
+
+    describe("64-bit nanoseconds", function() {
+
+        it("converts strings and Numbers to timevalues", function() {
+            expect(timestampFormats.nanos64ToTimevalue("9223372036854775807")).toEqual({secs:9223372036, nanos:854775807});
+            expect(timestampFormats.nanos64ToTimevalue("5")).toEqual({secs:0, nanos:5});
+            expect(timestampFormats.nanos64ToTimevalue(1500000000)).toEqual({secs:1, nanos:500000000});
+        });
+
+        it("handles negative values", function() {
+            expect(timestampFormats.nanos64ToTimevalue("-1")).toEqual({secs:-1, nanos:999999999});
+            expect(timestampFormats.nanos64ToTimevalue("-2000000000")).toEqual({secs:-2, nanos:0});
+            expect(timestampFormats.timevalueToNanos64({secs:-1, nanos:999999999})).toBe("-1");
+            expect(timestampFormats.timevalueToNanos64({secs:-2, nanos:0})).toBe("-2000000000");
+            expect(timestampFormats.timevalueToNanos64({secs:-3, nanos:500000000})).toBe("-2500000000");
+        });
+
+        it("converts timevalues to strings without losing precision", function() {
+            expect(timestampFormats.timevalueToNanos64({secs:9223372036, nanos:854775807})).toBe("9223372036854775807");
+            expect(timestampFormats.timevalueToNanos64({secs:1, nanos:5})).toBe("1000000005");
+            expect(timestampFormats.timevalueToNanos64({secs:0, nanos:5})).toBe("5");
+            expect(timestampFormats.timevalueToNanos64({secs:0, nanos:0})).toBe("0");
+        });
+
+        itIfBigInt("accepts BigInts", function() {
+            var big = BigInt("9223372036854775807");
+            var tv = timestampFormats.nanos64ToTimevalue(big);
+            expect(tv).toEqual({secs:9223372036, nanos:854775807});
+            expect(BigInt(timestampFormats.timevalueToNanos64(tv))).toBe(big);
+        });
+
+        it("throws for values that are not integers", function() {
+            expect(function() { timestampFormats.nanos64ToTimevalue("1.5"); }).toThrow();
+            expect(function() { timestampFormats.nanos64ToTimevalue(1.5); }).toThrow();
+            expect(function() { timestampFormats.nanos64ToTimevalue(null); }).toThrow();
+        });
+
+        it("converts to and from clock ticks", function() {
+            expect(timestampFormats.nanos64ToTicks("1234567890123", msClock)).toBe(1234567.890123);
+            expect(timestampFormats.ticksToNanos64(1234567.5, msClock)).toBe("1234567500000");
+        });
+    });
+
+    describe("clock ticks", function() {
+
+        it("are equivalent to fromNanos() and getNanos()", function() {
+            var tv = {secs:12, nanos:345678901};
+            expect(timestampFormats.timevalueToTicks(tv, clock90k)).toBeCloseTo(clock90k.fromNanos(12345678901), 6);
+            msClock.setTime(12345.678);
+            expect(timestampFormats.timevalueToNanos64(timestampFormats.ticksToTimevalue(msClock.now(), msClock))).toBe(String(Math.round(msClock.getNanos())));
+        });
+
+        it("keep precision for times too large to be represented exactly as a Number of nanoseconds", function() {
+            var tv = {secs:1500000000, nanos:123456789};
+            expect(timestampFormats.timevalueToTicks(tv, nsClock)).toBe(1500000000123456789);
+            expect(timestampFormats.timevalueToTicks(tv, msClock)).toBe(1500000000123.456789);
+        });
+
+        it("round to the nearest nanosecond, and handle negative times", function() {
+            expect(timestampFormats.ticksToTimevalue(-0.5, msClock)).toEqual({secs:-1, nanos:999500000});
+            expect(timestampFormats.ticksToTimevalue(1, clock90k)).toEqual({secs:0, nanos:11111});
+        });
+    });
+
+    describe("makeCorrelation", function() {
+
+        it("builds a correlation from timestamps in any format", function() {
+            var corr = timestampFormats.makeCorrelation(
+                msClock, {seconds:1500, nanoseconds:250000000},
+                clock90k, "2000000000",
+                0.01, 0.0001
+            );
+            expect(corr).toEqual(new Correlation(1500250, 180000, 0.01, 0.0001));
+
+            corr = timestampFormats.makeCorrelation(
+                msClock, {seconds:3, fraction:2147483648},
+                msClock, {secs:7, nanos:0}
+            );
+            expect(corr).toEqual(new Correlation(3500, 7000, 0, 0));
+        });
+
+        it("throws if a timestamp is invalid", function() {
+            expect(function() { timestampFormats.makeCorrelation(msClock, {secs:1, nanos:-1}, msClock, 0); }).toThrow();
+        });
+    });
+});